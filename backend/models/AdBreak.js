@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// One ad break on a stream's timeline, from cue tags or an SCTE35 DATERANGE
+const AdBreakSchema = new mongoose.Schema({
+    streamId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Stream',
+        required: true
+    },
+    breakId: { type: String, required: true },     // 'cue-<mseq>', 'cue-in-<mseq>' or 'daterange-<ID>'
+    source: {
+        type: String,
+        enum: ['cue', 'daterange'],
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['open', 'complete', 'overrun', 'missing-cue-in', 'unmatched'],
+        default: 'open'
+    },
+    startSequence: Number,                          // mseq of the first ad segment
+    endSequence: Number,                            // mseq of the cue-in segment
+    lastSequence: Number,                           // Newest mseq counted into actualDuration
+    startTime: Date,                                // PDT when available, else when we saw it
+    endTime: Date,
+    declaredDuration: Number,                       // Seconds, from CUE-OUT / PLANNED-DURATION
+    actualDuration: Number,                         // Seconds of ad segments seen so far
+    scte35Out: String,
+    scte35In: String,
+    issues: [String]                                // 'overrun', 'missing-cue-in', 'unmatched-cue-in'
+}, { timestamps: true });
+
+AdBreakSchema.index({ streamId: 1, breakId: 1 }, { unique: true });
+AdBreakSchema.index({ streamId: 1, createdAt: -1 });
+
+// Auto-delete old records (keep last 7 days)
+AdBreakSchema.index({ createdAt: 1 }, { expireAfterSeconds: 604800 });
+
+module.exports = mongoose.model('AdBreak', AdBreakSchema);
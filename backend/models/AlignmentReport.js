@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Per-poll snapshot of where each variant of an ABR ladder sits
+const AlignmentReportSchema = new mongoose.Schema({
+    streamId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Stream',
+        required: true
+    },
+    timestamp: {
+        type: Date,
+        default: Date.now
+    },
+    aligned: Boolean,
+    maxSequenceDrift: Number,   // Live edge spread in segments
+    maxPdtDriftMs: Number,      // Largest PDT difference for the same mseq
+    discontinuityAligned: Boolean,
+    commonSegments: Number,     // Sequence numbers present in every variant
+    positions: [{
+        _id: false,
+        name: String,
+        mediaSequence: Number,
+        lastSequence: Number,
+        discontinuitySequence: Number,
+        firstProgramDateTime: Date,
+        lastProgramDateTime: Date
+    }],
+    issues: [String]
+});
+
+// Compound index for efficient queries
+AlignmentReportSchema.index({ streamId: 1, timestamp: -1 });
+
+// Auto-delete old records (keep last 7 days)
+AlignmentReportSchema.index({ timestamp: 1 }, { expireAfterSeconds: 604800 });
+
+module.exports = mongoose.model('AlignmentReport', AlignmentReportSchema);
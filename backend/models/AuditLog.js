@@ -3,7 +3,7 @@ const mongoose = require('mongoose');
 const AuditLogSchema = new mongoose.Schema({
     action: {
         type: String,
-        enum: ['STREAM_ADDED', 'STREAM_DELETED', 'LOG_DOWNLOADED'],
+        enum: ['STREAM_ADDED', 'STREAM_UPDATED', 'STREAM_DELETED', 'LOG_DOWNLOADED'],
         required: true
     },
     streamId: {
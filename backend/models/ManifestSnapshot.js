@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Raw manifest text as served on one poll (stored only when it changed).
+// Unpinned snapshots expire via expireAt and are capped per stream; snapshots
+// around an error are pinned and kept as evidence while the error is
+const ManifestSnapshotSchema = new mongoose.Schema({
+    streamId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Stream',
+        required: true
+    },
+    variant: { type: String, required: true },   // 'master', 'mpd' or rendition name
+    kind: {
+        type: String,
+        enum: ['master', 'media', 'mpd'],
+        required: true
+    },
+    uri: String,
+    mediaType: String,
+    mediaSequence: Number,
+    hash: String,                                  // sha1 of text
+    text: String,
+    bytes: Number,
+    capturedAt: { type: Date, default: Date.now }, // First poll that served this text
+    lastSeenAt: Date,                              // Last poll that served it unchanged
+    previousId: mongoose.Schema.Types.ObjectId,    // Snapshot of the same playlist before this one
+    pinned: { type: Boolean, default: false },
+    errorIds: [String],                            // eids of the newest errors that pinned it (bounded)
+    expireAt: Date                                 // Pinned: 7 days after the latest pinning error
+});
+
+ManifestSnapshotSchema.index({ streamId: 1, variant: 1, capturedAt: -1 });
+ManifestSnapshotSchema.index({ streamId: 1, errorIds: 1 });
+
+// Auto-delete expired snapshots, pinned ones with their errors
+ManifestSnapshotSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ManifestSnapshot', ManifestSnapshotSchema);
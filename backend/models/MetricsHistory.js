@@ -24,7 +24,34 @@ const MetricsHistorySchema = new mongoose.Schema({
     status: String,
     mediaSequence: Number,
     segmentCount: Number,
-    errorCount: Number
+    errorCount: Number,
+    schedulingLag: Number, // ms between intended and actual poll start
+    latency: Number,       // ms the live edge (PDT) is behind the server clock
+    pdtDrift: Number,      // ms change in latency since tracking started
+    blackRatio: Number,    // Share of the latest analysed segment that was black (0-1)
+    frozenRatio: Number,   // ... and frozen (0-1)
+    loudnessMomentary: Number, // LUFS, loudest 400ms window of the latest segment
+    loudnessShortTerm: Number, // LUFS, last 3s window
+    loudnessProgram: Number,   // LUFS, integrated over the program window
+    loudnessRange: Number,     // LU
+    truePeak: Number,          // dBTP
+    avOffset: Number,          // ms, audio start minus video start on the primary rendition
+    avDrift: Number,           // ms change in avOffset since the timeline started
+    // Per-rendition snapshot for ladder-level graphs
+    renditions: [{
+        _id: false,
+        name: String,
+        mediaType: String,
+        bandwidth: Number,
+        status: String,
+        isStale: Boolean,
+        mediaSequence: Number,
+        segmentCount: Number,
+        ttfb: Number,          // Latest segment download, ms
+        downloadTime: Number,  // ms
+        throughput: Number,    // bps
+        blockingReloadTime: Number  // LL-HLS _HLS_msn/_HLS_part response, ms
+    }]
 });
 
 // Compound index for efficient queries
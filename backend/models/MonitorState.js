@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Per-variant tracking state of the monitor, persisted so sequence and
+// continuity checks survive restarts and deploys
+const MonitorStateSchema = new mongoose.Schema({
+    streamId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Stream',
+        required: true
+    },
+    variantKey: { type: String, required: true },   // Playlist URI sans query, or 'main'
+    lastPollTime: Number,                           // Epoch ms
+    lastMediaSequence: { type: Number, default: -1 },
+    lastDiscontinuitySequence: { type: Number, default: 0 },
+    lastManifestUpdate: Date,
+    consecutiveStales: { type: Number, default: 0 },
+    sequenceJumps: { type: Number, default: 0 },
+    sequenceResets: { type: Number, default: 0 },
+    lastSegments: [{
+        _id: false,
+        uri: String,                                // First entry is the window's first segment
+        discontinuity: Boolean
+    }]
+}, { timestamps: true });
+
+MonitorStateSchema.index({ streamId: 1, variantKey: 1 }, { unique: true });
+
+// Variants that disappear from the ladder stop being updated; drop them after 7 days
+MonitorStateSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 604800 });
+
+module.exports = mongoose.model('MonitorState', MonitorStateSchema);
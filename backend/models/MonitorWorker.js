@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Heartbeat record of a running monitor process (embedded or standalone worker)
+const MonitorWorkerSchema = new mongoose.Schema({
+    workerId: { type: String, required: true, unique: true },
+    hostname: String,
+    pid: Number,
+    mode: { type: String, enum: ['embedded', 'worker'] },
+    startedAt: Date,
+    lastHeartbeat: Date,
+    streams: { type: Number, default: 0 },      // Leases currently held
+    stats: mongoose.Schema.Types.Mixed          // Scheduler stats at the last heartbeat
+});
+
+// Forget workers that stopped heartbeating an hour ago
+MonitorWorkerSchema.index({ lastHeartbeat: 1 }, { expireAfterSeconds: 3600 });
+
+module.exports = mongoose.model('MonitorWorker', MonitorWorkerSchema);
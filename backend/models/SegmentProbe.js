@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// One HTTP download of a newly published segment, timed like a player would see it
+const SegmentProbeSchema = new mongoose.Schema({
+    streamId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Stream',
+        required: true
+    },
+    timestamp: {
+        type: Date,
+        default: Date.now
+    },
+    variant: String,
+    mediaType: String,
+    uri: String,
+    mediaSequence: Number,
+    duration: Number,           // EXTINF seconds
+    status: Number,             // HTTP status, 0 = network error / timeout
+    ttfb: Number,               // ms until response headers
+    downloadTime: Number,       // ms until the last byte
+    bytes: Number,
+    throughput: Number,         // bps achieved
+    declaredBandwidth: Number,  // BANDWIDTH of the variant
+    bandwidthRatio: Number,     // throughput / declaredBandwidth
+    realTimeFactor: Number,     // downloadTime / duration; > 1 = slower than real time
+    contentHash: String,        // sha1 of the body
+    error: String
+});
+
+// Compound index for efficient queries
+SegmentProbeSchema.index({ streamId: 1, timestamp: -1 });
+
+// Auto-delete old records (keep last 7 days)
+SegmentProbeSchema.index({ timestamp: 1 }, { expireAfterSeconds: 604800 });
+
+module.exports = mongoose.model('SegmentProbe', SegmentProbeSchema);
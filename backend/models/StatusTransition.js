@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// One change of Stream.status, written by the status state machine (workers/status.js)
+const StatusTransitionSchema = new mongoose.Schema({
+    streamId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Stream',
+        required: true
+    },
+    from: String,                               // null for a stream's first transition
+    to: { type: String, required: true },
+    reason: String,                             // What the poll observed, e.g. "1280x720 @ 2500kbps: HTTP 404"
+    at: { type: Date, default: Date.now },
+    duration: Number                            // ms spent in `from` before this transition
+});
+
+StatusTransitionSchema.index({ streamId: 1, at: -1 });
+
+module.exports = mongoose.model('StatusTransition', StatusTransitionSchema);
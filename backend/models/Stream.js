@@ -1,31 +1,106 @@
 const mongoose = require('mongoose');
+const { maskProfile } = require('../workers/requestProfile');
 
 // Error types matching Eyevinn exactly
 const ErrorTypes = {
     MANIFEST_RETRIEVAL: 'Manifest Retrieval',
+    STREAM_OUTAGE: 'Stream Outage',           // Manifest unreachable for OUTAGE_AFTER_FAILURES polls in a row
     MEDIA_SEQUENCE: 'Media Sequence',
     PLAYLIST_SIZE: 'Playlist Size',
     PLAYLIST_CONTENT: 'Playlist Content',
     SEGMENT_CONTINUITY: 'Segment Continuity',
     DISCONTINUITY_SEQUENCE: 'Discontinuity Sequence',
-    STALE_MANIFEST: 'Stale Manifest'
+    STALE_MANIFEST: 'Stale Manifest',
+
+    // Extended checks (beyond Eyevinn)
+    VARIANT_ALIGNMENT: 'Variant Alignment',
+    SEGMENT_RETRIEVAL: 'Segment Retrieval',   // 404/5xx or network failure on a segment
+    SEGMENT_DELIVERY: 'Segment Delivery',     // Segment downloads slower than real time
+    BLOCKING_RELOAD: 'Blocking Reload',       // LL-HLS _HLS_msn/_HLS_part request failed or was too slow
+    PRELOAD_HINT: 'Preload Hint',             // LL-HLS EXT-X-PRELOAD-HINT didn't resolve
+    PROGRAM_DATE_TIME: 'Program Date Time',   // PDT jumped or is missing altogether
+    LIVE_LATENCY: 'Live Latency',             // Live edge further behind wall clock than the budget
+    AD_BREAK: 'Ad Break',                     // Unmatched cue-out/cue-in or a break past its declared duration
+    SEGMENT_TIMELINE: 'Segment Timeline',     // DASH SegmentTimeline gap/overlap or unusable segment addressing
+    PERIOD: 'Period',                         // DASH period boundary gap/overlap, moved start or missing id
+    AVAILABILITY_WINDOW: 'Availability Window', // DASH segments advertised before available or short of timeShiftBufferDepth
+    FROZEN_CONTENT: 'Frozen Content',         // Repeated segments or an unchanged thumbnail past frozenThreshold
+    BLACK_FRAMES: 'Black Frames',             // blackdetect: segment black for more than BLACK_RATIO_THRESHOLD
+    FROZEN_FRAMES: 'Frozen Frames',           // freezedetect: segment frozen for more than FREEZE_RATIO_THRESHOLD
+    LOUDNESS: 'Loudness',                     // Program loudness outside the profile's target +/- tolerance
+    TRUE_PEAK: 'True Peak',                   // Segment true peak above the profile's limit
+    AUDIO_CHANNELS: 'Audio Channels',         // Dead channel, silent surrounds or dual mono (see audioChannels.js)
+    AUDIO_PHASE: 'Audio Phase',               // Left/right correlation shows inverted phase
+    AV_SYNC: 'A/V Sync',                      // First audio PTS more than AV_SYNC_THRESHOLD from first video PTS
+    TIMESTAMP_CONTINUITY: 'Timestamp Continuity', // PTS gap/overlap or PTS/DTS rollback without EXT-X-DISCONTINUITY
+    KEYFRAME_ALIGNMENT: 'Keyframe Alignment', // Segment doesn't start on a keyframe
+    GOP_STRUCTURE: 'GOP Structure',           // GOP length changed from the previous segment
+
+    // Not a stream fault: segments published while the monitor itself was down
+    MONITOR_GAP: 'Monitor Gap'
 };
 
 const StreamSchema = new mongoose.Schema({
     name: { type: String, required: true },
     url: { type: String, required: true, unique: true },
+    // --- STATUS (state machine, see workers/status.js) ---
     status: {
         type: String,
-        enum: ['online', 'offline', 'error', 'stale'],
-        default: 'offline'
+        enum: ['pending', 'online', 'degraded', 'stale', 'offline', 'recovering'],
+        default: 'pending'
+    },
+    statusSince: Date,        // When the stream entered its current status
+    statusReason: String,     // Observation that caused the latest transition
+
+    // --- MONITORING OVERRIDES ---
+    monitoring: {
+        pollInterval: { type: Number, default: null },  // ms; null = derive from target duration
+        staleFactor: { type: Number, default: 1.5 },    // Stale after N x target duration without change
+        lowLatency: { type: Boolean, default: true },   // Run LL-HLS checks when a playlist has EXT-X-PART-INF
+        latencyBudget: { type: Number, default: null }, // s; null = 3 x target duration
+        frozenThreshold: { type: Number, default: null }, // s of repeated/unchanged content; null = 30
+        loudnessProfile: {                               // Loudness target, see workers/loudness.js
+            type: String,
+            enum: ['ebu-r128', 'atsc-a85', 'custom', 'off'],
+            default: 'ebu-r128'
+        },
+        loudnessTarget: { type: Number, default: null },    // LUFS; null = profile target
+        loudnessTolerance: { type: Number, default: null }, // LU; null = profile tolerance
+        truePeakLimit: { type: Number, default: null },     // dBTP; null = profile limit
+        validationInterval: { type: Number, default: null } // h between VOD re-validations; null = validate once
+    },
+
+    // --- REQUEST PROFILE ---
+    // Applied to manifest fetches, segment downloads and FFmpeg inputs alike
+    // Secrets are masked whenever the document is serialized to JSON
+    requestProfile: {
+        userAgent: String,
+        referer: String,
+        headers: [{ _id: false, name: String, value: String }],
+        cookies: String,                    // Sent as the Cookie header
+        auth: {
+            scheme: { type: String, enum: ['none', 'basic', 'bearer'], default: 'none' },
+            username: String,
+            password: String,
+            token: String                   // Bearer token
+        },
+        urlToken: {
+            template: String,               // Query appended to every request, e.g. "token={hmac}&expires={expires}"
+            secret: String,                 // HMAC key for {hmac}
+            signWith: { type: String, default: '{path}{expires}' },
+            algorithm: { type: String, enum: ['sha256', 'sha1', 'md5'], default: 'sha256' },
+            ttl: { type: Number, default: 300 }  // Seconds from now for {expires}
+        }
     },
 
     // --- EYEVINN HEALTH METRICS ---
     health: {
+        format: { type: String, enum: ['HLS', 'DASH'], default: 'HLS' },
         isStale: { type: Boolean, default: false },
         lastManifestUpdate: { type: Date, default: null },
         timeSinceLastUpdate: { type: Number, default: 0 },
-        staleThreshold: { type: Number, default: 7000 },
+        staleThreshold: { type: Number, default: 7000 },  // staleFactor x target duration (ms)
+        pollInterval: { type: Number, default: 7000 },    // Effective delay until the next poll (ms)
 
         mediaSequence: { type: Number, default: -1 },
         previousMediaSequence: { type: Number, default: -1 },
@@ -34,10 +109,27 @@ const StreamSchema = new mongoose.Schema({
 
         discontinuitySequence: { type: Number, default: 0 },
         discontinuityCount: { type: Number, default: 0 },
+        spliceDiscontinuities: { type: Number, default: 0 },  // Of discontinuityCount, at ad splice points
 
         segmentCount: { type: Number, default: 0 },
         targetDuration: { type: Number, default: 0 },
         playlistType: { type: String, default: 'LIVE' },
+        ended: { type: Boolean, default: false },           // Every playlist carries EXT-X-ENDLIST
+
+        // --- ASSET VALIDATION (VOD / ended EVENT, latest ValidationReport) ---
+        validation: {
+            reportId: mongoose.Schema.Types.ObjectId,
+            status: { type: String, enum: ['running', 'passed', 'failed'] },
+            trigger: String,
+            playlistType: String,
+            totalDuration: Number,    // Seconds
+            segmentsChecked: Number,
+            segmentsFailed: Number,
+            errorCount: Number,
+            warningCount: Number,
+            startedAt: Date,
+            completedAt: Date
+        },
 
         totalErrors: { type: Number, default: 0 },
         timeSinceLastError: { type: Number, default: 0 },
@@ -46,7 +138,246 @@ const StreamSchema = new mongoose.Schema({
         recentErrors: { type: Number, default: 0 },
         recentSequenceJumps: { type: Number, default: 0 },
         recentSequenceResets: { type: Number, default: 0 },
-        lastErrorTime: { type: Date, default: null }
+        lastErrorTime: { type: Date, default: null },
+
+        // Delay between the intended and actual start of the latest poll (ms)
+        schedulingLag: { type: Number, default: 0 },
+
+        // --- MANIFEST FETCH (retries and circuit breaker, see retry.js) ---
+        fetch: {
+            consecutiveFailures: { type: Number, default: 0 }, // Polls in a row whose fetch failed after retries
+            attempts: Number,          // Attempts the latest poll needed
+            retriedPolls: { type: Number, default: 0 },        // Polls that succeeded only on a retry
+            transientFailures: { type: Number, default: 0 },   // Failed polls absorbed before an outage was confirmed
+            breaker: { type: String, enum: ['closed', 'open'], default: 'closed' },
+            firstFailureAt: Date,      // Start of the current failure run
+            lastFailureAt: Date,
+            lastError: String,
+            nextAttemptAt: Date,       // While the breaker is open
+            checkedAt: Date
+        },
+
+        // --- LIVE LATENCY (primary rendition PDT vs server clock) ---
+        latency: {
+            hasPdt: Boolean,
+            liveEdge: Date,           // PDT + duration of the newest segment
+            latency: Number,          // ms behind the server clock
+            baseline: Number,         // ms, latency when tracking (re)started
+            drift: Number,            // ms, latency - baseline
+            budget: Number,           // ms
+            overBudget: Boolean,
+            measuredAt: Date
+        },
+
+        // --- AD BREAK IN PROGRESS (primary rendition) ---
+        adBreak: {
+            active: { type: Boolean, default: false },
+            breakId: String,
+            source: String,
+            startTime: Date,
+            declaredDuration: Number,
+            elapsed: Number
+        },
+
+        // --- FROZEN CONTENT (primary rendition repeats + thumbnail dHash) ---
+        frozen: {
+            frozen: { type: Boolean, default: false },
+            source: { type: String },  // 'segments' or 'thumbnail'
+            since: Date,
+            duration: Number,          // s frozen so far
+            threshold: Number,         // s
+            repeatedSegments: Number,  // Consecutive repeated segments on the primary rendition
+            unchangedFor: Number,      // s the thumbnail dHash has not changed
+            thumbnailHash: String,
+            checkedAt: Date
+        },
+
+        // --- BLACK / FROZEN FRAMES (thresholds crossed by the latest analysis) ---
+        videoContent: {
+            black: { type: Boolean, default: false },
+            frozen: { type: Boolean, default: false },
+            checkedAt: Date
+        },
+
+        // --- GOP (primary rendition, latest analysed segment) ---
+        gop: {
+            keyframeAligned: { type: Boolean, default: true },
+            gopLength: Number,         // Frames
+            keyframeInterval: Number,  // s
+            checkedAt: Date
+        },
+
+        // --- A/V SYNC (primary rendition, latest analysed segment) ---
+        avSync: {
+            offset: Number,            // ms, audio start minus video start
+            drift: Number,             // ms since the timeline started
+            inSync: { type: Boolean, default: true },
+            videoContinuity: Number,   // ms
+            audioContinuity: Number,   // ms
+            mediaSequence: Number,
+            analyzedAt: Date,          // When the processor analysed that segment
+            checkedAt: Date
+        },
+
+        // --- AUDIO CHANNELS (conditions raised by the latest per-channel analysis) ---
+        audioChannels: {
+            deadChannels: [String],
+            silentSurrounds: { type: Boolean, default: false },
+            invertedPhase: { type: Boolean, default: false },
+            dualMono: { type: Boolean, default: false },
+            checkedAt: Date
+        },
+
+        // --- LOUDNESS COMPLIANCE (against the stream's loudness profile) ---
+        loudness: {
+            profile: String,
+            target: Number,            // LUFS
+            tolerance: Number,         // LU
+            truePeakLimit: Number,     // dBTP
+            programIntegrated: Number, // LUFS over the program window
+            deviation: Number,         // LU from target
+            loudnessCompliant: { type: Boolean, default: true },
+            truePeakCompliant: { type: Boolean, default: true },
+            checkedAt: Date
+        },
+
+        // --- MPEG-DASH MPD (latest poll, DASH streams only) ---
+        dash: {
+            type: { type: String },   // static or dynamic
+            profiles: String,
+            availabilityStartTime: Date,
+            publishTime: Date,
+            minimumUpdatePeriod: Number,   // Seconds
+            timeShiftBufferDepth: Number,  // Seconds
+            periodCount: Number,
+            currentPeriod: String,
+            periodChanges: Number,         // New periods seen since monitoring started
+            lastPeriodChange: Date,
+            windowStart: Date,             // Wall clock of the primary rendition's first segment
+            windowEnd: Date,               // ... and the end of its newest one
+            windowDuration: Number,        // Seconds
+            checkedAt: Date
+        },
+
+        // --- LOW-LATENCY HLS (primary rendition, latest poll) ---
+        lowLatency: {
+            partTarget: Number,
+            partHoldBack: Number,
+            canBlockReload: Boolean,
+            lastMsn: Number,
+            lastPart: Number,
+            partCount: Number,
+            maxPartDuration: Number,
+            partsOverTarget: Number,
+            blockingReloadTime: Number,
+            blockingReloadStatus: Number,
+            preloadHintTime: Number,
+            preloadHintStatus: Number,
+            checkedAt: Date
+        },
+
+        // --- CROSS-VARIANT ALIGNMENT (latest poll) ---
+        alignment: {
+            aligned: { type: Boolean, default: null },
+            maxSequenceDrift: Number,
+            maxPdtDriftMs: Number,
+            discontinuityAligned: Boolean,
+            issueKinds: [String],      // Conditions present at the last check; each is reported when it first appears
+            checkedAt: Date
+        },
+
+        // --- PER-RENDITION HEALTH (variants + EXT-X-MEDIA alternates) ---
+        renditions: [{
+            _id: false,
+            key: String,              // Variant URI without query; identifies the entry across polls
+            name: String,             // e.g. "1920x1080 @ 5000kbps" or "AUDIO aac/English [en]"
+            uri: String,
+            mediaType: String,        // VIDEO, AUDIO, SUBTITLES, CLOSED-CAPTIONS
+            groupId: String,          // EXT-X-MEDIA GROUP-ID (alternates only)
+            language: String,
+            instreamId: String,       // CLOSED-CAPTIONS only
+
+            bandwidth: Number,
+            resolution: String,
+            codecs: String,
+            status: { type: String, enum: ['online', 'error', 'stale', 'in-band'] },
+            isStale: Boolean,
+            changed: Boolean,          // Playlist moved since the previous poll
+            staleThreshold: Number,
+            lastManifestUpdate: Date,
+            timeSinceLastUpdate: Number,
+            mediaSequence: Number,
+            previousMediaSequence: Number,
+            sequenceJumps: Number,
+            sequenceResets: Number,
+            discontinuitySequence: Number,
+            discontinuityCount: Number,
+            spliceDiscontinuities: Number,
+            segmentCount: Number,
+            targetDuration: Number,
+            playlistType: String,
+            hasPdt: Boolean,
+            liveEdge: Date,
+            latency: Number,           // ms behind the server clock
+            repeatedSegments: Number,  // Consecutive new segments that repeat an earlier URI or body
+            repeatingFor: Number,      // s of media those repeats cover
+            repeatingSince: Date,      // When the current run of repeats began
+            lastError: String,
+            // LL-HLS partial segment health (only for playlists with EXT-X-PART-INF)
+            lowLatency: {
+                partTarget: Number,
+                partHoldBack: Number,
+                canBlockReload: Boolean,
+                canSkipUntil: Number,
+                lastMsn: Number,
+                lastPart: Number,
+                partCount: Number,
+                maxPartDuration: Number,
+                partsOverTarget: Number,
+                blockingReloadTime: Number,     // ms until the blocked request returned
+                blockingReloadStatus: Number,
+                preloadHintTime: Number,        // ms until the hinted part was fully downloaded
+                preloadHintStatus: Number,
+                checkedAt: Date
+            },
+            // Latest HTTP download of a newly published segment
+            delivery: {
+                status: Number,
+                ttfb: Number,            // ms
+                downloadTime: Number,    // ms
+                bytes: Number,
+                throughput: Number,      // bps
+                bandwidthRatio: Number,  // throughput / BANDWIDTH
+                realTimeFactor: Number,  // downloadTime / duration
+                probedAt: Date
+            },
+            // Packet timestamps of the newest analysed segment (see workers/timestamps.js)
+            timing: {
+                mediaSequence: Number,
+                videoStart: Number,        // s, first video PTS
+                audioStart: Number,        // s, first audio PTS
+                avOffset: Number,          // ms, audio start minus video start
+                audioRendition: String,    // Demuxed ladders: audio rendition the offset was measured against
+                avDrift: Number,           // ms, change in avOffset since the timeline started
+                inSync: Boolean,
+                videoContinuity: Number,   // ms off the expected first PTS (+ gap, - overlap)
+                audioContinuity: Number,
+                events: [{ _id: false, kind: { type: String }, track: String, message: String }],
+                reported: Boolean,         // Events turned into errors by the monitor
+                analyzedAt: Date
+            },
+            // Latest FFprobe result for this rendition's newest segment
+            probe: {
+                codec: String,
+                width: Number,
+                height: Number,
+                fps: Number,
+                channels: Number,
+                sampleRate: Number,
+                bitRate: Number,
+                probedAt: Date
+            }
+        }]
     },
 
     // --- DEEP VIDEO/AUDIO STATS ---
@@ -62,7 +393,32 @@ const StreamSchema = new mongoose.Schema({
             height: Number,
             pixFmt: String,
             colorSpace: String,
-            bitRate: Number
+            bitRate: Number,
+            // --- BLACK / FROZEN FRAMES (latest analysed segment) ---
+            blackRatio: Number,       // Share of the segment that was black (0-1)
+            frozenRatio: Number,      // Share of the segment that was frozen (0-1)
+            blackDuration: Number,    // Seconds
+            frozenDuration: Number,   // Seconds
+            analyzedDuration: Number, // Segment duration, seconds
+            analyzedAt: Date,
+            // --- GOP / KEYFRAMES (latest analysed segment, see workers/gop.js) ---
+            gop: {
+                mediaSequence: Number,
+                startsWithKeyframe: Boolean, // Decoded first frame is an I-frame key frame
+                firstFrameType: String,   // I, P or B (decoded first frame)
+                frames: Number,
+                keyframes: Number,        // Keyframe-flagged packets
+                gopLength: Number,        // Frames between keyframe-flagged packets, most common closed GOP
+                gopLengths: [Number],     // Frames, every closed GOP in the segment
+                gopDuration: Number,      // s
+                keyframeInterval: Number, // s, mean distance between keyframe-flagged packets
+                irregular: Boolean,       // Closed GOPs of different lengths (scene cuts)
+                pattern: String,          // Keyframe flags of the first 32 frames, decode order (K = keyframe)
+                previousGopLength: Number,
+                changed: Boolean,         // GOP length differs from the previous segment's
+                reported: Boolean,        // Change turned into an error by the monitor
+                analyzedAt: Date
+            }
         },
         audio: {
             codec: String,
@@ -70,10 +426,42 @@ const StreamSchema = new mongoose.Schema({
             sampleRate: Number,
             bitRate: Number,
             // --- ENHANCED AUDIO METRICS ---
-            peakDb: Number,           // Peak decibel level
-            avgDb: Number,            // Average decibel level
+            peakDb: Number,           // True peak (dBTP)
+            avgDb: Number,            // Segment integrated loudness (LUFS)
             channelLayout: String,    // Human-readable layout (Stereo, 5.1, etc.)
-            isSilent: Boolean         // Silence detection flag
+            isSilent: Boolean,        // Silence detection flag
+            // --- LOUDNESS (ebur128, latest analysed segment) ---
+            loudness: {
+                integrated: Number,        // LUFS, this segment
+                shortTerm: Number,         // LUFS, last 3s window
+                shortTermMax: Number,      // LUFS
+                momentaryMax: Number,      // LUFS, loudest 400ms window
+                lra: Number,               // LU, loudness range
+                truePeak: Number,          // dBTP
+                programIntegrated: Number, // LUFS over the last LOUDNESS_WINDOW seconds
+                programDuration: Number,   // s of audio in the program window
+                measuredDuration: Number,  // s, this segment
+                measuredAt: Date
+            },
+            // --- PER-CHANNEL ANALYSIS (astats/aphasemeter, latest analysed segment) ---
+            channelLevels: [{
+                _id: false,
+                channel: Number,           // 1-based, FFmpeg channel order
+                name: String,              // L, R, C, LFE, Ls, Rs...
+                peakDb: Number,            // dBFS; null = digital silence
+                rmsDb: Number              // dBFS; null = digital silence
+            }],
+            phase: {
+                mean: Number,              // L/R correlation, -1 (inverted) to +1 (identical)
+                min: Number
+            },
+            channelIssues: {
+                deadChannels: [String],
+                silentSurrounds: Boolean,
+                invertedPhase: Boolean,
+                dualMono: Boolean
+            },
+            channelsAnalyzedAt: Date
         },
         container: {
             formatName: String,
@@ -96,6 +484,23 @@ const StreamSchema = new mongoose.Schema({
         code: Number
     }],
 
+    // --- RFC 8216 LINT FINDINGS ---
+    // One entry per rule per playlist, updated in place on every poll
+    lintFindings: [{
+        _id: false,
+        ruleId: String,           // Stable rule ID, e.g. EXTINF_EXCEEDS_TARGETDURATION
+        severity: { type: String, enum: ['error', 'warning', 'info'] },
+        section: String,          // RFC 8216 section reference
+        message: String,
+        variant: String,          // 'master' or rendition name
+        mediaType: String,
+        firstSeen: Date,
+        lastSeen: Date,
+        occurrences: { type: Number, default: 1 },
+        active: { type: Boolean, default: true },
+        resolvedAt: Date
+    }],
+
     thumbnail: String,
     lastChecked: { type: Date, default: Date.now }
 
@@ -118,11 +523,25 @@ StreamSchema.pre('save', function () {
                 }
             });
         }
+
+        // Same retention for lint findings that haven't been seen in 7 days
+        if (Array.isArray(this.lintFindings) && this.lintFindings.length > 0) {
+            const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+            this.lintFindings = this.lintFindings.filter(f => f && f.lastSeen && new Date(f.lastSeen) > sevenDaysAgo);
+        }
     } catch (err) {
         // If cleanup fails, log but don't block the save
         console.error('[STREAM] Error cleanup failed:', err.message);
     }
 });
 
+// Never send request profile secrets to clients (API responses and socket events)
+StreamSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        if (ret.requestProfile) ret.requestProfile = maskProfile(ret.requestProfile);
+        return ret;
+    }
+});
+
 module.exports = mongoose.model('Stream', StreamSchema);
 module.exports.ErrorTypes = ErrorTypes;
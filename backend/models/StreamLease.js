@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Which monitor worker currently polls a stream. A lease that isn't renewed
+// before expiresAt is free for any other worker to take over.
+const StreamLeaseSchema = new mongoose.Schema({
+    streamId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Stream',
+        required: true,
+        unique: true
+    },
+    owner: { type: String, required: true },    // MonitorWorker.workerId
+    acquiredAt: Date,
+    expiresAt: { type: Date, required: true }
+});
+
+StreamLeaseSchema.index({ owner: 1 });
+StreamLeaseSchema.index({ expiresAt: 1 });
+
+module.exports = mongoose.model('StreamLease', StreamLeaseSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Full-asset validation of a VOD (or ended EVENT) playlist: every segment
+// requested once, durations checked, totals compared across renditions
+const ValidationReportSchema = new mongoose.Schema({
+    streamId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Stream',
+        required: true
+    },
+    playlistType: String,           // VOD, EVENT or LIVE (manual run on a live stream)
+    ended: Boolean,                 // Every media playlist carried EXT-X-ENDLIST
+    trigger: {
+        type: String,
+        enum: ['auto', 'scheduled', 'manual'],
+        default: 'auto'
+    },
+    status: {
+        type: String,
+        enum: ['running', 'passed', 'failed'],
+        default: 'running'
+    },
+    startedAt: { type: Date, default: Date.now },
+    completedAt: Date,
+    totalDuration: Number,          // Seconds, primary rendition
+    segmentsChecked: { type: Number, default: 0 },
+    segmentsFailed: { type: Number, default: 0 },
+    variants: [{
+        _id: false,
+        name: String,
+        uri: String,
+        mediaType: String,
+        segmentCount: Number,
+        duration: Number,           // Seconds, sum of EXTINF
+        targetDuration: Number,
+        maxSegmentDuration: Number,
+        segmentsFailed: Number,
+        ended: Boolean
+    }],
+    issues: [{
+        _id: false,
+        severity: { type: String, enum: ['error', 'warning'] },
+        variant: String,
+        uri: String,
+        message: String
+    }]
+});
+
+ValidationReportSchema.index({ streamId: 1, startedAt: -1 });
+
+module.exports = mongoose.model('ValidationReport', ValidationReportSchema);
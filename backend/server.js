@@ -8,6 +8,7 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const { body, param, validationResult } = require('express-validator');
 const { Server } = require('socket.io');
+const { createTwoFilesPatch, diffLines } = require('diff');
 
 const app = express();
 const server = http.createServer(app);
@@ -23,6 +24,19 @@ const Stream = require('./models/Stream');
 const AuditLog = require('./models/AuditLog');
 const Visitor = require('./models/Visitor');
 const MetricsHistory = require('./models/MetricsHistory');
+const AlignmentReport = require('./models/AlignmentReport');
+const SegmentProbe = require('./models/SegmentProbe');
+const AdBreak = require('./models/AdBreak');
+const ValidationReport = require('./models/ValidationReport');
+const ManifestSnapshot = require('./models/ManifestSnapshot');
+const StatusTransition = require('./models/StatusTransition');
+const { runValidation, isValidationRunning } = require('./workers/validation');
+const MonitorState = require('./models/MonitorState');
+const MonitorWorker = require('./models/MonitorWorker');
+const StreamLease = require('./models/StreamLease');
+const { attachAdapter } = require('./workers/socketBus');
+const { LEASE_TTL } = require('./workers/leases');
+const { SECRET_MASK } = require('./workers/requestProfile');
 
 // ===== SECURITY MIDDLEWARE =====
 
@@ -80,6 +94,17 @@ console.log('🔗 Connecting to Atlas MongoDB...');
 mongoose.connect(MONGO_URI)
     .then(async () => {
         console.log('✅ MongoDB Connected Successfully!');
+
+        // Relay socket events between API instances and standalone workers
+        if (process.env.SOCKET_IO_ADAPTER === 'mongo') {
+            try {
+                await attachAdapter(io, mongoose.connection.db);
+                console.log('📡 Socket.IO MongoDB adapter attached');
+            } catch (e) {
+                console.error('⚠️ Socket.IO adapter failed (MongoDB must be a replica set):', e.message);
+            }
+        }
+
         try {
             const count = await Stream.countDocuments();
             console.log(`📊 Startup Check: Found ${count} streams in DB.`);
@@ -238,6 +263,196 @@ app.get('/api/streams/:id/errors', validateObjectId, async (req, res) => {
     }
 });
 
+// Get RFC 8216 lint findings for a stream (active first, then by severity)
+app.get('/api/streams/:id/lint', validateObjectId, async (req, res) => {
+    try {
+        const stream = await Stream.findById(req.params.id).select('lintFindings');
+        if (!stream) return res.status(404).json({ error: 'Not found' });
+
+        const severityOrder = { error: 0, warning: 1, info: 2 };
+        const findings = (stream.lintFindings || []).slice().sort((a, b) =>
+            (b.active - a.active) || (severityOrder[a.severity] - severityOrder[b.severity]));
+
+        const active = findings.filter(f => f.active);
+        res.json({
+            findings,
+            summary: {
+                errors: active.filter(f => f.severity === 'error').length,
+                warnings: active.filter(f => f.severity === 'warning').length,
+                info: active.filter(f => f.severity === 'info').length
+            }
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Input validation for monitoring overrides
+const validateMonitoring = [
+    body('pollInterval')
+        .optional({ values: 'null' })
+        .isInt({ min: 1000, max: 60000 })
+        .withMessage('pollInterval must be 1000-60000 ms or null')
+        .toInt(),
+    body('staleFactor')
+        .optional()
+        .isFloat({ min: 1, max: 10 })
+        .withMessage('staleFactor must be between 1 and 10')
+        .toFloat(),
+    body('latencyBudget')
+        .optional({ values: 'null' })
+        .isFloat({ min: 1, max: 600 })
+        .withMessage('latencyBudget must be 1-600 s or null')
+        .toFloat(),
+    body('validationInterval')
+        .optional({ values: 'null' })
+        .isFloat({ min: 1, max: 720 })
+        .withMessage('validationInterval must be 1-720 h or null')
+        .toFloat(),
+    body('frozenThreshold')
+        .optional({ values: 'null' })
+        .isFloat({ min: 5, max: 3600 })
+        .withMessage('frozenThreshold must be 5-3600 s or null')
+        .toFloat(),
+    body('loudnessProfile')
+        .optional()
+        .isIn(['ebu-r128', 'atsc-a85', 'custom', 'off'])
+        .withMessage('loudnessProfile must be ebu-r128, atsc-a85, custom or off'),
+    body('loudnessTarget')
+        .optional({ values: 'null' })
+        .isFloat({ min: -40, max: -5 })
+        .withMessage('loudnessTarget must be -40 to -5 LUFS or null')
+        .toFloat(),
+    body('loudnessTolerance')
+        .optional({ values: 'null' })
+        .isFloat({ min: 0.5, max: 10 })
+        .withMessage('loudnessTolerance must be 0.5-10 LU or null')
+        .toFloat(),
+    body('truePeakLimit')
+        .optional({ values: 'null' })
+        .isFloat({ min: -10, max: 0 })
+        .withMessage('truePeakLimit must be -10 to 0 dBTP or null')
+        .toFloat(),
+    body('lowLatency')
+        .optional()
+        .isBoolean()
+        .withMessage('lowLatency must be true or false')
+        .toBoolean()
+];
+
+// Update per-stream monitoring overrides (null pollInterval = derive from target duration)
+app.patch('/api/streams/:id/monitoring', validateObjectId, validateMonitoring, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: errors.array()[0].msg });
+        }
+
+        const stream = await Stream.findById(req.params.id);
+        if (!stream) return res.status(404).json({ error: 'Not found' });
+
+        const { pollInterval, staleFactor, lowLatency, latencyBudget, validationInterval, frozenThreshold,
+            loudnessProfile, loudnessTarget, loudnessTolerance, truePeakLimit } = req.body;
+        if (pollInterval !== undefined) stream.monitoring.pollInterval = pollInterval;
+        if (staleFactor !== undefined) stream.monitoring.staleFactor = staleFactor;
+        if (lowLatency !== undefined) stream.monitoring.lowLatency = lowLatency;
+        if (latencyBudget !== undefined) stream.monitoring.latencyBudget = latencyBudget;
+        if (validationInterval !== undefined) stream.monitoring.validationInterval = validationInterval;
+        if (frozenThreshold !== undefined) stream.monitoring.frozenThreshold = frozenThreshold;
+        if (loudnessProfile !== undefined) stream.monitoring.loudnessProfile = loudnessProfile;
+        if (loudnessTarget !== undefined) stream.monitoring.loudnessTarget = loudnessTarget;
+        if (loudnessTolerance !== undefined) stream.monitoring.loudnessTolerance = loudnessTolerance;
+        if (truePeakLimit !== undefined) stream.monitoring.truePeakLimit = truePeakLimit;
+        await stream.save();
+
+        await logAction('STREAM_UPDATED', {
+            ...stream.toObject(),
+            details: `Monitoring: pollInterval=${stream.monitoring.pollInterval ?? 'auto'}, staleFactor=${stream.monitoring.staleFactor}, lowLatency=${stream.monitoring.lowLatency}, latencyBudget=${stream.monitoring.latencyBudget ?? 'auto'}, validationInterval=${stream.monitoring.validationInterval ?? 'once'}, frozenThreshold=${stream.monitoring.frozenThreshold ?? 'default'}, loudnessProfile=${stream.monitoring.loudnessProfile}`
+        }, req);
+
+        io.emit('stream:update', stream);
+        res.json(stream.monitoring);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Input validation for request profiles
+// CR/LF are rejected everywhere: values end up in HTTP and FFmpeg -headers
+const NO_NEWLINES = /^[^\r\n]*$/;
+const validateRequestProfile = [
+    body('userAgent').optional({ values: 'null' }).isString().isLength({ max: 500 }).matches(NO_NEWLINES)
+        .withMessage('Invalid User-Agent'),
+    body('referer').optional({ values: 'falsy' })
+        .isURL({ protocols: ['http', 'https'], require_tld: false, require_protocol: true })
+        .withMessage('Referer must be an http(s) URL'),
+    body('cookies').optional({ values: 'null' }).isString().isLength({ max: 4000 }).matches(NO_NEWLINES)
+        .withMessage('Invalid cookies'),
+    body('headers').optional().isArray({ max: 20 }).withMessage('At most 20 headers'),
+    body('headers.*.name').matches(/^[!#$%&'*+.^_`|~0-9A-Za-z-]{1,100}$/).withMessage('Invalid header name'),
+    body('headers.*.value').optional({ values: 'null' }).isString().isLength({ max: 4000 }).matches(NO_NEWLINES)
+        .withMessage('Invalid header value'),
+    body('auth.scheme').optional().isIn(['none', 'basic', 'bearer']).withMessage('Invalid auth scheme'),
+    body(['auth.username', 'auth.password', 'auth.token']).optional({ values: 'null' }).isString()
+        .isLength({ max: 2000 }).matches(NO_NEWLINES).withMessage('Invalid auth credentials'),
+    body(['urlToken.template', 'urlToken.signWith']).optional({ values: 'null' }).isString().isLength({ max: 500 })
+        .withMessage('URL token templates must be at most 500 characters'),
+    body('urlToken.secret').optional({ values: 'null' }).isString().isLength({ max: 500 }).withMessage('Invalid URL token secret'),
+    body('urlToken.algorithm').optional().isIn(['sha256', 'sha1', 'md5']).withMessage('Invalid URL token algorithm'),
+    body('urlToken.ttl').optional().isInt({ min: 1, max: 86400 }).withMessage('URL token TTL must be 1-86400 seconds').toInt()
+];
+
+// Replace the request profile; secrets sent back masked (SECRET_MASK) keep their stored value
+app.put('/api/streams/:id/request-profile', validateObjectId, validateRequestProfile, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: errors.array()[0].msg });
+        }
+
+        const stream = await Stream.findById(req.params.id);
+        if (!stream) return res.status(404).json({ error: 'Not found' });
+
+        const current = stream.requestProfile?.toObject ? stream.requestProfile.toObject() : {};
+        const keep = (value, previous) => (value === SECRET_MASK ? previous : value || undefined);
+        const { userAgent, referer, cookies, headers = [], auth = {}, urlToken = {} } = req.body;
+
+        stream.requestProfile = {
+            userAgent: userAgent || undefined,
+            referer: referer || undefined,
+            cookies: keep(cookies, current.cookies),
+            headers: headers.map(h => ({
+                name: h.name,
+                value: keep(h.value, current.headers?.find(c => c.name === h.name)?.value) || ''
+            })),
+            auth: {
+                scheme: auth.scheme || 'none',
+                username: auth.username || undefined,
+                password: keep(auth.password, current.auth?.password),
+                token: keep(auth.token, current.auth?.token)
+            },
+            urlToken: {
+                template: urlToken.template || undefined,
+                secret: keep(urlToken.secret, current.urlToken?.secret),
+                signWith: urlToken.signWith || undefined,
+                algorithm: urlToken.algorithm,
+                ttl: urlToken.ttl
+            }
+        };
+        await stream.save();
+
+        await logAction('STREAM_UPDATED', {
+            ...stream.toObject(),
+            details: 'Request profile updated'
+        }, req);
+
+        io.emit('stream:update', stream);
+        res.json(stream.toJSON().requestProfile);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // Delete stream - SECURE
 app.delete('/api/streams/:id', validateObjectId, async (req, res) => {
     try {
@@ -255,6 +470,15 @@ app.delete('/api/streams/:id', validateObjectId, async (req, res) => {
         await logAction('STREAM_DELETED', stream, req);
 
         await Stream.findByIdAndDelete(req.params.id);
+        await MonitorState.deleteMany({ streamId: req.params.id });
+        await ValidationReport.deleteMany({ streamId: req.params.id });
+        await ManifestSnapshot.deleteMany({ streamId: req.params.id });
+        await StatusTransition.deleteMany({ streamId: req.params.id });
+        await AlignmentReport.deleteMany({ streamId: req.params.id });
+        await SegmentProbe.deleteMany({ streamId: req.params.id });
+        await AdBreak.deleteMany({ streamId: req.params.id });
+        // The owning worker drops the stream from its next claim
+        await StreamLease.deleteMany({ streamId: req.params.id });
 
         // Emit real-time event
         io.emit('stream:deleted', req.params.id);
@@ -332,13 +556,16 @@ app.get('/api/streams/:id/log', validateObjectId, async (req, res) => {
 ─────────────────────────────────────────────────────────────────────
   Name:           ${stream.name}
   URL:            ${stream.url}
-  Status:         ${stream.status?.toUpperCase() || 'UNKNOWN'}
+  Status:         ${stream.status?.toUpperCase() || 'UNKNOWN'}${stream.statusSince ? ` since ${new Date(stream.statusSince).toLocaleString()}` : ''}${stream.statusReason ? ` (${stream.statusReason})` : ''}
   Export Date:    ${new Date().toLocaleString()}
   Log Period:     ${dateTitle}
 
 📊 HEALTH METRICS
 ─────────────────────────────────────────────────────────────────────
+  Format:             ${health.format || 'HLS'}${health.dash?.type ? ` (${health.dash.type} MPD, ${health.dash.periodCount ?? 0} period(s))` : ''}
   Is Stale:           ${health.isStale ? 'YES ⚠️' : 'NO ✅'}
+  Manifest Fetch:     ${health.fetch?.breaker === 'open' ? `OUTAGE ⚠️ (${health.fetch.consecutiveFailures} failed polls, ${health.fetch.lastError})` : health.fetch?.consecutiveFailures > 0 ? `RETRYING (${health.fetch.consecutiveFailures} failed poll(s))` : 'OK ✅'}${health.fetch?.retriedPolls ? `, ${health.fetch.retriedPolls} poll(s) recovered on retry` : ''}
+  Frozen:             ${health.frozen?.frozen ? `YES ⚠️ (${health.frozen.source}, ${health.frozen.duration?.toFixed(0)}s)` : 'NO ✅'}
   Media Sequence:     ${health.mediaSequence ?? 'N/A'}
   Segment Count:      ${health.segmentCount ?? 'N/A'}
   Target Duration:    ${health.targetDuration ? health.targetDuration + 's' : 'N/A'}
@@ -346,7 +573,9 @@ app.get('/api/streams/:id/log', validateObjectId, async (req, res) => {
   
   Sequence Jumps:     ${health.sequenceJumps ?? 0}
   Sequence Resets:    ${health.sequenceResets ?? 0}
-  Discontinuities:    ${health.discontinuityCount ?? 0}
+  Discontinuities:    ${health.discontinuityCount ?? 0} (${health.spliceDiscontinuities ?? 0} at ad splices)
+  A/V Sync:           ${health.avSync?.offset != null ? `${health.avSync.offset}ms offset, ${health.avSync.drift ?? 0}ms drift ${health.avSync.inSync ? '✅' : '⚠️'}` : 'N/A'}
+  Live Latency:       ${health.latency?.hasPdt ? `${(health.latency.latency / 1000).toFixed(1)}s (drift ${((health.latency.drift || 0) / 1000).toFixed(1)}s)` : 'N/A (no PDT)'}
   Total Errors:       ${health.totalErrors ?? 0}
 
 🎬 VIDEO STREAM
@@ -359,6 +588,10 @@ app.get('/api/streams/:id/log', validateObjectId, async (req, res) => {
   Pixel Format:   ${stats.video?.pixFmt || 'N/A'}
   Color Space:    ${stats.video?.colorSpace || 'N/A'}
   Video Bitrate:  ${stats.video?.bitRate ? (stats.video.bitRate / 1000).toFixed(0) + ' kbps' : 'N/A'}
+  Black Frames:   ${stats.video?.blackRatio != null ? `${Math.round(stats.video.blackRatio * 100)}% of last segment` : 'N/A'}
+  Frozen Frames:  ${stats.video?.frozenRatio != null ? `${Math.round(stats.video.frozenRatio * 100)}% of last segment` : 'N/A'}
+  GOP:            ${stats.video?.gop?.gopLength ? `${stats.video.gop.gopLength} frames${stats.video.gop.gopDuration ? ` (${stats.video.gop.gopDuration}s)` : ''}, ${stats.video.gop.keyframes} keyframe(s) in last segment${stats.video.gop.irregular ? ', irregular' : ''}` : 'N/A'}
+  Keyframe Start: ${stats.video?.gop ? (stats.video.gop.startsWithKeyframe ? 'YES ✅' : `NO (${stats.video.gop.firstFrameType || '?'}-frame) ⚠️`) : 'N/A'}
 
 🔊 AUDIO STREAM
 ─────────────────────────────────────────────────────────────────────
@@ -366,6 +599,12 @@ app.get('/api/streams/:id/log', validateObjectId, async (req, res) => {
   Channels:       ${stats.audio?.channels || 'N/A'}
   Sample Rate:    ${stats.audio?.sampleRate ? stats.audio.sampleRate + ' Hz' : 'N/A'}
   Audio Bitrate:  ${stats.audio?.bitRate ? (stats.audio.bitRate / 1000).toFixed(0) + ' kbps' : 'N/A'}
+  Loudness:       ${stats.audio?.loudness?.programIntegrated != null ? `${stats.audio.loudness.programIntegrated} LUFS over ${stats.audio.loudness.programDuration}s (LRA ${stats.audio.loudness.lra ?? 'N/A'} LU)` : 'N/A'}
+  True Peak:      ${stats.audio?.loudness?.truePeak != null ? `${stats.audio.loudness.truePeak} dBTP` : 'N/A'}
+  Compliance:     ${health.loudness?.profile === 'off' || !health.loudness?.profile ? 'N/A' : (health.loudness.loudnessCompliant && health.loudness.truePeakCompliant) ? `${health.loudness.profile} ✅` : `${health.loudness.profile} ⚠️ (${[!health.loudness.loudnessCompliant && `${health.loudness.deviation > 0 ? '+' : ''}${health.loudness.deviation} LU`, !health.loudness.truePeakCompliant && 'true peak over limit'].filter(Boolean).join(', ')})`}
+  Channel Levels: ${stats.audio?.channelLevels?.length > 0 ? stats.audio.channelLevels.map(ch => `${ch.name} ${ch.rmsDb ?? '-inf'}`).join(' / ') + ' dBFS RMS' : 'N/A'}
+  L/R Phase:      ${stats.audio?.phase ? `${stats.audio.phase.mean} (min ${stats.audio.phase.min})` : 'N/A'}
+  Channel Faults: ${[health.audioChannels?.deadChannels?.length > 0 && `dead ${health.audioChannels.deadChannels.join(', ')}`, health.audioChannels?.silentSurrounds && 'silent surrounds', health.audioChannels?.invertedPhase && 'inverted phase', health.audioChannels?.dualMono && 'dual mono'].filter(Boolean).join(', ') || 'NONE ✅'}
 
 📦 CONTAINER INFO
 ─────────────────────────────────────────────────────────────────────
@@ -375,6 +614,12 @@ app.get('/api/streams/:id/log', validateObjectId, async (req, res) => {
   Total Bitrate:  ${stats.container?.bitRate ? (stats.container.bitRate / 1000).toFixed(0) + ' kbps' : 'N/A'}
   Bandwidth:      ${stats.bandwidth ? (stats.bandwidth / 1000000).toFixed(2) + ' Mbps' : 'N/A'}
 
+📶 RENDITIONS
+─────────────────────────────────────────────────────────────────────
+${(health.renditions || []).length > 0
+    ? health.renditions.map(r => `  ${(r.name || 'unknown').padEnd(24)} ${(r.status || 'N/A').toUpperCase().padEnd(8)} seq=${r.mediaSequence ?? 'N/A'} segments=${r.segmentCount ?? 'N/A'}${r.delivery?.ttfb != null ? ` ttfb=${r.delivery.ttfb}ms download=${r.delivery.downloadTime}ms` : ''}`).join('\n')
+    : '  N/A'}
+
 📅 TIMESTAMPS
 ─────────────────────────────────────────────────────────────────────
   Created:        ${stream.createdAt ? new Date(stream.createdAt).toLocaleString() : 'N/A'}
@@ -383,6 +628,20 @@ app.get('/api/streams/:id/log', validateObjectId, async (req, res) => {
 
 `;
 
+        // Add active spec findings if any
+        const activeFindings = (stream.lintFindings || []).filter(f => f.active);
+        if (activeFindings.length > 0) {
+            log += `📋 SPEC COMPLIANCE (${activeFindings.length} active findings)
+─────────────────────────────────────────────────────────────────────
+`;
+            activeFindings.forEach(f => {
+                log += `  [${(f.severity || 'info').toUpperCase()}] ${f.ruleId} (RFC 8216 §${f.section}) - ${f.variant}
+      ${f.message}
+`;
+            });
+            log += '\n';
+        }
+
         // Add errors section if any
         if (errors.length > 0) {
             log += `⚠️  ERROR LOG (${errors.length} errors)
@@ -394,6 +653,7 @@ app.get('/api/streams/:id/log', validateObjectId, async (req, res) => {
       Time:    ${err.date ? new Date(err.date).toLocaleString() : 'N/A'}
       Details: ${err.details || 'No details'}
       Type:    ${err.mediaType || 'N/A'}
+      Variant: ${err.variant || 'N/A'}
 `;
             });
         } else {
@@ -452,6 +712,244 @@ app.get('/api/streams/:id/metrics', validateObjectId, async (req, res) => {
     }
 });
 
+// Get cross-variant alignment reports (per-variant positions at each poll), newest first
+app.get('/api/streams/:id/alignment', validateObjectId, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        const skip = parseInt(req.query.skip) || 0;
+        const query = { streamId: req.params.id };
+        if (req.query.misaligned === 'true') query.aligned = false;
+
+        const total = await AlignmentReport.countDocuments(query);
+        const reports = await AlignmentReport.find(query)
+            .sort({ timestamp: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean();
+
+        res.json({
+            data: reports,
+            total,
+            hasMore: (skip + reports.length) < total
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Get segment download timings (newest first), optionally one variant or failures only
+app.get('/api/streams/:id/segments', validateObjectId, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        const skip = parseInt(req.query.skip) || 0;
+        const query = { streamId: req.params.id };
+        if (req.query.variant) query.variant = String(req.query.variant);
+        if (req.query.failed === 'true') {
+            query.$or = [{ status: 0 }, { status: { $gte: 400 } }, { realTimeFactor: { $gt: 1 } }];
+        }
+
+        const total = await SegmentProbe.countDocuments(query);
+        const probes = await SegmentProbe.find(query)
+            .sort({ timestamp: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean();
+
+        res.json({
+            data: probes,
+            total,
+            hasMore: (skip + probes.length) < total
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Get status transitions (newest first), optionally one target status only
+app.get('/api/streams/:id/status-history', validateObjectId, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        const skip = parseInt(req.query.skip) || 0;
+        const query = { streamId: req.params.id };
+        if (req.query.status) query.to = String(req.query.status);
+
+        const total = await StatusTransition.countDocuments(query);
+        const transitions = await StatusTransition.find(query)
+            .sort({ at: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean();
+
+        res.json({
+            data: transitions,
+            total,
+            hasMore: (skip + transitions.length) < total
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Get the ad-break timeline (newest first), optionally one status only
+app.get('/api/streams/:id/ad-breaks', validateObjectId, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        const skip = parseInt(req.query.skip) || 0;
+        const query = { streamId: req.params.id };
+        if (req.query.status) query.status = String(req.query.status);
+
+        const total = await AdBreak.countDocuments(query);
+        const breaks = await AdBreak.find(query)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean();
+
+        res.json({
+            data: breaks,
+            total,
+            hasMore: (skip + breaks.length) < total
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Get asset validation reports (newest first)
+app.get('/api/streams/:id/validations', validateObjectId, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const skip = parseInt(req.query.skip) || 0;
+        const query = { streamId: req.params.id };
+
+        const total = await ValidationReport.countDocuments(query);
+        const reports = await ValidationReport.find(query)
+            .sort({ startedAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean();
+
+        res.json({
+            data: reports,
+            total,
+            hasMore: (skip + reports.length) < total
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Start a full-asset validation now; the report arrives via stream:update
+app.post('/api/streams/:id/validations', validateObjectId, async (req, res) => {
+    try {
+        const stream = await Stream.findById(req.params.id);
+        if (!stream) return res.status(404).json({ error: 'Not found' });
+        if (isValidationRunning(stream._id)) {
+            return res.status(409).json({ error: 'Validation already running' });
+        }
+
+        runValidation(stream, { trigger: 'manual', io });
+        res.status(202).json({ status: 'running' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ===== MANIFEST SNAPSHOT ROUTES =====
+
+const snapshotLabel = snapshot => `${snapshot.variant} @ ${new Date(snapshot.capturedAt).toISOString()}`;
+
+// List archived manifest snapshots (newest first, without their text)
+app.get('/api/streams/:id/snapshots', validateObjectId, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        const skip = parseInt(req.query.skip) || 0;
+        const query = { streamId: req.params.id };
+        if (req.query.variant) query.variant = String(req.query.variant);
+        if (req.query.errorId) query.errorIds = String(req.query.errorId);
+        if (req.query.pinned === 'true') query.pinned = true;
+
+        const total = await ManifestSnapshot.countDocuments(query);
+        const snapshots = await ManifestSnapshot.find(query)
+            .select('-text')
+            .sort({ capturedAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean();
+
+        res.json({
+            data: snapshots,
+            total,
+            hasMore: (skip + snapshots.length) < total
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// The snapshot being served at a given time, e.g. when an error fired.
+// Falls back to the master playlist / MPD for errors not tied to one rendition.
+app.get('/api/streams/:id/snapshots/at', validateObjectId, async (req, res) => {
+    try {
+        const time = new Date(req.query.time);
+        if (isNaN(time.getTime())) return res.status(400).json({ error: 'Invalid time' });
+
+        const base = { streamId: req.params.id, capturedAt: { $lte: time } };
+        const newest = query => ManifestSnapshot.findOne(query).sort({ capturedAt: -1 }).lean();
+        const snapshot = (req.query.variant && await newest({ ...base, variant: String(req.query.variant) })) ||
+            await newest({ ...base, kind: { $in: ['master', 'mpd'] } }) ||
+            await newest(base);
+        if (!snapshot) return res.status(404).json({ error: 'No snapshot archived at that time' });
+
+        res.json(snapshot);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Unified diff between two snapshots; `from` defaults to the snapshot before `to`
+app.get('/api/streams/:id/snapshots/diff', validateObjectId, async (req, res) => {
+    try {
+        const { from: fromId, to: toId } = req.query;
+        if (!mongoose.Types.ObjectId.isValid(toId) || (fromId && !mongoose.Types.ObjectId.isValid(fromId))) {
+            return res.status(400).json({ error: 'Invalid snapshot ID format' });
+        }
+
+        const to = await ManifestSnapshot.findOne({ _id: toId, streamId: req.params.id }).lean();
+        if (!to) return res.status(404).json({ error: 'Not found' });
+        const from = await ManifestSnapshot.findOne({ _id: fromId || to.previousId, streamId: req.params.id }).lean();
+        if (!from) return res.status(404).json({ error: 'No earlier snapshot to compare with' });
+
+        const changes = diffLines(from.text || '', to.text || '');
+        const countLines = part => part.count ?? part.value.split('\n').filter(Boolean).length;
+        const withoutText = ({ text, ...meta }) => meta;
+
+        res.json({
+            from: withoutText(from),
+            to: withoutText(to),
+            added: changes.filter(c => c.added).reduce((sum, c) => sum + countLines(c), 0),
+            removed: changes.filter(c => c.removed).reduce((sum, c) => sum + countLines(c), 0),
+            patch: createTwoFilesPatch(snapshotLabel(from), snapshotLabel(to), from.text || '', to.text || '')
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// One snapshot including its manifest text
+app.get('/api/streams/:id/snapshots/:snapshotId', validateObjectId, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.snapshotId)) {
+            return res.status(400).json({ error: 'Invalid snapshot ID format' });
+        }
+        const snapshot = await ManifestSnapshot.findOne({ _id: req.params.snapshotId, streamId: req.params.id }).lean();
+        if (!snapshot) return res.status(404).json({ error: 'Not found' });
+        res.json(snapshot);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // ===== AUDIT LOG ROUTES =====
 
 // Get all audit logs
@@ -574,7 +1072,35 @@ io.on('connection', (socket) => {
 });
 
 // Start Workers
-require('./workers/monitor')(io);
+// MONITOR_MODE=api leaves polling to standalone workers (npm run worker)
+const MONITOR_MODE = process.env.MONITOR_MODE || 'embedded';
+const monitor = MONITOR_MODE === 'api' ? null : require('./workers/monitor')(io, { mode: 'embedded' });
+
+// Monitor status: this process's scheduler (if embedded) plus every worker's last heartbeat
+app.get('/api/monitor/status', async (req, res) => {
+    try {
+        const workers = await MonitorWorker.find().sort({ startedAt: 1 }).lean();
+        const cutoff = Date.now() - LEASE_TTL;
+
+        res.json({
+            mode: MONITOR_MODE,
+            local: monitor ? { workerId: monitor.workerId, ...monitor.getStats() } : null,
+            workers: workers.map(w => ({
+                workerId: w.workerId,
+                hostname: w.hostname,
+                pid: w.pid,
+                mode: w.mode,
+                startedAt: w.startedAt,
+                lastHeartbeat: w.lastHeartbeat,
+                alive: new Date(w.lastHeartbeat).getTime() > cutoff,
+                streams: w.streams,
+                stats: w.stats
+            }))
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
 
 // SPA fallback - serve index.html for all non-API routes
 app.use((req, res, next) => {
@@ -590,6 +1116,22 @@ server.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
 });
 
+// ===== GRACEFUL SHUTDOWN =====
+
+// Release monitor leases so other instances take over without waiting for expiry
+async function shutdown(signal) {
+    console.log(`${signal} received, shutting down...`);
+    try {
+        if (monitor) await monitor.stop();
+    } catch (err) {
+        console.error('Shutdown error:', err.message);
+    }
+    process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 // ===== GLOBAL SAFETY NET =====
 
 // Prevent crash on unhandled rejection (Promise error)
@@ -0,0 +1,51 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { createEmitter } = require('./workers/socketBus');
+
+// ============================================
+// Standalone Monitor Worker
+// Polls its leased share of streams without serving HTTP. Run as many as
+// needed next to API servers started with MONITOR_MODE=api; socket events
+// reach clients through the MongoDB event bus.
+// ============================================
+
+const MONGO_URI = process.env.MONGO_URI;
+
+if (!MONGO_URI) {
+    console.error('❌ FATAL: MONGO_URI environment variable is not defined.');
+    process.exit(1);
+}
+
+let monitor = null;
+
+console.log('🔗 Connecting to MongoDB...');
+mongoose.connect(MONGO_URI)
+    .then(async () => {
+        console.log('✅ MongoDB Connected Successfully!');
+        const emitter = await createEmitter(mongoose.connection.db);
+        monitor = require('./workers/monitor')(emitter, { mode: 'worker' });
+        console.log(`👷 Monitor worker ${monitor.workerId} running`);
+    })
+    .catch(err => {
+        console.error('❌ Worker startup failed:', err);
+        process.exit(1);
+    });
+
+// Release leases on shutdown so other workers take over without waiting for expiry
+async function shutdown(signal) {
+    console.log(`${signal} received, releasing leases...`);
+    try {
+        if (monitor) await monitor.stop();
+        await mongoose.disconnect();
+    } catch (err) {
+        console.error('Shutdown error:', err.message);
+    }
+    process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+process.on('unhandledRejection', (reason, promise) => {
+    console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+});
@@ -0,0 +1,256 @@
+// ============================================
+// Ad Break Tracking
+// Builds a per-stream ad-break timeline from EXT-X-CUE-OUT / CUE-OUT-CONT /
+// CUE-IN tags and SCTE35 EXT-X-DATERANGE entries of the primary rendition.
+// Each break records its declared and actual duration; a cue-out that is
+// never answered by a cue-in, a cue-in without a cue-out and a break that
+// runs past its declared duration are reported. Discontinuities at ad
+// splice points are expected and classified apart from real faults.
+// ============================================
+
+// Target durations a break may run past its declared duration before it
+// overruns (splices land on segment boundaries, so one segment of slack)
+const OVERRUN_TOLERANCE_SEGMENTS = 1;
+
+// Target durations past the declared end before a missing cue-in is reported
+const MISSING_CUE_IN_GRACE_SEGMENTS = 2;
+
+// Declared duration from a cue-out value: "30", "30.000" or "DURATION=30"
+function parseCueDuration(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const match = String(value).match(/(?:^|DURATION=)\s*([\d.]+)/i);
+    return match ? parseFloat(match[1]) : null;
+}
+
+// Elapsed/declared seconds from a cue-out-cont value: "6/30" or "ElapsedTime=6,Duration=30"
+function parseCueOutCont(value) {
+    const text = String(value || '');
+    const slash = text.match(/^\s*([\d.]+)\s*\/\s*([\d.]+)/);
+    if (slash) return { elapsed: parseFloat(slash[1]), duration: parseFloat(slash[2]) };
+    const elapsed = text.match(/ELAPSEDTIME=([\d.]+)/i);
+    const duration = text.match(/DURATION=([\d.]+)/i);
+    return {
+        elapsed: elapsed ? parseFloat(elapsed[1]) : null,
+        duration: duration ? parseFloat(duration[1]) : null
+    };
+}
+
+// SCTE35 DATERANGEs with their start/end as epoch ms (end is null while open)
+function getDateRangeBreaks(manifest) {
+    return (manifest.dateRanges || [])
+        .filter(range => range.scte35Out || range.scte35In || range.scte35Cmd)
+        .map(range => {
+            const start = new Date(range.startDate).getTime();
+            let end = null;
+            if (range.endDate) end = new Date(range.endDate).getTime();
+            else if (range.duration !== undefined) end = start + range.duration * 1000;
+            return {
+                id: range.id,
+                start,
+                end,
+                plannedDuration: range.plannedDuration ?? null,
+                duration: range.duration ?? (end !== null ? (end - start) / 1000 : null),
+                scte35Out: range.scte35Out,
+                scte35In: range.scte35In
+            };
+        })
+        .filter(range => !Number.isNaN(range.start));
+}
+
+// Split the window's discontinuities into ad splices and everything else.
+// A splice is a discontinuity on a cue tag, inside a cue-out/cue-in span,
+// or at/inside an SCTE35 DATERANGE.
+function classifyDiscontinuities(manifest, targetDuration) {
+    const ranges = getDateRangeBreaks(manifest);
+    const slack = ((targetDuration || manifest.targetDuration || 6) * 1000) / 2;
+    const segments = manifest.segments || [];
+
+    // A cue-in before any cue-out means the window opens mid-break
+    const firstCue = segments.find(seg =>
+        seg.cueOut !== undefined || seg.cueOutCont !== undefined || seg.cueIn !== undefined);
+    let inBreak = !!firstCue && firstCue.cueIn !== undefined && firstCue.cueOut === undefined;
+    let splice = 0;
+    let unexpected = 0;
+
+    segments.forEach(seg => {
+        if (seg.cueOut !== undefined || seg.cueOutCont !== undefined) inBreak = true;
+
+        if (seg.discontinuity) {
+            const pdt = seg.programDateTime;
+            const inRange = pdt !== undefined && ranges.some(r =>
+                pdt >= r.start - slack && pdt <= (r.end ?? Infinity) + slack);
+            if (inBreak || seg.cueIn !== undefined || inRange) splice++;
+            else unexpected++;
+        }
+
+        if (seg.cueIn !== undefined) inBreak = false;
+    });
+
+    return { splice, unexpected };
+}
+
+// Wall-clock time of a segment: its PDT when present, else `fallback`
+function segmentTime(seg, fallback) {
+    return seg.programDateTime !== undefined ? new Date(seg.programDateTime) : new Date(fallback);
+}
+
+// Walk segments newer than tracker.lastSequence and advance the cue timeline.
+// tracker: { lastSequence, open }, mutated in place.
+// Returns { updates, issues }: AdBreak documents to upsert and
+// { breakId, issue, message } entries to report.
+function trackCueBreaks(tracker, manifest, now) {
+    const mediaSequence = manifest.mediaSequence || 0;
+    const targetDuration = manifest.targetDuration || 6;
+    const segmentCount = (manifest.segments || []).length;
+
+    // Nothing to compare against on the first poll or after a sequence reset
+    const firstPoll = tracker.lastSequence === null || mediaSequence + segmentCount - 1 < tracker.lastSequence;
+    if (firstPoll && tracker.lastSequence !== null) tracker.open = null;
+    const updates = new Map();
+    const issues = [];
+
+    const touch = adBreak => updates.set(adBreak.breakId, adBreak);
+    const flag = (adBreak, issue, message) => {
+        if (adBreak.issues.includes(issue)) return;
+        adBreak.issues.push(issue);
+        issues.push({ breakId: adBreak.breakId, issue, message });
+        touch(adBreak);
+    };
+    const close = (adBreak, seq, time, status) => {
+        adBreak.endSequence = seq;
+        adBreak.endTime = time;
+        adBreak.status = status;
+        touch(adBreak);
+    };
+
+    (manifest.segments || []).forEach((seg, i) => {
+        const seq = mediaSequence + i;
+        if (!firstPoll && seq <= tracker.lastSequence) return;
+        const time = segmentTime(seg, now);
+
+        // Cue-in closes the break before this segment
+        if (seg.cueIn !== undefined) {
+            const open = tracker.open;
+            if (open) {
+                const declared = open.declaredDuration;
+                const overrun = declared !== null && open.actualDuration > declared + OVERRUN_TOLERANCE_SEGMENTS * targetDuration;
+                if (overrun) {
+                    flag(open, 'overrun',
+                        `Ad break at mseq(${open.startSequence}) ran ${open.actualDuration.toFixed(1)}s, declared ${declared}s`);
+                }
+                close(open, seq, time, overrun ? 'overrun' : 'complete');
+                tracker.open = null;
+            } else if (!firstPoll) {
+                // On the first poll the cue-out may already have slid out of the window
+                const unmatched = {
+                    breakId: `cue-in-${seq}`, source: 'cue', startSequence: null, startTime: null,
+                    declaredDuration: null, actualDuration: null, issues: []
+                };
+                close(unmatched, seq, time, 'unmatched');
+                flag(unmatched, 'unmatched-cue-in', `CUE-IN at mseq(${seq}) without a preceding CUE-OUT`);
+            }
+        }
+
+        // Cue-out opens a break starting with this segment
+        if (seg.cueOut !== undefined) {
+            if (tracker.open) {
+                const previous = tracker.open;
+                flag(previous, 'missing-cue-in',
+                    `Ad break at mseq(${previous.startSequence}) never got a CUE-IN before the next CUE-OUT at mseq(${seq})`);
+                close(previous, seq, time, 'missing-cue-in');
+            }
+            tracker.open = {
+                breakId: `cue-${seq}`, source: 'cue', status: 'open',
+                startSequence: seq, startTime: time,
+                declaredDuration: parseCueDuration(seg.cueOut),
+                actualDuration: 0, issues: []
+            };
+            touch(tracker.open);
+        } else if (seg.cueOutCont !== undefined && !tracker.open && firstPoll) {
+            // Joined mid-break: back-date the start by the elapsed time
+            const cont = parseCueOutCont(seg.cueOutCont);
+            const elapsed = cont.elapsed || 0;
+            const startSequence = seq - Math.round(elapsed / targetDuration);
+            tracker.open = {
+                breakId: `cue-${startSequence}`, source: 'cue', status: 'open',
+                startSequence,
+                startTime: new Date(time.getTime() - elapsed * 1000),
+                declaredDuration: cont.duration, actualDuration: elapsed, issues: []
+            };
+            touch(tracker.open);
+        }
+
+        if (tracker.open) {
+            tracker.open.actualDuration += seg.duration || 0;
+            tracker.open.lastSequence = seq;
+            touch(tracker.open);
+        }
+    });
+
+    // Still open well past its declared end: the cue-in is missing
+    const open = tracker.open;
+    if (open && open.declaredDuration !== null &&
+        open.actualDuration > open.declaredDuration + MISSING_CUE_IN_GRACE_SEGMENTS * targetDuration) {
+        flag(open, 'missing-cue-in',
+            `Ad break at mseq(${open.startSequence}) has run ${open.actualDuration.toFixed(1)}s without a CUE-IN, declared ${open.declaredDuration}s`);
+    }
+
+    if (segmentCount > 0) tracker.lastSequence = mediaSequence + segmentCount - 1;
+
+    return { updates: [...updates.values()], issues };
+}
+
+// Current state of every SCTE35 DATERANGE in the window.
+// Returns { updates, issues } like trackCueBreaks.
+function trackDateRangeBreaks(manifest, now) {
+    const targetDuration = manifest.targetDuration || 6;
+    const segments = manifest.segments || [];
+    const last = segments[segments.length - 1];
+    const liveEdge = last?.programDateTime !== undefined ? last.programDateTime + (last.duration || 0) * 1000 : now;
+    const updates = [];
+    const issues = [];
+
+    getDateRangeBreaks(manifest).forEach(range => {
+        const breakId = `daterange-${range.id}`;
+        const adBreak = {
+            breakId, source: 'daterange',
+            status: range.end !== null ? 'complete' : 'open',
+            startTime: new Date(range.start),
+            endTime: range.end !== null ? new Date(range.end) : null,
+            declaredDuration: range.plannedDuration ?? range.duration,
+            actualDuration: range.end !== null ? range.duration : Math.max(0, (liveEdge - range.start) / 1000),
+            scte35Out: range.scte35Out,
+            scte35In: range.scte35In,
+            issues: []
+        };
+        const flag = (issue, message) => {
+            if (adBreak.issues.includes(issue)) return;
+            adBreak.issues.push(issue);
+            issues.push({ breakId, issue, message });
+        };
+
+        const declared = adBreak.declaredDuration;
+        if (declared !== null) {
+            if (range.end !== null && adBreak.actualDuration > declared + OVERRUN_TOLERANCE_SEGMENTS * targetDuration) {
+                adBreak.status = 'overrun';
+                flag('overrun', `DATERANGE ${range.id} ran ${adBreak.actualDuration.toFixed(1)}s, planned ${declared}s`);
+            } else if (range.end === null &&
+                adBreak.actualDuration > declared + MISSING_CUE_IN_GRACE_SEGMENTS * targetDuration) {
+                flag('missing-cue-in',
+                    `DATERANGE ${range.id} has run ${adBreak.actualDuration.toFixed(1)}s without an end, planned ${declared}s`);
+            }
+        }
+
+        updates.push(adBreak);
+    });
+
+    return { updates, issues };
+}
+
+module.exports = {
+    classifyDiscontinuities,
+    trackCueBreaks,
+    trackDateRangeBreaks,
+    parseCueDuration,
+    parseCueOutCont
+};
@@ -0,0 +1,107 @@
+// ============================================
+// Cross-Variant Alignment (ABR ladders)
+// Compares the media playlists of every variant fetched in the same poll.
+// Renditions must agree on which media sequence number carries which
+// content, otherwise players glitch when switching bitrates.
+// ============================================
+
+// Live edges may differ by one segment because variants are fetched a few
+// milliseconds apart and the packager may publish them in turn
+const SEQUENCE_TOLERANCE = 1;
+const PDT_TOLERANCE_MS = 500;
+
+// Per-segment positions keyed by media sequence number
+function getSegmentTimeline(manifest) {
+    const timeline = new Map();
+    let mseq = manifest.mediaSequence || 0;
+    let dseq = manifest.discontinuitySequence || 0;
+
+    (manifest.segments || []).forEach(seg => {
+        if (seg.discontinuity) dseq++;
+        timeline.set(mseq, { dseq, pdt: seg.programDateTime });
+        mseq++;
+    });
+
+    return timeline;
+}
+
+function getPosition(name, manifest) {
+    const segments = manifest.segments || [];
+    const mediaSequence = manifest.mediaSequence || 0;
+    const first = segments[0];
+    const last = segments[segments.length - 1];
+
+    return {
+        name,
+        mediaSequence,
+        lastSequence: mediaSequence + segments.length - 1,
+        discontinuitySequence: manifest.discontinuitySequence || 0,
+        firstProgramDateTime: first?.programDateTime ? new Date(first.programDateTime) : null,
+        lastProgramDateTime: last?.programDateTime ? new Date(last.programDateTime) : null
+    };
+}
+
+// variants: [{ name, manifest }] - only variant playlists, not EXT-X-MEDIA alternates
+function buildAlignmentReport(variants) {
+    const positions = variants.map(v => getPosition(v.name, v.manifest));
+    const timelines = variants.map(v => getSegmentTimeline(v.manifest));
+    const issues = [];
+    const issueKinds = []; // Parallel to issues: 'edge-drift', 'discontinuity' or 'pdt-drift'
+
+    // --- MEDIA SEQUENCE DRIFT (live edge) ---
+    const edges = positions.map(p => p.lastSequence);
+    const maxSequenceDrift = Math.max(...edges) - Math.min(...edges);
+    if (maxSequenceDrift > SEQUENCE_TOLERANCE) {
+        const ahead = positions.find(p => p.lastSequence === Math.max(...edges));
+        const behind = positions.find(p => p.lastSequence === Math.min(...edges));
+        issues.push(`Live edge drift of ${maxSequenceDrift} segments: ${ahead.name} at ${ahead.lastSequence}, ${behind.name} at ${behind.lastSequence}`);
+        issueKinds.push('edge-drift');
+    }
+
+    // --- COMMON SEGMENTS ---
+    // Only sequence numbers present in every variant can be compared
+    const common = [...timelines[0].keys()].filter(mseq => timelines.every(t => t.has(mseq)));
+
+    // --- DISCONTINUITY SEQUENCE ---
+    let discontinuityAligned = true;
+    for (const mseq of common) {
+        const values = timelines.map(t => t.get(mseq).dseq);
+        if (new Set(values).size > 1) {
+            discontinuityAligned = false;
+            issues.push(`Discontinuity sequence differs at mseq ${mseq}: ` +
+                positions.map((p, i) => `${p.name}=${values[i]}`).join(', '));
+            issueKinds.push('discontinuity');
+            break;
+        }
+    }
+
+    // --- PROGRAM-DATE-TIME ---
+    let maxPdtDriftMs = 0;
+    let worstPdtSequence = null;
+    for (const mseq of common) {
+        const values = timelines.map(t => t.get(mseq).pdt).filter(v => v !== undefined);
+        if (values.length < 2) continue;
+        const drift = Math.max(...values) - Math.min(...values);
+        if (drift > maxPdtDriftMs) {
+            maxPdtDriftMs = drift;
+            worstPdtSequence = mseq;
+        }
+    }
+    if (maxPdtDriftMs > PDT_TOLERANCE_MS) {
+        issues.push(`Program-date-time differs by ${maxPdtDriftMs}ms at mseq ${worstPdtSequence}`);
+        issueKinds.push('pdt-drift');
+    }
+
+    return {
+        aligned: issues.length === 0,
+        maxSequenceDrift,
+        maxPdtDriftMs,
+        discontinuityAligned,
+        commonSegments: common.length,
+        positions,
+        issues,
+        issueKinds
+    };
+}
+
+module.exports = { buildAlignmentReport, SEQUENCE_TOLERANCE, PDT_TOLERANCE_MS };
@@ -0,0 +1,103 @@
+// ============================================
+// Per-Channel Audio Analysis
+// The processor runs FFmpeg's astats over every primary-rendition segment
+// for per-channel peak/RMS levels and, on two or more channels, aphasemeter
+// over the front left/right pair for phase correlation (-1 inverted ... +1
+// identical). From those this module flags:
+// - Dead channels: one channel silent while the others carry audio
+// - Silent surrounds: 5.1/7.1 fronts active, every surround channel silent
+// - Inverted phase: left/right mostly cancel each other out
+// - Dual mono: a stereo pair carrying the same signal on both sides
+// LFE is left out of the dead-channel check; a quiet sub is normal.
+// ============================================
+
+const DEAD_CHANNEL_DB = -70;       // RMS dBFS at or below which a channel counts as dead
+const ACTIVE_CHANNEL_DB = -50;     // RMS dBFS a channel needs to count as carrying audio
+const INVERTED_PHASE = -0.3;       // Mean correlation below which L/R are out of phase
+const DUAL_MONO_PHASE = 0.99;      // Mean correlation above which L/R may be identical ...
+const DUAL_MONO_LEVEL_DB = 0.5;    // ... provided their RMS levels are this close
+
+// Channel names in FFmpeg's default order for common channel counts
+const CHANNEL_NAMES = {
+    1: ['C'],
+    2: ['L', 'R'],
+    6: ['L', 'R', 'C', 'LFE', 'Ls', 'Rs'],
+    8: ['L', 'R', 'C', 'LFE', 'Lb', 'Rb', 'Ls', 'Rs']
+};
+const SURROUNDS = ['Ls', 'Rs', 'Lb', 'Rb'];
+
+// FFmpeg -af chain: levels for every channel; phase on the first two when there are two or more
+function getChannelFilters(channels) {
+    const filters = ['astats=metadata=0:reset=0'];
+    if (channels >= 2) {
+        filters.push(
+            'pan=stereo|c0=c0|c1=c1',
+            'aphasemeter=video=0',
+            'ametadata=mode=print:key=lavfi.aphasemeter.phase'
+        );
+    }
+    return filters;
+}
+
+const toDb = value => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? +number.toFixed(1) : null; // "-inf" -> null (digital silence)
+};
+
+// FFmpeg stderr -> { channels: [{ channel, name, peakDb, rmsDb }], phase: { mean, min } | null }
+// astats prints a "Channel: N" block per channel, then an "Overall" block;
+// ametadata prints "lavfi.aphasemeter.phase=0.87" per audio frame
+function parseChannelStats(stderr) {
+    const log = stderr || '';
+    const statsLog = log.split(/\]\s*Overall/)[0];
+    const blocks = statsLog.split(/\]\s*Channel:\s*/).slice(1);
+    if (blocks.length === 0) return null;
+
+    const names = CHANNEL_NAMES[blocks.length] || [];
+    const channels = blocks.map((block, i) => ({
+        channel: i + 1,
+        name: names[i] || `Ch${i + 1}`,
+        peakDb: toDb(block.match(/Peak level dB:\s*(\S+)/)?.[1]),
+        rmsDb: toDb(block.match(/RMS level dB:\s*(\S+)/)?.[1])
+    }));
+
+    const readings = [...log.matchAll(/lavfi\.aphasemeter\.phase=(-?[\d.]+)/g)]
+        .map(m => parseFloat(m[1]))
+        .filter(Number.isFinite);
+    const phase = readings.length > 0 ? {
+        mean: +(readings.reduce((sum, v) => sum + v, 0) / readings.length).toFixed(3),
+        min: +Math.min(...readings).toFixed(3)
+    } : null;
+
+    return { channels, phase };
+}
+
+const isDead = ch => ch.rmsDb === null || ch.rmsDb <= DEAD_CHANNEL_DB;
+const isActive = ch => ch.rmsDb !== null && ch.rmsDb > ACTIVE_CHANNEL_DB;
+
+// Parsed stats -> { deadChannels: [names], silentSurrounds, invertedPhase, dualMono }
+// Nothing is flagged while the whole segment is quiet; that is silence, not a channel fault.
+function evaluateChannels({ channels, phase }) {
+    const issues = { deadChannels: [], silentSurrounds: false, invertedPhase: false, dualMono: false };
+    if (channels.length < 2 || !channels.some(isActive)) return issues;
+
+    const surrounds = channels.filter(ch => SURROUNDS.includes(ch.name));
+    issues.silentSurrounds = surrounds.length > 0 && surrounds.every(isDead);
+    issues.deadChannels = channels
+        .filter(ch => ch.name !== 'LFE' && isDead(ch))
+        .filter(ch => !(issues.silentSurrounds && SURROUNDS.includes(ch.name)))
+        .map(ch => ch.name);
+
+    const [left, right] = channels;
+    if (phase && isActive(left) && isActive(right)) {
+        issues.invertedPhase = phase.mean < INVERTED_PHASE;
+        issues.dualMono = phase.mean >= DUAL_MONO_PHASE && Math.abs(left.rmsDb - right.rmsDb) <= DUAL_MONO_LEVEL_DB;
+    }
+    return issues;
+}
+
+module.exports = {
+    getChannelFilters,
+    parseChannelStats,
+    evaluateChannels
+};
@@ -0,0 +1,501 @@
+const { XMLParser } = require('fast-xml-parser');
+
+// ============================================
+// MPEG-DASH (MPD) Support
+// An MPD is parsed and every Representation is expanded into the same
+// shape m3u8-parser gives a media playlist (media sequence, segments with
+// absolute URIs, durations and wall-clock times, target duration, end
+// flag), so the HLS rendition checks - staleness, sequence jumps/resets,
+// window continuity, PDT/latency, segment delivery - run unchanged.
+// What HLS has no equivalent for is checked here: SegmentTimeline gaps and
+// overlaps, period boundaries and the availability window.
+// ============================================
+
+// SegmentTimeline entries may be off by this much (seconds) before they count as a gap/overlap
+const TIMELINE_TOLERANCE = 0.001;
+
+// Newest segment may end this far (ms) past our clock before it counts as advertised too early
+const AVAILABILITY_TOLERANCE = 1000;
+
+// $Number$ templates without a timeline describe every segment since the
+// period started; only the newest ones are expanded
+const GENERATED_SEGMENT_CAP = 100;
+
+const ARRAY_ELEMENTS = new Set(['Period', 'AdaptationSet', 'Representation', 'S', 'SegmentURL', 'BaseURL']);
+
+const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    parseAttributeValue: false,
+    parseTagValue: false,
+    removeNSPrefix: true,
+    isArray: name => ARRAY_ELEMENTS.has(name)
+});
+
+function isMpd(text) {
+    return typeof text === 'string' && /<MPD[\s>]/.test(text);
+}
+
+// ISO 8601 duration (PT1H2M3.5S, P1DT2H) in seconds, or null
+function parseDuration(value) {
+    if (!value) return null;
+    const match = String(value).trim().match(
+        /^(-)?P(?:([\d.]+)Y)?(?:([\d.]+)M)?(?:([\d.]+)W)?(?:([\d.]+)D)?(?:T(?:([\d.]+)H)?(?:([\d.]+)M)?(?:([\d.]+)S)?)?$/
+    );
+    if (!match) return null;
+    const [, sign, years, months, weeks, days, hours, minutes, seconds] = match.map(v => v === undefined ? 0 : v);
+    const total = parseFloat(years) * 31536000 + parseFloat(months) * 2592000 + parseFloat(weeks) * 604800 +
+        parseFloat(days) * 86400 + parseFloat(hours) * 3600 + parseFloat(minutes) * 60 + parseFloat(seconds);
+    return sign ? -total : total;
+}
+
+function parseDate(value) {
+    if (!value) return null;
+    const time = new Date(value).getTime();
+    return Number.isNaN(time) ? null : time;
+}
+
+function toNumber(value, fallback = null) {
+    if (value === undefined || value === null || value === '') return fallback;
+    const number = Number(value);
+    return Number.isNaN(number) ? fallback : number;
+}
+
+// First BaseURL of an element resolved against the parent's base
+function resolveBase(element, base) {
+    const baseUrl = element?.BaseURL?.[0];
+    const value = typeof baseUrl === 'object' ? baseUrl['#text'] : baseUrl;
+    return value ? new URL(value.trim(), base).toString() : base;
+}
+
+// SegmentTemplate/SegmentList attributes inherit Period -> AdaptationSet -> Representation
+function mergeSegmentInfo(name, ...levels) {
+    const found = levels.map(level => level?.[name]).filter(Boolean);
+    if (found.length === 0) return null;
+    return found.reduce((merged, info) => ({ ...merged, ...info }), {});
+}
+
+function parseMpd(text) {
+    const doc = parser.parse(text);
+    const mpd = doc.MPD;
+    if (!mpd) throw new Error('Document has no MPD element');
+
+    const type = mpd.type === 'dynamic' ? 'dynamic' : 'static';
+    const mediaPresentationDuration = parseDuration(mpd.mediaPresentationDuration);
+    const rawPeriods = mpd.Period || [];
+
+    // Period@start may be omitted: it follows the previous period's end
+    const periods = [];
+    rawPeriods.forEach((period, index) => {
+        const previous = periods[index - 1];
+        let start = parseDuration(period.start);
+        const explicitStart = start !== null;
+        if (start === null) {
+            start = previous ? (previous.duration !== null ? previous.start + previous.duration : null) : 0;
+        }
+        periods.push({
+            id: period.id ?? null,
+            index,
+            start,
+            explicitStart,
+            duration: parseDuration(period.duration),
+            declaredDuration: parseDuration(period.duration),
+            element: period
+        });
+    });
+
+    // A period without a duration lasts until the next one (or the presentation's end)
+    periods.forEach((period, index) => {
+        if (period.duration !== null) return;
+        const next = periods[index + 1];
+        if (next?.start !== null && next?.start !== undefined && period.start !== null) {
+            period.duration = next.start - period.start;
+        } else if (!next && mediaPresentationDuration !== null && period.start !== null) {
+            period.duration = mediaPresentationDuration - period.start;
+        }
+    });
+
+    return {
+        type,
+        root: mpd,
+        profiles: mpd.profiles,
+        availabilityStartTime: parseDate(mpd.availabilityStartTime),
+        publishTime: parseDate(mpd.publishTime),
+        minimumUpdatePeriod: parseDuration(mpd.minimumUpdatePeriod),
+        timeShiftBufferDepth: parseDuration(mpd.timeShiftBufferDepth),
+        suggestedPresentationDelay: parseDuration(mpd.suggestedPresentationDelay),
+        mediaPresentationDuration,
+        periods
+    };
+}
+
+// $RepresentationID$, $Number%05d$, $Time$, $Bandwidth$ and $$
+function fillTemplate(template, values) {
+    return template.replace(/\$(RepresentationID|Number|Time|Bandwidth|)(?:%0(\d+)d)?\$/g, (match, name, width) => {
+        if (name === '') return '$';
+        const value = values[name];
+        if (value === undefined || value === null) return match;
+        return width ? String(value).padStart(parseInt(width), '0') : String(value);
+    });
+}
+
+// Expand a SegmentTimeline into { t, d } entries (in timescale units).
+// r="-1" repeats until the next S@t, the period end or the live edge (`endTime`).
+function expandTimeline(entries, { startTime, endTime }) {
+    const segments = [];
+    const issues = [];
+    let time = null;
+
+    entries.forEach((entry, i) => {
+        const d = toNumber(entry.d, 0);
+        if (!(d > 0)) {
+            issues.push(`S[${i}] has no positive duration`);
+            return;
+        }
+        const t = toNumber(entry.t);
+        if (t !== null) {
+            if (time !== null && t !== time) {
+                issues.push({ at: t, delta: t - time });
+            }
+            time = t;
+        } else if (time === null) {
+            time = startTime;
+        }
+
+        let repeat = toNumber(entry.r, 0);
+        if (repeat < 0) {
+            const nextT = toNumber(entries[i + 1]?.t);
+            if (nextT !== null) repeat = Math.ceil((nextT - time) / d) - 1;
+            // Open-ended: only segments finished by the period end / live edge exist
+            else if (endTime !== null) repeat = Math.floor((endTime - time) / d) - 1;
+            else repeat = 0;
+            repeat = Math.max(0, repeat);
+        }
+        for (let k = 0; k <= repeat; k++) {
+            segments.push({ t: time, d });
+            time += d;
+        }
+    });
+
+    return { segments, issues };
+}
+
+// Segments of one Representation within one Period.
+// Returns { segments: [{ number, uri, duration, start (s into the period) }], issues, clockDriven }
+// clockDriven: a dynamic $Number$ template whose window is derived from our own clock
+function getRepresentationSegments(mpd, period, adaptationSet, representation, baseUrl, now) {
+    const template = mergeSegmentInfo('SegmentTemplate', period.element, adaptationSet, representation);
+    const list = mergeSegmentInfo('SegmentList', period.element, adaptationSet, representation);
+    const info = template || list;
+    const values = { RepresentationID: representation.id, Bandwidth: representation.bandwidth };
+    const issues = [];
+
+    // Single-file representation (SegmentBase / plain BaseURL)
+    if (!info) {
+        return {
+            segments: [{ number: 0, uri: baseUrl, duration: period.duration || 0, start: 0 }],
+            issues
+        };
+    }
+
+    const timescale = toNumber(info.timescale, 1);
+    const presentationTimeOffset = toNumber(info.presentationTimeOffset, 0);
+    const startNumber = toNumber(info.startNumber, 1);
+    const periodStartTime = mpd.availabilityStartTime !== null && period.start !== null
+        ? mpd.availabilityStartTime + period.start * 1000
+        : null;
+
+    // Live edge in timescale units relative to the period (dynamic only)
+    let edge = null;
+    if (mpd.type === 'dynamic' && periodStartTime !== null) {
+        let elapsed = (now - periodStartTime) / 1000;
+        if (period.duration !== null) elapsed = Math.min(elapsed, period.duration);
+        edge = presentationTimeOffset + elapsed * timescale;
+    } else if (period.duration !== null) {
+        edge = presentationTimeOffset + period.duration * timescale;
+    }
+
+    let entries;
+    let clockDriven = false;
+    const timeline = info.SegmentTimeline?.S;
+    if (timeline) {
+        const expanded = expandTimeline(timeline, { startTime: presentationTimeOffset, endTime: edge });
+        expanded.issues.forEach(issue => {
+            if (typeof issue === 'string') {
+                issues.push(issue);
+            } else if (Math.abs(issue.delta / timescale) > TIMELINE_TOLERANCE) {
+                const seconds = Math.abs(issue.delta / timescale).toFixed(3);
+                issues.push(issue.delta > 0
+                    ? `SegmentTimeline gap of ${seconds}s before t=${issue.at}`
+                    : `SegmentTimeline overlap of ${seconds}s at t=${issue.at}`);
+            }
+        });
+        entries = expanded.segments.map((s, i) => ({ ...s, number: startNumber + i }));
+    } else {
+        const duration = toNumber(info.duration);
+        const listUrls = list?.SegmentURL || [];
+        if (!(duration > 0)) {
+            if (listUrls.length === 0) issues.push('SegmentTemplate has neither a SegmentTimeline nor a duration');
+            entries = [];
+        } else if (template && !list) {
+            // Number-addressed template: the clock decides which segments exist
+            clockDriven = mpd.type === 'dynamic';
+            let first = 0;
+            let count = edge !== null ? Math.floor((edge - presentationTimeOffset) / duration) : 0;
+            if (mpd.type === 'static' && edge !== null) count = Math.ceil((edge - presentationTimeOffset) / duration);
+            if (mpd.type === 'dynamic' && mpd.timeShiftBufferDepth !== null) {
+                first = Math.max(0, count - Math.ceil(mpd.timeShiftBufferDepth * timescale / duration));
+            }
+            first = Math.max(first, count - GENERATED_SEGMENT_CAP);
+            entries = [];
+            for (let i = first; i < count; i++) {
+                const t = presentationTimeOffset + i * duration;
+                // The last segment of a finished period ends with the period
+                const d = mpd.type === 'static' ? Math.min(duration, edge - t) : duration;
+                entries.push({ t, d, number: startNumber + i });
+            }
+        } else {
+            entries = listUrls.map((_, i) => ({ t: presentationTimeOffset + i * duration, d: duration, number: startNumber + i }));
+        }
+    }
+
+    const segments = entries.map((entry, i) => {
+        let uri;
+        if (list) {
+            const segmentUrl = list.SegmentURL?.[entry.number - startNumber] || list.SegmentURL?.[i];
+            uri = segmentUrl?.media ? new URL(segmentUrl.media, baseUrl).toString() : baseUrl;
+        } else {
+            uri = new URL(fillTemplate(template.media || '', { ...values, Number: entry.number, Time: entry.t }), baseUrl).toString();
+        }
+        return {
+            number: entry.number,
+            uri,
+            duration: entry.d / timescale,
+            start: (entry.t - presentationTimeOffset) / timescale
+        };
+    });
+
+    return { segments, issues, clockDriven, availabilityTimeOffset: toNumber(info.availabilityTimeOffset, 0) };
+}
+
+function getMediaType(adaptationSet, representation) {
+    const contentType = adaptationSet.contentType || '';
+    const mimeType = representation.mimeType || adaptationSet.mimeType || '';
+    if (contentType === 'audio' || mimeType.startsWith('audio')) return 'AUDIO';
+    if (contentType === 'text' || mimeType.startsWith('text') || mimeType.includes('ttml') || mimeType.includes('vtt')) return 'SUBTITLES';
+    return 'VIDEO';
+}
+
+function getRepresentationName(mediaType, adaptationSet, representation) {
+    if (mediaType === 'VIDEO') {
+        const parts = [];
+        const width = representation.width || adaptationSet.width;
+        const height = representation.height || adaptationSet.height;
+        if (width && height) parts.push(`${width}x${height}`);
+        if (representation.bandwidth) parts.push(`${Math.round(representation.bandwidth / 1000)}kbps`);
+        if (parts.length > 0) return parts.join(' @ ');
+    }
+    const language = adaptationSet.lang || representation.lang;
+    return `${mediaType} ${adaptationSet.id ?? mediaType.toLowerCase()}/${representation.id}${language ? ` [${language}]` : ''}`;
+}
+
+// Every Representation as a rendition with an HLS-shaped `manifest`.
+// Representations are matched across periods by content type and id.
+// `offsets` (Map, updated in place) keeps each period's $Number$ offset so the
+// media sequence keeps counting up when a new period restarts numbering.
+function toRenditions(mpd, { url, now = Date.now(), offsets = new Map() }) {
+    const renditions = new Map();
+    const mpdBase = resolveBase(mpd.root, url);
+
+    mpd.periods.forEach(period => {
+        const periodKey = period.id ?? String(period.start);
+        const periodBase = resolveBase(period.element, mpdBase);
+
+        (period.element.AdaptationSet || []).forEach((adaptationSet, asIndex) => {
+            const asBase = resolveBase(adaptationSet, periodBase);
+
+            (adaptationSet.Representation || []).forEach((representation, repIndex) => {
+                const mediaType = getMediaType(adaptationSet, representation);
+                const key = `${mediaType}:${representation.id ?? `${asIndex}-${repIndex}`}`;
+                const repBase = resolveBase(representation, asBase);
+                const { segments, issues, clockDriven, availabilityTimeOffset } =
+                    getRepresentationSegments(mpd, period, adaptationSet, representation, repBase, now);
+
+                let rendition = renditions.get(key);
+                if (!rendition) {
+                    const width = representation.width || adaptationSet.width;
+                    const height = representation.height || adaptationSet.height;
+                    rendition = {
+                        key: `dash:${key}`,
+                        name: getRepresentationName(mediaType, adaptationSet, representation),
+                        url,
+                        format: 'dash',
+                        mediaType,
+                        // Only video forms the ABR ladder; other adaptation sets are alternates
+                        groupId: mediaType === 'VIDEO' ? undefined : (adaptationSet.id ?? mediaType.toLowerCase()),
+                        language: adaptationSet.lang || representation.lang,
+                        bandwidth: toNumber(representation.bandwidth) ?? undefined,
+                        resolution: width && height ? `${width}x${height}` : undefined,
+                        codecs: representation.codecs || adaptationSet.codecs,
+                        clockDriven,
+                        availabilityTimeOffset,
+                        issues: [],
+                        segments: [],
+                        mediaSequence: null
+                    };
+                    renditions.set(key, rendition);
+                }
+                issues.forEach(issue => rendition.issues.push(`${issue} in period ${periodKey}`));
+                if (segments.length === 0) return;
+
+                // Sequence numbers continue from the previous period of this representation
+                const offsetKey = `${key}|${periodKey}`;
+                if (!offsets.has(offsetKey)) {
+                    const previousLast = rendition.segments.length > 0
+                        ? rendition.mediaSequence + rendition.segments.length - 1
+                        : null;
+                    offsets.set(offsetKey, previousLast !== null ? previousLast + 1 - segments[0].number : 0);
+                }
+                const offset = offsets.get(offsetKey);
+                if (rendition.mediaSequence === null) rendition.mediaSequence = segments[0].number + offset;
+
+                const periodStartTime = mpd.availabilityStartTime !== null && period.start !== null
+                    ? mpd.availabilityStartTime + period.start * 1000
+                    : null;
+                segments.forEach(seg => rendition.segments.push({
+                    uri: seg.uri,
+                    duration: seg.duration,
+                    programDateTime: periodStartTime !== null ? Math.round(periodStartTime + seg.start * 1000) : undefined,
+                    period: periodKey
+                }));
+            });
+        });
+    });
+
+    // Forget offsets of periods that left the MPD
+    const livePeriods = new Set(mpd.periods.map(p => p.id ?? String(p.start)));
+    [...offsets.keys()].forEach(offsetKey => {
+        if (!livePeriods.has(offsetKey.slice(offsetKey.indexOf('|') + 1))) offsets.delete(offsetKey);
+    });
+
+    return [...renditions.values()].map(({ segments, mediaSequence, ...rendition }) => ({
+        ...rendition,
+        manifest: {
+            mediaSequence: mediaSequence || 0,
+            discontinuitySequence: 0,
+            targetDuration: Math.ceil(Math.max(0, ...segments.map(s => s.duration))),
+            endList: mpd.type === 'static',
+            playlistType: mpd.type === 'static' ? 'VOD' : undefined,
+            segments
+        }
+    }));
+}
+
+// MPD-level checks against the previous poll.
+// state: { periods: { id: start }, publishTime }, updated in place.
+// `primary` is the rendition whose timeline stands for the availability window.
+// Returns { issues: [{ kind: 'period' | 'availability', key, message }], summary }.
+// `key` stays the same while a condition persists so callers can report it once.
+function checkMpd(state, mpd, primary, now) {
+    const issues = [];
+    const report = (kind, key, message) => issues.push({ kind, key, message });
+    const dynamic = mpd.type === 'dynamic';
+
+    // --- PERIODS ---
+    mpd.periods.forEach((period, index) => {
+        if (dynamic && mpd.periods.length > 1 && period.id === null) {
+            report('period', `no-id-${index}`, `Period ${index} has no id; multi-period dynamic MPDs need Period@id`);
+        }
+        const previous = mpd.periods[index - 1];
+        if (previous && period.explicitStart && previous.declaredDuration !== null && previous.start !== null) {
+            const expected = previous.start + previous.declaredDuration;
+            const delta = period.start - expected;
+            if (Math.abs(delta) > TIMELINE_TOLERANCE) {
+                report('period', `boundary-${period.id ?? index}`, `Period ${period.id ?? index} starts at ${period.start.toFixed(3)}s, ` +
+                    `${delta > 0 ? 'leaving a gap' : 'overlapping'} of ${Math.abs(delta).toFixed(3)}s after period ${previous.id ?? index - 1}`);
+            }
+        }
+    });
+
+    const knownPeriods = state.periods || {};
+    const newPeriods = [];
+    mpd.periods.forEach(period => {
+        if (period.id === null) return;
+        const knownStart = knownPeriods[period.id];
+        if (knownStart === undefined) {
+            newPeriods.push(period.id);
+        } else if (period.start !== null && Math.abs(knownStart - period.start) > TIMELINE_TOLERANCE) {
+            report('period', `moved-${period.id}-${period.start}`, `Period ${period.id} start moved from ${knownStart.toFixed(3)}s to ${period.start.toFixed(3)}s`);
+        }
+    });
+    // The first poll only learns the periods
+    const periodChanges = state.periods ? newPeriods.length : 0;
+    state.periods = Object.fromEntries(mpd.periods.filter(p => p.id !== null).map(p => [p.id, p.start]));
+
+    // --- PUBLISH TIME ---
+    if (dynamic && mpd.publishTime !== null && state.publishTime && mpd.publishTime < state.publishTime) {
+        report('availability', `publish-${mpd.publishTime}`, `MPD@publishTime moved backwards from ${new Date(state.publishTime).toISOString()} to ${new Date(mpd.publishTime).toISOString()}`);
+    }
+    state.publishTime = mpd.publishTime;
+
+    // --- AVAILABILITY WINDOW ---
+    const segments = primary?.manifest.segments || [];
+    const first = segments[0];
+    const last = segments[segments.length - 1];
+    let windowStart = null;
+    let windowEnd = null;
+    if (first?.programDateTime !== undefined && last?.programDateTime !== undefined) {
+        windowStart = first.programDateTime;
+        windowEnd = last.programDateTime + last.duration * 1000;
+    }
+
+    if (dynamic) {
+        if (mpd.availabilityStartTime === null) {
+            report('availability', 'no-ast', 'Dynamic MPD has no availabilityStartTime');
+        } else if (mpd.availabilityStartTime > now + AVAILABILITY_TOLERANCE) {
+            report('availability', 'ast-future', `availabilityStartTime is ${Math.round((mpd.availabilityStartTime - now) / 1000)}s in the future`);
+        }
+
+        // Clock-driven windows are derived from availabilityStartTime, so they can't be early or short
+        if (windowEnd !== null && !primary.clockDriven) {
+            // A segment becomes available once it has been fully produced
+            const early = windowEnd - now - (primary.availabilityTimeOffset || 0) * 1000;
+            if (early > AVAILABILITY_TOLERANCE) {
+                report('availability', 'early', `Newest segment is advertised ${(early / 1000).toFixed(1)}s before it can be available (check availabilityStartTime / UTCTiming)`);
+            }
+
+            // The timeline should cover the time-shift buffer once the stream has run that long
+            const targetDuration = primary.manifest.targetDuration || 0;
+            const depth = mpd.timeShiftBufferDepth;
+            const periodStart = mpd.availabilityStartTime + (mpd.periods[0]?.start || 0) * 1000;
+            const covered = (windowEnd - windowStart) / 1000;
+            if (depth !== null && now - periodStart > depth * 1000 && covered < depth - 2 * targetDuration) {
+                report('availability', 'coverage', `Timeline covers ${covered.toFixed(1)}s of the ${depth}s timeShiftBufferDepth`);
+            }
+        }
+    }
+
+    const currentPeriod = [...mpd.periods].reverse().find(p =>
+        mpd.availabilityStartTime === null || p.start === null || mpd.availabilityStartTime + p.start * 1000 <= now);
+
+    return {
+        issues,
+        summary: {
+            type: mpd.type,
+            profiles: mpd.profiles,
+            availabilityStartTime: mpd.availabilityStartTime !== null ? new Date(mpd.availabilityStartTime) : null,
+            publishTime: mpd.publishTime !== null ? new Date(mpd.publishTime) : null,
+            minimumUpdatePeriod: mpd.minimumUpdatePeriod,
+            timeShiftBufferDepth: mpd.timeShiftBufferDepth,
+            periodCount: mpd.periods.length,
+            currentPeriod: currentPeriod ? (currentPeriod.id ?? String(currentPeriod.index)) : null,
+            periodChanges,
+            newPeriods: periodChanges > 0 ? newPeriods : [],
+            windowStart: windowStart !== null ? new Date(windowStart) : null,
+            windowEnd: windowEnd !== null ? new Date(windowEnd) : null,
+            windowDuration: windowStart !== null ? +((windowEnd - windowStart) / 1000).toFixed(3) : null
+        }
+    };
+}
+
+module.exports = { isMpd, parseMpd, parseDuration, toRenditions, checkMpd };
@@ -0,0 +1,40 @@
+const { execFile } = require('child_process');
+
+// ============================================
+// Raw FFprobe Runner
+// fluent-ffmpeg's ffprobe() only returns streams and format; packet and
+// frame listings are read by running ffprobe directly with JSON output.
+// Uses the same FFPROBE_PATH override as fluent-ffmpeg.
+// ============================================
+
+const PROBE_TIMEOUT = 30000;                // ms
+const PROBE_MAX_BUFFER = 32 * 1024 * 1024;  // bytes of JSON
+
+// Run ffprobe on a URL with the given -show_entries/-select_streams arguments
+// and resolve its parsed JSON output
+function probeJson(url, inputOptions = [], args = []) {
+    return new Promise((resolve, reject) => {
+        execFile(process.env.FFPROBE_PATH || 'ffprobe',
+            ['-v', 'error', ...inputOptions, ...args, '-of', 'json', url],
+            { timeout: PROBE_TIMEOUT, maxBuffer: PROBE_MAX_BUFFER },
+            (err, stdout) => {
+                if (err) return reject(err);
+                try {
+                    resolve(JSON.parse(stdout));
+                } catch (parseErr) {
+                    reject(parseErr);
+                }
+            });
+    });
+}
+
+// The processor's probe pass over a segment: container and stream info (what
+// fluent-ffmpeg's ffprobe() returns) plus every packet's timestamps and
+// keyframe flag. Packets are read without decoding.
+function probeSegment(url, inputOptions = []) {
+    return probeJson(url, inputOptions, [
+        '-show_entries', 'format:stream:packet=stream_index,pts_time,dts_time,duration_time,flags'
+    ]);
+}
+
+module.exports = { probeJson, probeSegment };
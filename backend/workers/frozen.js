@@ -0,0 +1,144 @@
+// ============================================
+// Frozen Content Detection
+// A stream can keep advancing its media sequence while serving the same
+// picture (a looping slate, a stuck encoder). Two signals catch it:
+// - Repeated segments: a newly published segment whose URI, or whose
+//   downloaded bytes, were already served at another media sequence
+// - Thumbnail dHash: a 64-bit perceptual hash of each primary-rendition
+//   thumbnail, compared with the previous one
+// Either one lasting monitoring.frozenThreshold seconds freezes the stream.
+// ============================================
+
+// Segments remembered per rendition for repeat detection
+const SEGMENT_HISTORY = 200;
+
+// dHashes this many bits apart or fewer count as the same picture
+// (JPEG noise flips a bit or two on an unchanged frame)
+const HASH_TOLERANCE_BITS = 2;
+
+// Default frozenThreshold (seconds) when the stream sets none
+const DEFAULT_FROZEN_THRESHOLD = 30;
+
+// Per-stream thumbnail timeline written by the processor:
+// streamId -> { hash, mediaSequence, sampledAt, unchangedSince, samples }
+const thumbnails = new Map();
+
+// Difference hash of a 9x8 8-bit grayscale frame: one bit per horizontally
+// adjacent pixel pair, set when brightness drops left to right. Hex string.
+function dHash(pixels) {
+    if (!pixels || pixels.length < 72) return null;
+    let bits = 0n;
+    for (let row = 0; row < 8; row++) {
+        for (let col = 0; col < 8; col++) {
+            const left = pixels[row * 9 + col];
+            const right = pixels[row * 9 + col + 1];
+            bits = (bits << 1n) | (left > right ? 1n : 0n);
+        }
+    }
+    return bits.toString(16).padStart(16, '0');
+}
+
+function hammingDistance(a, b) {
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let count = 0;
+    while (diff > 0n) {
+        count += Number(diff & 1n);
+        diff >>= 1n;
+    }
+    return count;
+}
+
+// Called by the processor for every primary-rendition thumbnail. The same
+// segment thumbnailed again is a stale playlist, not a frozen picture, so it
+// isn't counted. Keyed by media sequence: segment URLs may carry rotating
+// tokens or cache busters.
+function recordThumbnailHash(streamId, hash, mediaSequence, now = Date.now()) {
+    const id = streamId.toString();
+    const previous = thumbnails.get(id);
+    if (previous && previous.mediaSequence === mediaSequence) return;
+
+    const unchanged = previous?.hash && hammingDistance(previous.hash, hash) <= HASH_TOLERANCE_BITS;
+    thumbnails.set(id, {
+        hash,
+        mediaSequence,
+        sampledAt: now,
+        unchangedSince: unchanged ? previous.unchangedSince : now,
+        samples: unchanged ? previous.samples + 1 : 1
+    });
+}
+
+function forgetThumbnails(streamId) {
+    thumbnails.delete(streamId.toString());
+}
+
+// Compare newly published segments with the ones seen before.
+// state.recentSegments ([{ uri, hash, mediaSequence }]) and state.repeatRun
+// ({ count, duration, since }) are updated in place.
+// segments: new segments ({ uri without query, mediaSequence, duration });
+// deliveries: their download probes (contentHash)
+// Returns the repeats found: [{ mediaSequence, uri, firstSequence, by: 'uri' | 'content' }]
+function trackRepeatedSegments(state, segments, deliveries, now) {
+    const recent = state.recentSegments || [];
+    const run = state.repeatRun || { count: 0, duration: 0, since: null };
+    const repeats = [];
+
+    segments.forEach(seg => {
+        const delivery = deliveries.find(d => d.mediaSequence === seg.mediaSequence && d.status < 400 && d.bytes > 0);
+        const hash = delivery?.contentHash || null;
+
+        const sameUri = recent.find(r => r.uri === seg.uri && r.mediaSequence !== seg.mediaSequence);
+        const sameContent = !sameUri && hash ? recent.find(r => r.hash === hash && r.mediaSequence !== seg.mediaSequence) : null;
+        const original = sameUri || sameContent;
+
+        if (original) {
+            repeats.push({ mediaSequence: seg.mediaSequence, uri: seg.uri, firstSequence: original.mediaSequence, by: sameUri ? 'uri' : 'content' });
+            run.count++;
+            run.duration += seg.duration || 0;
+            run.since = run.since || now;
+        } else {
+            run.count = 0;
+            run.duration = 0;
+            run.since = null;
+        }
+
+        recent.push({ uri: seg.uri, hash, mediaSequence: seg.mediaSequence });
+    });
+
+    state.recentSegments = recent.slice(-SEGMENT_HISTORY);
+    state.repeatRun = run;
+    return repeats;
+}
+
+// Stream-level verdict from the primary rendition's repeat run and the
+// thumbnail timeline. Returns { frozen, source, since, duration (s), threshold (s), ... }
+function evaluateFrozen(stream, primaryHealth, now) {
+    const threshold = stream.monitoring?.frozenThreshold || DEFAULT_FROZEN_THRESHOLD;
+    const thumbnail = thumbnails.get(stream._id.toString());
+
+    // A thumbnail timeline only counts while the processor keeps sampling
+    const fresh = thumbnail && now - thumbnail.sampledAt <= Math.max(threshold * 1000, 60000);
+    const imageFor = fresh && thumbnail.samples > 1 ? (thumbnail.sampledAt - thumbnail.unchangedSince) / 1000 : 0;
+    const repeatFor = primaryHealth.repeatingFor || 0;
+
+    const source = repeatFor >= threshold ? 'segments' : imageFor >= threshold ? 'thumbnail' : null;
+    return {
+        frozen: source !== null,
+        source,
+        since: source === 'segments' ? primaryHealth.repeatingSince
+            : source === 'thumbnail' ? new Date(thumbnail.unchangedSince) : null,
+        duration: source === 'segments' ? repeatFor : imageFor,
+        threshold,
+        repeatedSegments: primaryHealth.repeatedSegments || 0,
+        unchangedFor: +imageFor.toFixed(1),
+        thumbnailHash: thumbnail?.hash || null
+    };
+}
+
+module.exports = {
+    dHash,
+    hammingDistance,
+    recordThumbnailHash,
+    forgetThumbnails,
+    trackRepeatedSegments,
+    evaluateFrozen
+};
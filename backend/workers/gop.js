@@ -0,0 +1,119 @@
+const { probeJson } = require('./ffprobe');
+
+// ============================================
+// GOP & Keyframe Structure
+// A player can only switch renditions cleanly at a segment that opens with
+// a keyframe, and at the same place on every rendition, which needs a fixed
+// GOP. Two conditions are flagged:
+// - The segment doesn't start on a keyframe
+// - Its GOP length differs from the previous segment's (not across an
+//   EXT-X-DISCONTINUITY, where an ad or another encoder may take over)
+// The start is checked on the decoded first frame, which must be an I-frame
+// the decoder marks as a key frame (only that frame is read). GOP length and
+// keyframe interval come from the keyframe flags in the packet list of the
+// segment probe, so nothing else is decoded and frames count in decode order.
+// Those flags mark every random access point, so an open GOP's I-frames or a
+// recovery point also count as keyframes there: the figures are
+// keyframe-based, not IDR-based.
+// The trailing GOP of a segment may be cut short by the segment boundary,
+// so only GOPs closed by a following keyframe count towards the length,
+// unless the segment is a single GOP.
+// ============================================
+
+const GOP_TOLERANCE = 1; // Frames a GOP may vary by before it counts as changed
+
+// Nominal GOP length (frames) of the previous segment: streamId -> { mediaSequence, discontinuitySequence, gopLength }
+const previousGops = new Map();
+
+// The first video frame in decode order: only the first packet is read
+function probeFirstFrame(url, inputOptions = []) {
+    return probeJson(url, inputOptions, [
+        '-select_streams', 'v:0', '-read_intervals', '%+#1',
+        '-show_entries', 'frame=key_frame,pict_type'
+    ]);
+}
+
+// Most frequent GOP length; on a tie the longest, since a scene-cut keyframe
+// splits a regular GOP into shorter ones
+const mostCommon = values => {
+    const counts = new Map();
+    values.forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+    return [...counts.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0])[0]?.[0] ?? null;
+};
+
+// ffprobe JSON with packets (see probeSegment() in ffprobe.js) and, from
+// probeFirstFrame(), the first frame -> { frames, keyframes, startsWithKeyframe,
+// firstFrameType, gopLength (frames), gopLengths, gopDuration (s),
+// keyframeInterval (s), irregular, pattern } or null without video.
+// Without the first frame the start falls back to its packet flag.
+function parseGop(probe, firstFrameProbe = null) {
+    const video = (probe?.streams || []).find(s => s.codec_type === 'video');
+    const frames = (probe?.packets || []).filter(p => video && p.stream_index === video.index).map(p => ({
+        key: (p.flags || '').includes('K'),
+        time: parseFloat(p.pts_time)
+    }));
+    if (frames.length === 0) return null;
+
+    const keyIndexes = frames.map((f, i) => (f.key ? i : -1)).filter(i => i >= 0);
+    const gopLengths = keyIndexes.slice(1).map((index, i) => index - keyIndexes[i]);
+    const keyTimes = keyIndexes.map(i => frames[i].time).filter(Number.isFinite);
+    const intervals = keyTimes.slice(1).map((time, i) => time - keyTimes[i]);
+
+    // One keyframe at the head: the whole segment is the GOP
+    const singleGop = keyIndexes.length === 1 && keyIndexes[0] === 0;
+    const gopLength = gopLengths.length > 0 ? mostCommon(gopLengths) : singleGop ? frames.length : null;
+    // Decode order: the PTS span, not the first and last packet, gives the frame rate
+    const times = frames.map(f => f.time).filter(Number.isFinite);
+    const span = times.length > 1 ? Math.max(...times) - Math.min(...times) : 0;
+    const fps = span > 0 ? (times.length - 1) / span : null;
+
+    const first = firstFrameProbe?.frames?.[0];
+    return {
+        frames: frames.length,
+        keyframes: keyIndexes.length,
+        startsWithKeyframe: first ? first.key_frame === 1 && first.pict_type === 'I' : frames[0].key,
+        firstFrameType: first?.pict_type || null,
+        gopLength,
+        gopLengths,
+        gopDuration: gopLength && fps ? +(gopLength / fps).toFixed(3) : null,
+        keyframeInterval: intervals.length > 0 ? +(intervals.reduce((sum, v) => sum + v, 0) / intervals.length).toFixed(3) : null,
+        irregular: new Set(gopLengths).size > 1,
+        pattern: frames.slice(0, 32).map(f => (f.key ? 'K' : '.')).join('')
+    };
+}
+
+// Compare a segment's GOP with the previous segment's on the same timeline.
+// segment: { mediaSequence, discontinuitySequence }
+// Returns null for a segment already analysed, otherwise { previousGopLength, changed }
+function trackGop(streamId, segment, gop) {
+    const id = streamId.toString();
+    const stored = previousGops.get(id);
+    if (stored && stored.mediaSequence === segment.mediaSequence) return null;
+
+    const previous = stored?.discontinuitySequence === segment.discontinuitySequence ? stored : null;
+    const changed = previous?.gopLength != null && gop.gopLength != null
+        && Math.abs(gop.gopLength - previous.gopLength) > GOP_TOLERANCE;
+    previousGops.set(id, {
+        mediaSequence: segment.mediaSequence,
+        discontinuitySequence: segment.discontinuitySequence,
+        gopLength: gop.gopLength ?? previous?.gopLength ?? null
+    });
+    return { previousGopLength: previous?.gopLength ?? null, changed };
+}
+
+// A poll without a new segment hands the same one over again
+function isGopAnalyzed(streamId, mediaSequence) {
+    return previousGops.get(streamId.toString())?.mediaSequence === mediaSequence;
+}
+
+function forgetGops(streamId) {
+    previousGops.delete(streamId.toString());
+}
+
+module.exports = {
+    probeFirstFrame,
+    parseGop,
+    trackGop,
+    isGopAnalyzed,
+    forgetGops
+};
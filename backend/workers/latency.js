@@ -0,0 +1,87 @@
+// ============================================
+// Live Latency (EXT-X-PROGRAM-DATE-TIME)
+// Latency is how far the end of the newest segment lies behind our own
+// clock. PDT must advance with the EXTINF durations; a tag that moves the
+// timeline backwards or forwards, or a segment whose PDT changes between
+// polls, breaks player clock sync and every latency figure after it.
+// ============================================
+
+// Larger PDT deviations than this are jumps (encoders round to ms, EXTINF to a few decimals)
+const PDT_JUMP_TOLERANCE = 500;
+
+// Default latency budget in target durations when a stream sets none
+const DEFAULT_BUDGET_SEGMENTS = 3;
+
+// Wall-clock end of the newest segment that carries a PDT, or null
+function getLiveEdge(manifest) {
+    const segments = manifest.segments || [];
+    for (let i = segments.length - 1; i >= 0; i--) {
+        const seg = segments[i];
+        if (seg.programDateTime !== undefined) {
+            // Later segments without PDT still extend the edge by their durations
+            const tail = segments.slice(i).reduce((sum, s) => sum + (s.duration || 0), 0);
+            return seg.programDateTime + tail * 1000;
+        }
+    }
+    return null;
+}
+
+// Latency budget in ms: the stream's own (seconds) or N target durations
+function getLatencyBudget(stream, targetDuration) {
+    const budget = stream.monitoring?.latencyBudget;
+    if (budget > 0) return budget * 1000;
+    return targetDuration ? DEFAULT_BUDGET_SEGMENTS * targetDuration * 1000 : null;
+}
+
+// PDT checks for one playlist. state.lastPdt ({ mediaSequence, time }) is the
+// newest PDT seen on the previous poll and is updated in place.
+// Returns { hasPdt, liveEdge, latency, jumps } - jumps are { mediaSequence, delta, message }
+function checkProgramDateTime(state, manifest, now) {
+    const mediaSequence = manifest.mediaSequence || 0;
+    const segments = manifest.segments || [];
+    const liveEdge = getLiveEdge(manifest);
+    const jumps = [];
+
+    if (liveEdge === null) {
+        state.lastPdt = null;
+        return { hasPdt: false, liveEdge: null, latency: null, jumps };
+    }
+
+    // The segment we last saw must keep its PDT
+    const previous = state.lastPdt;
+    const index = previous ? previous.mediaSequence - mediaSequence : -1;
+    const known = segments[index];
+    if (known?.programDateTime !== undefined && Math.abs(known.programDateTime - previous.time) > PDT_JUMP_TOLERANCE) {
+        const delta = known.programDateTime - previous.time;
+        jumps.push({
+            mediaSequence: previous.mediaSequence, delta,
+            message: `PDT of mseq(${previous.mediaSequence}) moved ${delta > 0 ? 'forwards' : 'backwards'} by ${Math.abs(delta)}ms between polls`
+        });
+    }
+
+    // Within the window, each PDT must follow from its predecessor's EXTINF.
+    // Only segments after the last checked one, so a jump is reported once.
+    const firstNew = index >= 0 ? index + 1 : 1;
+    for (let i = Math.max(1, firstNew); i < segments.length; i++) {
+        const prev = segments[i - 1];
+        const seg = segments[i];
+        if (seg.programDateTime === undefined || prev.programDateTime === undefined) continue;
+
+        const expected = prev.programDateTime + (prev.duration || 0) * 1000;
+        const delta = seg.programDateTime - expected;
+        // A new timeline may start later after a discontinuity, never earlier
+        if (delta < -PDT_JUMP_TOLERANCE || (delta > PDT_JUMP_TOLERANCE && !seg.discontinuity)) {
+            jumps.push({
+                mediaSequence: mediaSequence + i, delta,
+                message: `PDT jumped ${delta > 0 ? 'forwards' : 'backwards'} by ${Math.abs(delta)}ms at mseq(${mediaSequence + i})`
+            });
+        }
+    }
+
+    const lastIndex = segments.map(s => s.programDateTime !== undefined).lastIndexOf(true);
+    state.lastPdt = { mediaSequence: mediaSequence + lastIndex, time: segments[lastIndex].programDateTime };
+
+    return { hasPdt: true, liveEdge: new Date(liveEdge), latency: Math.round(now - liveEdge), jumps };
+}
+
+module.exports = { checkProgramDateTime, getLatencyBudget, getLiveEdge };
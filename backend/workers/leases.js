@@ -0,0 +1,109 @@
+const os = require('os');
+const Stream = require('../models/Stream');
+const StreamLease = require('../models/StreamLease');
+const MonitorWorker = require('../models/MonitorWorker');
+
+// ============================================
+// Stream Leases (Horizontal Scaling)
+// Every monitor process heartbeats into MonitorWorker and leases its share
+// of streams through StreamLease. Leases are renewed on every claim; a
+// worker that dies stops renewing, its leases expire after LEASE_TTL and
+// the survivors take them over. Each worker holds at most
+// ceil(streams / live workers) leases, so a new worker gets load shed to it.
+// ============================================
+
+const LEASE_TTL = parseInt(process.env.MONITOR_LEASE_TTL) || 30000; // Must exceed the scheduler sync interval
+
+function createLeaseManager({ mode = 'embedded', ttl = LEASE_TTL, getStats = () => null, onAcquire = async () => { } } = {}) {
+    const workerId = `${os.hostname()}:${process.pid}`;
+    const startedAt = new Date();
+    let owned = new Set();
+
+    async function heartbeat() {
+        const now = new Date();
+        await MonitorWorker.updateOne(
+            { workerId },
+            {
+                $set: {
+                    hostname: os.hostname(), pid: process.pid, mode, startedAt,
+                    lastHeartbeat: now, streams: owned.size, stats: getStats()
+                }
+            },
+            { upsert: true }
+        );
+        await StreamLease.updateMany({ owner: workerId }, { $set: { expiresAt: new Date(now.getTime() + ttl) } });
+    }
+
+    // Try to take one free or expired lease; losing the race is not an error
+    async function acquire(streamId, now) {
+        try {
+            const lease = await StreamLease.findOneAndUpdate(
+                { streamId, $or: [{ expiresAt: { $lte: now } }, { owner: workerId }] },
+                { $set: { owner: workerId, acquiredAt: now, expiresAt: new Date(now.getTime() + ttl) } },
+                { upsert: true, new: true }
+            );
+            return lease.owner === workerId;
+        } catch (err) {
+            if (err.code === 11000) return false; // Held by another worker
+            throw err;
+        }
+    }
+
+    // Renew, rebalance and top up leases; returns the stream ids this worker should poll
+    async function claim() {
+        await heartbeat();
+
+        const now = new Date();
+        const [streamIds, liveWorkers, leases] = await Promise.all([
+            Stream.distinct('_id'),
+            MonitorWorker.countDocuments({ lastHeartbeat: { $gt: new Date(now.getTime() - ttl) } }),
+            StreamLease.find({ expiresAt: { $gt: now } }).select('streamId owner').lean()
+        ]);
+
+        const existing = new Set(streamIds.map(String));
+        const fairShare = Math.ceil(streamIds.length / Math.max(1, liveWorkers));
+        let mine = leases.filter(l => l.owner === workerId).map(l => l.streamId.toString());
+
+        // Drop leases of deleted streams and shed anything above our fair share
+        const surplus = mine.filter(id => !existing.has(id));
+        mine = mine.filter(id => existing.has(id));
+        if (mine.length > fairShare) surplus.push(...mine.splice(fairShare));
+        if (surplus.length > 0) {
+            await StreamLease.deleteMany({ owner: workerId, streamId: { $in: surplus } });
+        }
+
+        // Take over free or expired streams up to our fair share
+        const held = new Set(leases.map(l => l.streamId.toString()));
+        const acquired = [];
+        for (const id of streamIds.map(String)) {
+            if (mine.length >= fairShare) break;
+            if (held.has(id)) continue;
+            if (await acquire(id, now)) {
+                mine.push(id);
+                acquired.push(id);
+            }
+        }
+
+        if (acquired.length > 0) {
+            console.log(`[LEASE] ${workerId}: Acquired ${acquired.length} stream(s), holding ${mine.length}/${streamIds.length}`);
+            await onAcquire(acquired);
+        }
+        if (surplus.length > 0) {
+            console.log(`[LEASE] ${workerId}: Released ${surplus.length} stream(s)`);
+        }
+
+        owned = new Set(mine);
+        return mine;
+    }
+
+    // Graceful shutdown: hand streams over immediately instead of after LEASE_TTL
+    async function release() {
+        await StreamLease.deleteMany({ owner: workerId });
+        await MonitorWorker.deleteOne({ workerId });
+        owned = new Set();
+    }
+
+    return { workerId, claim, release, owns: id => owned.has(id.toString()) };
+}
+
+module.exports = { createLeaseManager, LEASE_TTL };
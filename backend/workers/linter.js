@@ -0,0 +1,252 @@
+// ============================================
+// RFC 8216 Playlist Linter
+// Static compliance checks run on every fetched manifest.
+// Rule IDs are stable so findings can be tracked across polls
+// and handed to packager vendors as-is.
+// ============================================
+
+const RULES = {
+    EXTM3U_MISSING: { severity: 'error', section: '4.3.1.1', title: 'Playlist must start with #EXTM3U' },
+    VERSION_MULTIPLE: { severity: 'error', section: '4.3.1.2', title: 'More than one EXT-X-VERSION tag' },
+    VERSION_INCOMPATIBLE: { severity: 'error', section: '7', title: 'EXT-X-VERSION lower than the features used require' },
+    MIXED_PLAYLIST: { severity: 'error', section: '4.1', title: 'Playlist mixes Master and Media Playlist tags' },
+
+    TARGETDURATION_MISSING: { severity: 'error', section: '4.3.3.1', title: 'EXT-X-TARGETDURATION is required' },
+    TARGETDURATION_NOT_INTEGER: { severity: 'error', section: '4.3.3.1', title: 'EXT-X-TARGETDURATION must be a decimal-integer' },
+    EXTINF_MISSING: { severity: 'error', section: '4.3.2.1', title: 'Segment without EXTINF duration' },
+    EXTINF_EXCEEDS_TARGETDURATION: { severity: 'error', section: '4.3.3.1', title: 'Rounded EXTINF exceeds EXT-X-TARGETDURATION' },
+    LIVE_WINDOW_TOO_SHORT: { severity: 'warning', section: '6.2.2', title: 'Live playlist shorter than three target durations' },
+    VOD_ENDLIST_MISSING: { severity: 'warning', section: '4.3.3.5', title: 'VOD playlist without EXT-X-ENDLIST' },
+
+    // Low-Latency HLS (draft-pantos-hls-rfc8216bis sections)
+    PART_INF_MISSING: { severity: 'error', section: 'bis 4.4.3.7', title: 'EXT-X-PART used without EXT-X-PART-INF' },
+    PART_EXCEEDS_PART_TARGET: { severity: 'error', section: 'bis 4.4.4.9', title: 'Partial segment longer than PART-TARGET' },
+    PART_TOO_SHORT: { severity: 'error', section: 'bis 4.4.4.9', title: 'Non-final partial segment shorter than 85% of PART-TARGET' },
+    PART_HOLD_BACK_MISSING: { severity: 'error', section: 'bis 4.4.3.8', title: 'EXT-X-PART-INF without PART-HOLD-BACK' },
+    PART_HOLD_BACK_TOO_SHORT: { severity: 'error', section: 'bis 4.4.3.8', title: 'PART-HOLD-BACK shorter than twice PART-TARGET' },
+    CAN_BLOCK_RELOAD_MISSING: { severity: 'error', section: 'bis 6.2.5.2', title: 'Low-latency playlist without CAN-BLOCK-RELOAD=YES' },
+
+    VARIANT_BANDWIDTH_MISSING: { severity: 'error', section: '4.3.4.2', title: 'EXT-X-STREAM-INF without BANDWIDTH' },
+    VARIANT_CODECS_MISSING: { severity: 'warning', section: '4.3.4.2', title: 'EXT-X-STREAM-INF should include CODECS' },
+    VARIANT_RESOLUTION_MISSING: { severity: 'warning', section: '4.3.4.2', title: 'Video variant should include RESOLUTION' },
+    MEDIA_GROUP_UNDEFINED: { severity: 'error', section: '4.3.4.2', title: 'Variant references an undefined EXT-X-MEDIA group' },
+    MEDIA_DEFAULT_MULTIPLE: { severity: 'error', section: '4.3.4.1.1', title: 'More than one DEFAULT=YES member in a rendition group' }
+};
+
+const VIDEO_CODEC_PATTERN = /^(avc1|avc3|hvc1|hev1|av01|vp09|dvh1|dvhe)/i;
+
+function getLines(text) {
+    return (text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+}
+
+function finding(ruleId, message) {
+    const rule = RULES[ruleId];
+    return {
+        ruleId,
+        severity: rule.severity,
+        section: rule.section,
+        message: message || rule.title
+    };
+}
+
+// Checks shared by master and media playlists
+function lintCommon(lines, findings) {
+    if (lines[0] !== '#EXTM3U') {
+        findings.push(finding('EXTM3U_MISSING'));
+    }
+
+    const versionTags = lines.filter(line => line.startsWith('#EXT-X-VERSION'));
+    if (versionTags.length > 1) {
+        findings.push(finding('VERSION_MULTIPLE', `Found ${versionTags.length} EXT-X-VERSION tags`));
+    }
+}
+
+// Minimum EXT-X-VERSION implied by the tags and attributes in use (RFC 8216 section 7)
+function getRequiredVersion(lines, manifest) {
+    const features = [];
+
+    if (lines.some(line => /^#EXT-X-KEY:.*\bIV=/.test(line))) {
+        features.push({ version: 2, feature: 'IV attribute of EXT-X-KEY' });
+    }
+    if ((manifest.segments || []).some(seg => seg.duration !== undefined && !Number.isInteger(seg.duration))) {
+        features.push({ version: 3, feature: 'floating-point EXTINF durations' });
+    }
+    if (lines.some(line => line.startsWith('#EXT-X-BYTERANGE'))) {
+        features.push({ version: 4, feature: 'EXT-X-BYTERANGE' });
+    }
+    const iFramesOnly = lines.includes('#EXT-X-I-FRAMES-ONLY');
+    if (iFramesOnly) {
+        features.push({ version: 4, feature: 'EXT-X-I-FRAMES-ONLY' });
+    }
+    if (lines.some(line => /^#EXT-X-KEY:.*\bKEYFORMAT(VERSIONS)?=/.test(line))) {
+        features.push({ version: 5, feature: 'KEYFORMAT/KEYFORMATVERSIONS attributes' });
+    }
+    if (lines.some(line => line.startsWith('#EXT-X-MAP'))) {
+        features.push(iFramesOnly
+            ? { version: 5, feature: 'EXT-X-MAP' }
+            : { version: 6, feature: 'EXT-X-MAP without EXT-X-I-FRAMES-ONLY' });
+    }
+
+    return features;
+}
+
+function lintVersion(lines, manifest, findings) {
+    const declared = manifest.version || 1;
+    const missing = getRequiredVersion(lines, manifest).filter(f => f.version > declared);
+    if (missing.length === 0) return;
+
+    const required = Math.max(...missing.map(f => f.version));
+    findings.push(finding('VERSION_INCOMPATIBLE',
+        `EXT-X-VERSION is ${declared} but ${missing.map(f => f.feature).join(', ')} require version ${required}`));
+}
+
+function lintMasterPlaylist(manifest, text) {
+    const findings = [];
+    const lines = getLines(text);
+
+    lintCommon(lines, findings);
+    lintVersion(lines, manifest, findings);
+
+    if (lines.some(line => line.startsWith('#EXTINF'))) {
+        findings.push(finding('MIXED_PLAYLIST', 'Master Playlist contains EXTINF segment tags'));
+    }
+
+    // Offenders are grouped so each rule yields one finding per poll
+    const offenders = {
+        VARIANT_BANDWIDTH_MISSING: [],
+        VARIANT_CODECS_MISSING: [],
+        VARIANT_RESOLUTION_MISSING: [],
+        MEDIA_GROUP_UNDEFINED: [],
+        MEDIA_DEFAULT_MULTIPLE: []
+    };
+    const mediaGroups = manifest.mediaGroups || {};
+
+    (manifest.playlists || []).forEach(playlist => {
+        const attrs = playlist.attributes || {};
+
+        if (!attrs.BANDWIDTH) offenders.VARIANT_BANDWIDTH_MISSING.push(playlist.uri);
+        if (!attrs.CODECS) offenders.VARIANT_CODECS_MISSING.push(playlist.uri);
+
+        // Only flag RESOLUTION when the variant is (or may be) video
+        const isVideo = !attrs.CODECS || attrs.CODECS.split(',').some(c => VIDEO_CODEC_PATTERN.test(c.trim()));
+        if (isVideo && !attrs.RESOLUTION) offenders.VARIANT_RESOLUTION_MISSING.push(playlist.uri);
+
+        ['AUDIO', 'VIDEO', 'SUBTITLES', 'CLOSED-CAPTIONS'].forEach(type => {
+            const groupId = attrs[type];
+            if (!groupId || groupId === 'NONE') return;
+            if (!mediaGroups[type] || !mediaGroups[type][groupId]) {
+                offenders.MEDIA_GROUP_UNDEFINED.push(`${playlist.uri} -> ${type} "${groupId}"`);
+            }
+        });
+    });
+
+    Object.entries(mediaGroups).forEach(([type, groups]) => {
+        Object.entries(groups || {}).forEach(([groupId, members]) => {
+            const defaults = Object.values(members || {}).filter(m => m.default).length;
+            if (defaults > 1) offenders.MEDIA_DEFAULT_MULTIPLE.push(`${type} "${groupId}" (${defaults})`);
+        });
+    });
+
+    Object.entries(offenders).forEach(([ruleId, list]) => {
+        if (list.length === 0) return;
+        findings.push(finding(ruleId, `${RULES[ruleId].title}: ${list.join(', ')}`));
+    });
+
+    return findings;
+}
+
+function lintMediaPlaylist(manifest, text) {
+    const findings = [];
+    const lines = getLines(text);
+    const segments = manifest.segments || [];
+
+    lintCommon(lines, findings);
+    lintVersion(lines, manifest, findings);
+
+    if (lines.some(line => line.startsWith('#EXT-X-STREAM-INF'))) {
+        findings.push(finding('MIXED_PLAYLIST', 'Media Playlist contains EXT-X-STREAM-INF tags'));
+    }
+
+    const targetTag = lines.find(line => line.startsWith('#EXT-X-TARGETDURATION'));
+    const targetDuration = manifest.targetDuration;
+
+    if (!targetTag) {
+        findings.push(finding('TARGETDURATION_MISSING'));
+    } else if (!/^#EXT-X-TARGETDURATION:\d+$/.test(targetTag)) {
+        findings.push(finding('TARGETDURATION_NOT_INTEGER', `Found "${targetTag}"`));
+    }
+
+    const missingExtinf = segments.filter(seg => seg.duration === undefined).length;
+    if (missingExtinf > 0) {
+        findings.push(finding('EXTINF_MISSING', `${missingExtinf} segment(s) have no EXTINF duration`));
+    }
+
+    if (targetDuration > 0) {
+        // Report the worst offender only; one finding per rule per poll
+        const longest = segments.reduce((max, seg) =>
+            (seg.duration !== undefined && seg.duration > (max?.duration ?? -1)) ? seg : max, null);
+        if (longest && Math.round(longest.duration) > targetDuration) {
+            findings.push(finding('EXTINF_EXCEEDS_TARGETDURATION',
+                `Segment ${longest.uri} is ${longest.duration}s, target duration is ${targetDuration}s`));
+        }
+
+        const totalDuration = segments.reduce((sum, seg) => sum + (seg.duration || 0), 0);
+        if (!manifest.endList && !manifest.playlistType && totalDuration < targetDuration * 3) {
+            findings.push(finding('LIVE_WINDOW_TOO_SHORT',
+                `Live window is ${totalDuration.toFixed(1)}s, minimum is ${targetDuration * 3}s`));
+        }
+    }
+
+    if (manifest.playlistType === 'VOD' && !manifest.endList) {
+        findings.push(finding('VOD_ENDLIST_MISSING'));
+    }
+
+    lintLowLatency(lines, manifest, findings);
+
+    return findings;
+}
+
+function lintLowLatency(lines, manifest, findings) {
+    const partTarget = manifest.partTargetDuration || manifest.partInf?.partTarget;
+    const hasParts = lines.some(line => line.startsWith('#EXT-X-PART:'));
+    if (!partTarget) {
+        if (hasParts) findings.push(finding('PART_INF_MISSING'));
+        return;
+    }
+
+    // Every part but the last of its parent segment must be >= 85% of PART-TARGET
+    // (the newest part of the segment still being built may turn out to be its last)
+    let longest = null;
+    let shortCount = 0;
+    const check = parts => parts.forEach((part, i) => {
+        if (part.duration > (longest?.duration ?? partTarget)) longest = part;
+        if (i < parts.length - 1 && part.duration < partTarget * 0.85) shortCount++;
+    });
+    (manifest.segments || []).forEach(seg => check(seg.parts || []));
+    check(manifest.preloadSegment?.parts || []);
+
+    if (longest) {
+        findings.push(finding('PART_EXCEEDS_PART_TARGET',
+            `Part ${longest.uri} is ${longest.duration}s, PART-TARGET is ${partTarget}s`));
+    }
+    if (shortCount > 0) {
+        findings.push(finding('PART_TOO_SHORT',
+            `${shortCount} non-final part(s) shorter than ${(partTarget * 0.85).toFixed(3)}s`));
+    }
+
+    // Read PART-HOLD-BACK from the tag itself: the parser defaults and clamps it
+    const serverControl = lines.find(line => line.startsWith('#EXT-X-SERVER-CONTROL')) || '';
+    const partHoldBackMatch = serverControl.match(/PART-HOLD-BACK=([\d.]+)/);
+    const partHoldBack = partHoldBackMatch && parseFloat(partHoldBackMatch[1]);
+    if (!partHoldBackMatch) {
+        findings.push(finding('PART_HOLD_BACK_MISSING'));
+    } else if (partHoldBack < partTarget * 2) {
+        findings.push(finding('PART_HOLD_BACK_TOO_SHORT',
+            `PART-HOLD-BACK is ${partHoldBack}s, minimum is ${partTarget * 2}s`));
+    }
+    if (!manifest.serverControl?.canBlockReload) {
+        findings.push(finding('CAN_BLOCK_RELOAD_MISSING'));
+    }
+}
+
+module.exports = { RULES, lintMasterPlaylist, lintMediaPlaylist };
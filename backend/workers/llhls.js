@@ -0,0 +1,139 @@
+const axios = require('axios');
+const m3u8Parser = require('m3u8-parser');
+const { buildRequest } = require('./requestProfile');
+const { probeSegment } = require('./segments');
+
+// ============================================
+// Low-Latency HLS Checks
+// For playlists that advertise EXT-X-PART-INF: issue a blocking playlist
+// reload for the next part (_HLS_msn/_HLS_part), check that the server
+// answers with that part in time, and that the last EXT-X-PRELOAD-HINT
+// resolves. Static part/server-control rules live in linter.js.
+// ============================================
+
+// Spec: a server that can't deliver the requested part within three target
+// durations answers 503; anything held longer than three part targets
+// already leaves players behind the live edge
+const BLOCKING_PART_FACTOR = 3;
+
+function isLowLatency(manifest) {
+    return !!(manifest.partTargetDuration || manifest.partInf?.partTarget);
+}
+
+// Newest published part: { msn, part } (part is -1 if the segment has no parts)
+function getLastPart(manifest) {
+    const mediaSequence = manifest.mediaSequence || 0;
+    const segments = manifest.segments || [];
+    const preloadParts = manifest.preloadSegment?.parts || [];
+
+    if (preloadParts.length > 0) {
+        return { msn: mediaSequence + segments.length, part: preloadParts.length - 1 };
+    }
+    const last = segments[segments.length - 1];
+    return { msn: mediaSequence + segments.length - 1, part: (last?.parts?.length || 0) - 1 };
+}
+
+// Every part in the playlist, including those of the segment still being built
+function getAllParts(manifest) {
+    return (manifest.segments || [])
+        .flatMap(seg => seg.parts || [])
+        .concat(manifest.preloadSegment?.parts || []);
+}
+
+function withBlockingParams(url, msn, part) {
+    const blocking = new URL(url);
+    blocking.searchParams.set('_HLS_msn', msn);
+    blocking.searchParams.set('_HLS_part', part);
+    return blocking.toString();
+}
+
+// Request the part after the newest one and time how long the server holds us
+async function checkBlockingReload(url, manifest, profile) {
+    const { msn, part } = getLastPart(manifest);
+    const target = { msn, part: part + 1 };
+    const request = buildRequest(withBlockingParams(url, target.msn, target.part), profile);
+    const timeout = BLOCKING_PART_FACTOR * (manifest.targetDuration || 6) * 1000 + 2000;
+    const started = performance.now();
+
+    const result = { requested: `${target.msn}.${target.part}`, status: 0, responseTime: null, delivered: false, error: null };
+    try {
+        const response = await axios.get(request.url, { timeout, headers: request.headers, validateStatus: () => true });
+        result.status = response.status;
+        result.responseTime = Math.round(performance.now() - started);
+        if (response.status >= 400) return result;
+
+        const parser = new m3u8Parser.Parser();
+        parser.push(response.data);
+        parser.end();
+        const last = getLastPart(parser.manifest);
+        result.delivered = last.msn > target.msn || (last.msn === target.msn && last.part >= target.part);
+    } catch (err) {
+        result.error = err.message;
+        result.responseTime = Math.round(performance.now() - started);
+    }
+    return result;
+}
+
+// options: { url, profile, resolveUrl(base, uri) }
+// Returns { health, issues } - issues are { kind: 'blocking' | 'hint', message }
+async function checkLowLatency(manifest, options) {
+    const { url, profile, resolveUrl } = options;
+    const partTarget = manifest.partTargetDuration || manifest.partInf?.partTarget;
+    const parts = getAllParts(manifest);
+    const last = getLastPart(manifest);
+    const hint = (manifest.preloadSegment?.preloadHints || []).find(h => h.type === 'PART');
+    const issues = [];
+
+    const [blocking, hintProbe] = await Promise.all([
+        manifest.serverControl?.canBlockReload ? checkBlockingReload(url, manifest, profile) : null,
+        hint ? probeSegment({
+            url: await resolveUrl(url, hint.uri),
+            uri: hint.uri,
+            mediaSequence: last.msn,
+            duration: partTarget,
+            byterange: hint.byterange
+        }, null, profile) : null
+    ]);
+
+    if (blocking) {
+        const limit = BLOCKING_PART_FACTOR * partTarget * 1000;
+        if (blocking.status === 0 || blocking.status >= 400) {
+            issues.push({ kind: 'blocking', code: blocking.status || null,
+                message: `Blocking reload for part ${blocking.requested} failed: ${blocking.error || `HTTP ${blocking.status}`}` });
+        } else if (!blocking.delivered) {
+            issues.push({ kind: 'blocking', code: null,
+                message: `Blocking reload for part ${blocking.requested} returned without that part` });
+        } else if (blocking.responseTime > limit) {
+            issues.push({ kind: 'blocking', code: null,
+                message: `Blocking reload for part ${blocking.requested} took ${blocking.responseTime}ms (limit ${limit}ms)` });
+        }
+    }
+
+    if (hintProbe && (hintProbe.status === 0 || hintProbe.status >= 400)) {
+        issues.push({ kind: 'hint', code: hintProbe.status || null,
+            message: `Preload hint ${hint.uri} did not resolve: ${hintProbe.error || `HTTP ${hintProbe.status}`}` });
+    }
+
+    const durations = parts.map(p => p.duration).filter(d => d !== undefined);
+    return {
+        health: {
+            partTarget,
+            partHoldBack: manifest.serverControl?.partHoldBack,
+            canBlockReload: !!manifest.serverControl?.canBlockReload,
+            canSkipUntil: manifest.serverControl?.canSkipUntil,
+            lastMsn: last.msn,
+            lastPart: last.part,
+            partCount: parts.length,
+            maxPartDuration: durations.length ? Math.max(...durations) : null,
+            partsOverTarget: durations.filter(d => d > partTarget).length,
+            blockingReloadTime: blocking?.responseTime ?? null,
+            blockingReloadStatus: blocking?.status ?? null,
+            preloadHintTime: hintProbe?.downloadTime ?? null,
+            preloadHintStatus: hintProbe?.status ?? null,
+            checkedAt: new Date()
+        },
+        issues
+    };
+}
+
+module.exports = { isLowLatency, checkLowLatency, getAllParts };
@@ -0,0 +1,132 @@
+// ============================================
+// Loudness Measurement (EBU R128 / ATSC A/85)
+// The processor runs FFmpeg's ebur128 filter over every primary-rendition
+// segment. Momentary (400ms), short-term (3s), segment-integrated loudness,
+// loudness range and true peak come from its log; program loudness is
+// integrated over the last LOUDNESS_WINDOW seconds of segments and judged
+// against the stream's target profile by the monitor.
+// ============================================
+
+const LOUDNESS_WINDOW = parseInt(process.env.LOUDNESS_WINDOW) || 300; // s of audio in program loudness
+const MIN_PROGRAM_DURATION = 30;   // s measured before compliance is judged
+const ABSOLUTE_GATE = -70;         // LUFS; ebur128 reports -70 for an all-gated segment
+const RELATIVE_GATE = 10;          // LU below the ungated program loudness
+const SILENCE_THRESHOLD = -60;     // LUFS; a segment whose momentary loudness never rises above it is silent
+const UNMEASURED = -120;           // ebur128 prints -120.7 before a window has filled
+
+const EBUR128_FILTER = 'ebur128=peak=true';
+
+// Target profiles: integrated loudness target (LUFS/LKFS), allowed deviation
+// (LU) and maximum true peak (dBTP)
+const LOUDNESS_PROFILES = {
+    'ebu-r128': { label: 'EBU R128', target: -23, tolerance: 1, truePeakLimit: -1 },
+    'atsc-a85': { label: 'ATSC A/85', target: -24, tolerance: 2, truePeakLimit: -2 }
+};
+
+// Per-stream program loudness window: streamId -> [{ duration, integrated }]
+const programs = new Map();
+
+const toNumber = value => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) && number > UNMEASURED ? number : null;
+};
+
+// FFmpeg stderr -> { duration, integrated, shortTerm, shortTermMax, momentaryMax, lra, truePeak }
+// Frame lines: "t: 1.2  TARGET:-23 LUFS  M: -22.4 S: -23.0  I: -22.8 LUFS  LRA: 2.1 LU ..."
+// Summary: "Integrated loudness: I: -22.9 LUFS ... Loudness range: LRA: 5.6 LU ... True peak: Peak: -1.2 dBFS"
+function parseEbur128(stderr) {
+    let duration = 0;
+    let momentaryMax = null;
+    let shortTermMax = null;
+    let shortTerm = null;
+    for (const match of (stderr || '').matchAll(/t:\s*([\d.]+)\s+TARGET:.*?M:\s*(\S+)\s+S:\s*(\S+)/g)) {
+        duration = parseFloat(match[1]);
+        const momentary = toNumber(match[2]);
+        const short = toNumber(match[3]);
+        if (momentary !== null) momentaryMax = Math.max(momentaryMax ?? momentary, momentary);
+        if (short !== null) {
+            shortTermMax = Math.max(shortTermMax ?? short, short);
+            shortTerm = short;
+        }
+    }
+
+    const summary = (stderr || '').split('Summary:').pop();
+    const integrated = summary.match(/Integrated loudness:\s*I:\s*(\S+)\s*LUFS/);
+    const lra = summary.match(/Loudness range:\s*LRA:\s*(\S+)\s*LU/);
+    const truePeak = summary.match(/True peak:\s*Peak:\s*(\S+)\s*dBFS/);
+    if (!integrated || duration === 0) return null;
+
+    return {
+        duration,
+        integrated: toNumber(integrated[1]),
+        shortTerm,
+        shortTermMax,
+        momentaryMax,
+        lra: lra ? toNumber(lra[1]) : null,
+        truePeak: truePeak ? toNumber(truePeak[1]) : null,
+        isSilent: momentaryMax === null || momentaryMax < SILENCE_THRESHOLD
+    };
+}
+
+// Power average of loudness values weighted by duration
+function averageLoudness(entries) {
+    const total = entries.reduce((sum, e) => sum + e.duration, 0);
+    if (total === 0) return null;
+    const power = entries.reduce((sum, e) => sum + e.duration * 10 ** (e.integrated / 10), 0);
+    return 10 * Math.log10(power / total);
+}
+
+// Add a segment to the stream's program window and integrate it. The R128
+// gates are applied per segment (absolute -70 LUFS, then relative -10 LU),
+// an approximation of the 400ms-block gating over the whole window.
+// Returns { integrated, duration } (LUFS, s of audio in the window)
+function recordProgramLoudness(streamId, measured) {
+    const id = streamId.toString();
+    const window = programs.get(id) || [];
+    window.push({ duration: measured.duration, integrated: measured.integrated ?? ABSOLUTE_GATE });
+
+    let covered = 0;
+    const recent = [];
+    for (let i = window.length - 1; i >= 0 && covered < LOUDNESS_WINDOW; i--) {
+        recent.unshift(window[i]);
+        covered += window[i].duration;
+    }
+    programs.set(id, recent);
+
+    const audible = recent.filter(e => e.integrated > ABSOLUTE_GATE);
+    const ungated = averageLoudness(audible);
+    const gated = ungated === null ? [] : audible.filter(e => e.integrated >= ungated - RELATIVE_GATE);
+    const integrated = averageLoudness(gated);
+    return { integrated: integrated === null ? null : +integrated.toFixed(1), duration: +covered.toFixed(1) };
+}
+
+function forgetProgramLoudness(streamId) {
+    programs.delete(streamId.toString());
+}
+
+// Resolve the stream's target: a preset, or 'custom' values on top of EBU R128.
+// Returns null when loudness monitoring is off.
+function getLoudnessProfile(stream) {
+    const monitoring = stream.monitoring || {};
+    const name = monitoring.loudnessProfile || 'ebu-r128';
+    if (name === 'off') return null;
+
+    const preset = LOUDNESS_PROFILES[name] || LOUDNESS_PROFILES['ebu-r128'];
+    return {
+        name,
+        label: name === 'custom' ? 'Custom' : preset.label,
+        target: monitoring.loudnessTarget ?? preset.target,
+        tolerance: monitoring.loudnessTolerance ?? preset.tolerance,
+        truePeakLimit: monitoring.truePeakLimit ?? preset.truePeakLimit
+    };
+}
+
+module.exports = {
+    EBUR128_FILTER,
+    MIN_PROGRAM_DURATION,
+    LOUDNESS_PROFILES,
+    parseEbur128,
+    recordProgramLoudness,
+    forgetProgramLoudness,
+    getLoudnessProfile
+};
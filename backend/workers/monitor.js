@@ -2,11 +2,40 @@ const axios = require('axios');
 const m3u8Parser = require('m3u8-parser');
 const Stream = require('../models/Stream');
 const MetricsHistory = require('../models/MetricsHistory');
+const AlignmentReport = require('../models/AlignmentReport');
+const MonitorState = require('../models/MonitorState');
+const SegmentProbe = require('../models/SegmentProbe');
+const AdBreak = require('../models/AdBreak');
 const { ErrorTypes } = require('../models/Stream');
 const { processSegment } = require('./processor');
+const { lintMasterPlaylist, lintMediaPlaylist } = require('./linter');
+const { buildAlignmentReport } = require('./alignment');
+const { createScheduler } = require('./scheduler');
+const { createLeaseManager } = require('./leases');
+const { probeSegment } = require('./segments');
+const { buildRequest } = require('./requestProfile');
+const { isLowLatency, checkLowLatency } = require('./llhls');
+const { classifyDiscontinuities, trackCueBreaks, trackDateRangeBreaks } = require('./adBreaks');
+const { checkProgramDateTime, getLatencyBudget } = require('./latency');
+const { runValidation } = require('./validation');
+const { isMpd, parseMpd, toRenditions, checkMpd } = require('./dash');
+const { recordSnapshots, forgetSnapshots } = require('./snapshots');
+const { trackRepeatedSegments, evaluateFrozen, forgetThumbnails } = require('./frozen');
+const { OUTAGE_AFTER_FAILURES, withRetry, getBreakerDelay } = require('./retry');
+const { Observations, transitionStatus, migrateLegacyStatuses } = require('./status');
+const { BLACK_RATIO_THRESHOLD, FREEZE_RATIO_THRESHOLD } = require('./videoContent');
+const { MIN_PROGRAM_DURATION, getLoudnessProfile, forgetProgramLoudness } = require('./loudness');
+const { forgetTimelines } = require('./timestamps');
+const { forgetGops } = require('./gop');
 const { v4: uuidv4 } = require('uuid');
 
-const MONITOR_INTERVAL = 7000; // 7 seconds as requested
+const MONITOR_INTERVAL = 7000; // Fallback when target duration is unknown
+const MIN_POLL_INTERVAL = 1000;
+const MAX_POLL_INTERVAL = 30000;
+const ENDED_POLL_INTERVAL = 300000; // Finished (EXT-X-ENDLIST) playlists only need checking for scheduled validation
+const DEFAULT_STALE_THRESHOLD = 7000; // Used until a target duration is known
+const MONITOR_CONCURRENCY = parseInt(process.env.MONITOR_CONCURRENCY) || 8; // Streams polled in parallel
+const SEGMENT_PROBE_LIMIT = parseInt(process.env.SEGMENT_PROBE_LIMIT ?? '3'); // Newest segments downloaded per rendition per poll (0 = off)
 const SLIDING_WINDOW_SIZE = 100; // Last 100 segments (~12 minutes)
 
 // Error decay factor based on time since last error
@@ -70,6 +99,8 @@ async function calculateSlidingWindowMetrics(streamId) {
         let errors = 0;
 
         recentErrors.forEach(err => {
+            // Our own downtime says nothing about the stream
+            if (err.errorType === ErrorTypes.MONITOR_GAP) return;
             errors++;
             if (err.errorType === 'SEQUENCE_JUMP' ||
                 (err.details && err.details.includes('Sequence jumped'))) {
@@ -95,8 +126,14 @@ function calculateHealthScore(stream, recentIssues = null, decayFactor = 0) {
 
     // Immediate penalties (current status)
     if (health.isStale) score -= 30;
-    if (stream.status === 'error') score -= 40;
+    if (stream.status === 'degraded') score -= 40;
     if (stream.status === 'offline') score -= 50;
+    if (stream.status === 'recovering') score -= 15;
+    if (health.frozen?.frozen) score -= 30;
+
+    // Discontinuities at ad splice points are expected; only the rest count
+    const unexpectedDiscontinuities = (health.discontinuityCount || 0) - (health.spliceDiscontinuities || 0);
+    if (unexpectedDiscontinuities > 0) score -= Math.min(unexpectedDiscontinuities * 5, 15);
 
     // If we have sliding window data, use it with decay
     if (recentIssues) {
@@ -126,6 +163,9 @@ function calculateVideoScore(stream) {
     if (!video.codec) score -= 20;
     if (video.width && video.width < 720) score -= 10;
     if (video.width && video.width >= 1920) score += 0;
+    if (video.blackRatio >= BLACK_RATIO_THRESHOLD) score -= 40;
+    if (video.frozenRatio >= FREEZE_RATIO_THRESHOLD) score -= 40;
+    if (video.gop && !video.gop.startsWithKeyframe) score -= 20;
     return Math.max(0, Math.min(100, score));
 }
 
@@ -137,6 +177,16 @@ function calculateAudioScore(stream) {
     if (audio.sampleRate && audio.sampleRate < 44100) score -= 10;
     // Penalize if audio is silent
     if (audio.isSilent) score -= 15;
+    // ... or out of loudness compliance
+    if (stream.health?.loudness?.loudnessCompliant === false) score -= 20;
+    if (stream.health?.loudness?.truePeakCompliant === false) score -= 10;
+    // ... or has a channel fault
+    const channels = stream.health?.audioChannels;
+    if (channels?.deadChannels?.length > 0 || channels?.silentSurrounds) score -= 20;
+    if (channels?.invertedPhase) score -= 20;
+    if (channels?.dualMono) score -= 10;
+    // ... or drifted out of sync with the picture
+    if (stream.health?.avSync?.inSync === false) score -= 20;
     return Math.max(0, Math.min(100, score));
 }
 const streamState = new Map();
@@ -145,13 +195,13 @@ function generateErrorId() {
     return `eid-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 }
 
-function addError(stream, errorType, details, mediaType = 'VIDEO', code = null) {
+function addError(stream, errorType, details, mediaType = 'VIDEO', code = null, variant = null) {
     const error = {
         eid: generateErrorId(),
         date: new Date(),
         errorType,
         mediaType,
-        variant: stream.stats?.bandwidth?.toString() || 'unknown',
+        variant: variant || stream.stats?.bandwidth?.toString() || 'unknown',
         details,
         code
     };
@@ -165,12 +215,563 @@ function addError(stream, errorType, details, mediaType = 'VIDEO', code = null)
     console.log(`[ERROR] ${stream.name}: ${errorType} - ${details}`);
 }
 
-async function fetchManifest(url) {
-    const response = await axios.get(url, { timeout: 10000 });
+// Logged alongside stream errors for the timeline, but kept out of
+// totalErrors and the decay clock so restarts don't hurt health scores
+function addMonitorGap(stream, details, mediaType, variant) {
+    if (!stream.streamErrors) stream.streamErrors = [];
+    stream.streamErrors.push({
+        eid: generateErrorId(),
+        date: new Date(),
+        errorType: ErrorTypes.MONITOR_GAP,
+        mediaType,
+        variant,
+        details,
+        code: null
+    });
+
+    console.log(`[GAP] ${stream.name}: ${details}`);
+}
+
+// --- STATE PERSISTENCE ---
+const PERSISTED_STATE_FIELDS = [
+    'lastPollTime', 'lastMediaSequence', 'lastDiscontinuitySequence', 'lastManifestUpdate',
+    'consecutiveStales', 'sequenceJumps', 'sequenceResets', 'lastSegments'
+];
+
+// Load persisted variant state into streamState before the first poll
+// (or when a stream is taken over from another worker)
+async function restoreState(filter = {}) {
+    const docs = await MonitorState.find(filter).lean();
+    docs.forEach(doc => {
+        const state = { restored: true };
+        PERSISTED_STATE_FIELDS.forEach(field => { state[field] = doc[field]; });
+        state.lastPollTime = state.lastPollTime || 0;
+        state.lastSegments = state.lastSegments?.length ? state.lastSegments : null;
+        streamState.set(`${doc.streamId}:${doc.variantKey}`, state);
+    });
+    console.log(`[MONITOR] Restored state for ${docs.length} renditions`);
+}
+
+// Upsert the in-memory state of every polled variant in one round trip
+async function persistState(stream, variants) {
+    const ops = variants
+        .map(variant => ({ variant, state: streamState.get(`${stream._id}:${variant.key}`) }))
+        .filter(({ state }) => state && state.lastPollTime)
+        .map(({ variant, state }) => {
+            const update = {};
+            PERSISTED_STATE_FIELDS.forEach(field => { update[field] = state[field]; });
+            return {
+                updateOne: {
+                    filter: { streamId: stream._id, variantKey: variant.key },
+                    update: { $set: update },
+                    upsert: true
+                }
+            };
+        });
+    if (ops.length === 0) return;
+
+    try {
+        await MonitorState.bulkWrite(ops, { ordered: false });
+    } catch (err) {
+        console.error(`[STATE] ${stream.name}: Failed to persist monitor state - ${err.message}`);
+    }
+}
+
+// --- AD BREAKS ---
+// Per-stream cue timeline: { lastSequence, open } (see adBreaks.js)
+const adTrackers = new Map();
+
+const TRACKED_BREAK_FIELDS = [
+    'breakId', 'source', 'status', 'startSequence', 'lastSequence', 'startTime',
+    'declaredDuration', 'actualDuration', 'issues'
+];
+
+// First poll of a stream by this process: resume a break that was still
+// open when the previous owner stopped
+async function getAdTracker(stream) {
+    const id = stream._id.toString();
+    if (adTrackers.has(id)) return adTrackers.get(id);
+
+    const tracker = { lastSequence: null, open: null };
+    try {
+        const open = await AdBreak.findOne({ streamId: stream._id, source: 'cue', status: 'open' })
+            .sort({ createdAt: -1 }).lean();
+        if (open) {
+            tracker.open = {};
+            TRACKED_BREAK_FIELDS.forEach(field => { tracker.open[field] = open[field]; });
+            tracker.lastSequence = open.lastSequence ?? null;
+        }
+    } catch (err) {
+        console.error(`[ADS] ${stream.name}: Failed to load open ad break - ${err.message}`);
+    }
+    adTrackers.set(id, tracker);
+    return tracker;
+}
+
+// Advance the ad-break timeline, store it and report broken breaks
+async function trackAdBreaks(stream, manifest, variantName, now) {
+    const tracker = await getAdTracker(stream);
+    const cue = trackCueBreaks(tracker, manifest, now);
+    const dateRange = trackDateRangeBreaks(manifest, now);
+    const updates = [...cue.updates, ...dateRange.updates];
+    const issues = [...cue.issues, ...dateRange.issues];
+
+    const active = tracker.open || dateRange.updates.find(b => b.status === 'open');
+    stream.health.adBreak = active ? {
+        active: true,
+        breakId: active.breakId,
+        source: active.source,
+        startTime: active.startTime,
+        declaredDuration: active.declaredDuration,
+        elapsed: active.actualDuration
+    } : { active: false };
+
+    if (updates.length === 0) return;
+
+    try {
+        // Issues already on record (e.g. before a restart) are not reported twice
+        const stored = await AdBreak.find({ streamId: stream._id, breakId: { $in: updates.map(b => b.breakId) } })
+            .select('breakId issues').lean();
+        const reported = new Map(stored.map(b => [b.breakId, b.issues || []]));
+        issues
+            .filter(i => !reported.get(i.breakId)?.includes(i.issue))
+            .forEach(i => addError(stream, ErrorTypes.AD_BREAK, `${i.message} (${variantName})`, 'VIDEO', null, variantName));
+
+        await AdBreak.bulkWrite(updates.map(({ issues: breakIssues, ...fields }) => ({
+            updateOne: {
+                filter: { streamId: stream._id, breakId: fields.breakId },
+                update: { $set: fields, $addToSet: { issues: { $each: breakIssues } } },
+                upsert: true
+            }
+        })), { ordered: false });
+    } catch (err) {
+        console.error(`[ADS] ${stream.name}: Failed to record ad breaks - ${err.message}`);
+    }
+}
+
+// --- MPEG-DASH ---
+// Per-stream MPD state: { periods, publishTime, offsets, activeIssues } (see dash.js)
+const dashStates = new Map();
+
+function getDashState(stream) {
+    const id = stream._id.toString();
+    if (!dashStates.has(id)) dashStates.set(id, { periods: null, publishTime: null, offsets: new Map(), activeIssues: new Set() });
+    return dashStates.get(id);
+}
+
+// MPD-level findings (timeline, periods, availability window). Each is
+// reported once while it persists, like lint findings; the rendition
+// checks themselves ran in checkVariant.
+function checkDashManifest(stream, mpd, variants, now) {
+    const state = getDashState(stream);
+    const primary = variants.find(v => !v.groupId && v.manifest.segments.length > 0) || variants[0];
+    const { issues, summary } = checkMpd(state, mpd, primary, now);
+    const errorTypes = { period: ErrorTypes.PERIOD, availability: ErrorTypes.AVAILABILITY_WINDOW };
+
+    const findings = issues.map(issue => ({
+        key: `${issue.kind}:${issue.key}`,
+        report: () => addError(stream, errorTypes[issue.kind], issue.message, 'MASTER', null, 'mpd')
+    }));
+    variants.forEach(variant => variant.issues.forEach(message => findings.push({
+        key: `timeline:${variant.key}:${message}`,
+        report: () => addError(stream, ErrorTypes.SEGMENT_TIMELINE,
+            `${message} (${variant.name})`, variant.mediaType, null, variant.name)
+    })));
+
+    const active = new Set();
+    findings.forEach(finding => {
+        active.add(finding.key);
+        if (!state.activeIssues.has(finding.key)) finding.report();
+    });
+    state.activeIssues = active;
+
+    if (summary.periodChanges > 0) {
+        console.log(`[DASH] ${stream.name}: New period(s) ${summary.newPeriods.join(', ')}`);
+    }
+    const previous = stream.health.dash || {};
+    stream.health.dash = {
+        type: summary.type,
+        profiles: summary.profiles,
+        availabilityStartTime: summary.availabilityStartTime,
+        publishTime: summary.publishTime,
+        minimumUpdatePeriod: summary.minimumUpdatePeriod,
+        timeShiftBufferDepth: summary.timeShiftBufferDepth,
+        periodCount: summary.periodCount,
+        currentPeriod: summary.currentPeriod,
+        periodChanges: (previous.periodChanges || 0) + summary.periodChanges,
+        lastPeriodChange: summary.periodChanges > 0 ? new Date(now) : previous.lastPeriodChange,
+        windowStart: summary.windowStart,
+        windowEnd: summary.windowEnd,
+        windowDuration: summary.windowDuration,
+        checkedAt: new Date(now)
+    };
+}
+
+// Stream-level live latency from the primary rendition's PDT. Drift is the
+// change in latency since the baseline, sampled only on polls that saw a new
+// segment so the figure isn't a saw-tooth of poll timing; a PDT jump rebases it.
+function checkLiveLatency(stream, primaryHealth, now) {
+    const previous = stream.health.latency || {};
+    const budget = getLatencyBudget(stream, primaryHealth.targetDuration);
+    const variant = primaryHealth.name;
+
+    if (!primaryHealth.hasPdt) {
+        if (previous.hasPdt !== false) {
+            addError(stream, ErrorTypes.PROGRAM_DATE_TIME,
+                `Playlist carries no EXT-X-PROGRAM-DATE-TIME, live latency can't be measured (${variant})`,
+                primaryHealth.mediaType, null, variant);
+        }
+        stream.health.latency = { hasPdt: false, budget, measuredAt: new Date(now) };
+        return;
+    }
+
+    const latency = primaryHealth.latency;
+    const rebase = previous.baseline == null || primaryHealth.pdtJumps > 0;
+    const baseline = rebase ? latency : previous.baseline;
+    const drift = rebase ? 0 : primaryHealth.changed ? latency - baseline : previous.drift;
+    const overBudget = budget !== null && latency > budget;
+
+    if (overBudget && !previous.overBudget) {
+        addError(stream, ErrorTypes.LIVE_LATENCY,
+            `Live latency ${(latency / 1000).toFixed(1)}s exceeds budget ${(budget / 1000).toFixed(1)}s (${variant})`,
+            primaryHealth.mediaType, null, variant);
+    }
+
+    stream.health.latency = {
+        hasPdt: true,
+        liveEdge: primaryHealth.liveEdge,
+        latency,
+        baseline,
+        drift,
+        budget,
+        overBudget,
+        measuredAt: new Date(now)
+    };
+}
+
+// Stream-level frozen verdict (see frozen.js). Reported once when the stream
+// freezes; the error stays the record until the picture moves again.
+function checkFrozenContent(stream, primaryHealth, now) {
+    const previous = stream.health.frozen || {};
+    const verdict = evaluateFrozen(stream, primaryHealth, now);
+    const variant = primaryHealth.name;
+
+    if (verdict.frozen && !previous.frozen) {
+        const cause = verdict.source === 'segments'
+            ? `${verdict.repeatedSegments} repeated segment(s)`
+            : 'thumbnail unchanged';
+        addError(stream, ErrorTypes.FROZEN_CONTENT,
+            `Content frozen for ${verdict.duration.toFixed(1)}s (${cause}), threshold ${verdict.threshold}s (${variant})`,
+            primaryHealth.mediaType, null, variant);
+    } else if (!verdict.frozen && previous.frozen) {
+        console.log(`[FROZEN] ${stream.name}: Content moving again after ${(previous.duration || 0).toFixed(1)}s`);
+    }
+
+    stream.health.frozen = { ...verdict, checkedAt: new Date(now) };
+}
+
+// Black / frozen frame ratios of the latest analysed primary segment (written
+// by the processor, see videoContent.js). Reported once per crossing.
+function checkVideoContent(stream, primaryHealth, now) {
+    const video = stream.stats?.video || {};
+    const previous = stream.health.videoContent || {};
+    if (!video.analyzedAt) return;
+
+    const black = video.blackRatio >= BLACK_RATIO_THRESHOLD;
+    const frozen = video.frozenRatio >= FREEZE_RATIO_THRESHOLD;
+    const variant = primaryHealth.name;
+    const percent = ratio => `${Math.round(ratio * 100)}%`;
+
+    if (black && !previous.black) {
+        addError(stream, ErrorTypes.BLACK_FRAMES,
+            `Segment ${percent(video.blackRatio)} black (${video.blackDuration}s of ${video.analyzedDuration}s), threshold ${percent(BLACK_RATIO_THRESHOLD)} (${variant})`,
+            'VIDEO', null, variant);
+    }
+    if (frozen && !previous.frozen) {
+        addError(stream, ErrorTypes.FROZEN_FRAMES,
+            `Segment ${percent(video.frozenRatio)} frozen (${video.frozenDuration}s of ${video.analyzedDuration}s), threshold ${percent(FREEZE_RATIO_THRESHOLD)} (${variant})`,
+            'VIDEO', null, variant);
+    }
+
+    stream.health.videoContent = { black, frozen, checkedAt: new Date(now) };
+}
+
+// Per-channel conditions of the latest analysed segment (flagged by the
+// processor, see audioChannels.js). Reported once per crossing; a dead
+// channel is reported again only if it recovered in between.
+function checkAudioChannels(stream, primaryHealth, now) {
+    const audio = stream.stats?.audio || {};
+    const issues = audio.channelIssues;
+    if (!audio.channelsAnalyzedAt || !issues) return;
+
+    const previous = stream.health.audioChannels || {};
+    const variant = primaryHealth.name;
+    const levels = audio.channelLevels || [];
+    const formatDb = value => (value === null || value === undefined ? '-inf' : value);
+    const carrying = levels.filter(ch => !issues.deadChannels.includes(ch.name) && ch.rmsDb > -50).map(ch => ch.name).join(', ');
+
+    issues.deadChannels
+        .filter(name => !(previous.deadChannels || []).includes(name))
+        .forEach(name => {
+            const level = levels.find(ch => ch.name === name);
+            addError(stream, ErrorTypes.AUDIO_CHANNELS,
+                `Channel ${name} silent (RMS ${formatDb(level?.rmsDb)} dBFS), audio on ${carrying} (${variant})`,
+                'AUDIO', null, variant);
+        });
+    if (issues.silentSurrounds && !previous.silentSurrounds) {
+        const surrounds = levels.filter(ch => /^[LR][sb]$/.test(ch.name)).map(ch => ch.name).join(', ');
+        addError(stream, ErrorTypes.AUDIO_CHANNELS,
+            `${audio.channelLayout || `${levels.length}-channel`} surround channels (${surrounds}) silent while the fronts carry audio (${variant})`,
+            'AUDIO', null, variant);
+    }
+    if (issues.dualMono && !previous.dualMono) {
+        addError(stream, ErrorTypes.AUDIO_CHANNELS,
+            `Stereo pair carries dual mono: L/R correlation ${audio.phase?.mean}, levels ${formatDb(levels[0]?.rmsDb)} / ${formatDb(levels[1]?.rmsDb)} dBFS (${variant})`,
+            'AUDIO', null, variant);
+    }
+    if (issues.invertedPhase && !previous.invertedPhase) {
+        addError(stream, ErrorTypes.AUDIO_PHASE,
+            `Left/right out of phase: mean correlation ${audio.phase?.mean} (min ${audio.phase?.min}) (${variant})`,
+            'AUDIO', null, variant);
+    }
+
+    stream.health.audioChannels = {
+        deadChannels: issues.deadChannels,
+        silentSurrounds: issues.silentSurrounds,
+        invertedPhase: issues.invertedPhase,
+        dualMono: issues.dualMono,
+        checkedAt: new Date(now)
+    };
+}
+
+// GOP structure of the latest analysed primary segment (written by the
+// processor, see gop.js). A segment that doesn't open on a keyframe is
+// reported once per crossing; each GOP length change once. The processor may
+// store a newer segment's GOP while this poll runs, so the reported flag is
+// set with an update conditional on the segment, not on the loaded document.
+function checkGop(stream, primaryHealth, now) {
+    const gop = stream.stats?.video?.gop;
+    if (!gop?.analyzedAt) return;
+
+    const previous = stream.health.gop || {};
+    const variant = primaryHealth.name;
+
+    if (!gop.startsWithKeyframe && previous.keyframeAligned !== false) {
+        addError(stream, ErrorTypes.KEYFRAME_ALIGNMENT,
+            `Segment mseq(${gop.mediaSequence}) ${gop.firstFrameType && gop.firstFrameType !== 'I' ? `starts with a ${gop.firstFrameType}-frame, not a keyframe` : "doesn't start with a keyframe"}; renditions can't be switched cleanly there (${variant})`,
+            'VIDEO', null, variant);
+    }
+    if (gop.changed && !gop.reported) {
+        addError(stream, ErrorTypes.GOP_STRUCTURE,
+            `GOP length changed from ${gop.previousGopLength} to ${gop.gopLength} frames at mseq(${gop.mediaSequence})${gop.gopDuration ? ` (${gop.gopDuration}s)` : ''} without a discontinuity (${variant})`,
+            'VIDEO', null, variant);
+        Stream.updateOne(
+            { _id: stream._id, 'stats.video.gop.mediaSequence': gop.mediaSequence, 'stats.video.gop.analyzedAt': gop.analyzedAt },
+            { $set: { 'stats.video.gop.reported': true } }
+        ).catch(err => console.error(`[GOP] ${stream.name}: Failed to mark GOP change reported - ${err.message}`));
+    }
+
+    stream.health.gop = {
+        keyframeAligned: gop.startsWithKeyframe,
+        gopLength: gop.gopLength,
+        keyframeInterval: gop.keyframeInterval,
+        checkedAt: new Date(now)
+    };
+}
+
+// Timestamp events found by the processor on each rendition's latest segment
+// (see timestamps.js): A/V offset crossings, PTS gaps/overlaps and rollbacks.
+// Each analysed segment is reported once: like checkGop(), the reported flag
+// is set with an update conditional on the segment seen here, as the
+// processor may store a newer one while this poll runs. The primary
+// rendition's offset becomes the stream's A/V sync summary.
+function checkTimestamps(stream, primaryHealth, now) {
+    (stream.health.renditions || []).forEach(rendition => {
+        const timing = rendition.timing;
+        if (!timing?.analyzedAt || timing.reported) return;
+
+        (timing.events || []).forEach(event => addError(stream,
+            event.kind === 'av-sync' ? ErrorTypes.AV_SYNC : ErrorTypes.TIMESTAMP_CONTINUITY,
+            `${event.message} (${rendition.name})`,
+            event.track === 'audio' ? 'AUDIO' : rendition.mediaType || 'VIDEO', null, rendition.name));
+        Stream.updateOne(
+            { _id: stream._id, 'health.renditions': { $elemMatch: { key: rendition.key, 'timing.analyzedAt': timing.analyzedAt } } },
+            { $set: { 'health.renditions.$.timing.reported': true } }
+        ).catch(err => console.error(`[TIMESTAMPS] ${stream.name}: Failed to mark timing reported - ${err.message}`));
+    });
+
+    const timing = stream.health.renditions?.find(r => r.key === primaryHealth.key)?.timing;
+    if (timing?.analyzedAt) {
+        stream.health.avSync = {
+            offset: timing.avOffset,
+            drift: timing.avDrift,
+            inSync: timing.inSync,
+            videoContinuity: timing.videoContinuity,
+            audioContinuity: timing.audioContinuity,
+            mediaSequence: timing.mediaSequence,
+            analyzedAt: timing.analyzedAt,
+            checkedAt: new Date(now)
+        };
+    }
+}
+
+// Store the rendition list. The poll's own save leaves it out: probe and
+// timing belong to the processor, which writes them with targeted updates
+// while the poll runs. One pipeline update replaces the list and keeps each
+// entry's stored probe and timing (matched by key), so none of them is lost.
+async function storeRenditions(stream) {
+    const renditions = stream.health.renditions.toObject().map(({ probe, timing, ...owned }) => owned);
+    const stored = {
+        $arrayElemAt: [{
+            $filter: { input: { $ifNull: ['$health.renditions', []] }, as: 'stored', cond: { $eq: ['$$stored.key', '$$rendition.key'] } }
+        }, 0]
+    };
+    try {
+        await Stream.updateOne({ _id: stream._id }, [{
+            $set: {
+                'health.renditions': {
+                    $map: {
+                        input: { $literal: renditions },
+                        as: 'rendition',
+                        in: { $mergeObjects: ['$$rendition', { $let: { vars: { stored }, in: { probe: '$$stored.probe', timing: '$$stored.timing' } } }] }
+                    }
+                }
+            }
+        }], { updatePipeline: true });
+    } catch (err) {
+        console.error(`[RENDITIONS] ${stream.name}: Failed to store renditions - ${err.message}`);
+    }
+}
+
+// Program loudness and true peak (measured by the processor, see loudness.js)
+// against the stream's loudness profile. Program loudness is judged once
+// MIN_PROGRAM_DURATION seconds are integrated. Reported once per crossing.
+function checkLoudness(stream, primaryHealth, now) {
+    const loudness = stream.stats?.audio?.loudness;
+    const profile = getLoudnessProfile(stream);
+    if (!profile) {
+        stream.health.loudness = { profile: 'off', loudnessCompliant: true, truePeakCompliant: true, checkedAt: new Date(now) };
+        return;
+    }
+    if (!loudness?.measuredAt) return;
+
+    const previous = stream.health.loudness || {};
+    const variant = primaryHealth.name;
+    const program = loudness.programIntegrated;
+    const judged = program !== null && program !== undefined && loudness.programDuration >= MIN_PROGRAM_DURATION;
+    const deviation = judged ? +(program - profile.target).toFixed(1) : null;
+    const loudnessCompliant = !judged || Math.abs(deviation) <= profile.tolerance;
+    const truePeakCompliant = loudness.truePeak === null || loudness.truePeak === undefined || loudness.truePeak <= profile.truePeakLimit;
+
+    if (!loudnessCompliant && previous.loudnessCompliant !== false) {
+        addError(stream, ErrorTypes.LOUDNESS,
+            `Program loudness ${program} LUFS over ${loudness.programDuration}s is ${Math.abs(deviation)} LU ${deviation > 0 ? 'above' : 'below'} the ${profile.label} target ${profile.target} ±${profile.tolerance} LU (${variant})`,
+            'AUDIO', null, variant);
+    }
+    if (!truePeakCompliant && previous.truePeakCompliant !== false) {
+        addError(stream, ErrorTypes.TRUE_PEAK,
+            `True peak ${loudness.truePeak} dBTP exceeds the ${profile.label} limit of ${profile.truePeakLimit} dBTP (${variant})`,
+            'AUDIO', null, variant);
+    }
+
+    stream.health.loudness = {
+        profile: profile.name,
+        target: profile.target,
+        tolerance: profile.tolerance,
+        truePeakLimit: profile.truePeakLimit,
+        programIntegrated: program,
+        deviation,
+        loudnessCompliant,
+        truePeakCompliant,
+        checkedAt: new Date(now)
+    };
+}
+
+// A finished asset gets a full validation job (when it first ends and then every
+// monitoring.validationInterval hours) instead of live scoring; its status
+// follows the latest report
+async function checkEndedStream(stream, io, now) {
+    const validation = stream.health.validation || {};
+    const intervalMs = (stream.monitoring?.validationInterval || 0) * 3600000;
+    const lastRun = validation.startedAt ? new Date(validation.startedAt).getTime() : null;
+
+    let trigger = null;
+    if (!stream.health.ended || lastRun === null) trigger = 'auto';
+    else if (intervalMs > 0 && now - lastRun >= intervalMs) trigger = 'scheduled';
+
+    stream.health.ended = true;
+    stream.health.isStale = false;
+    if (validation.status === 'passed') applyStatus(stream, io, Observations.HEALTHY, 'Asset validation passed', now);
+    else if (validation.status === 'failed') applyStatus(stream, io, Observations.IMPAIRED, 'Asset validation failed', now);
+    stream.lastChecked = new Date();
+
+    try {
+        await stream.save();
+    } catch (saveErr) {
+        if (saveErr.name === 'VersionError') {
+            console.warn(`[WARN] ${stream.name}: VersionError during ended playlist update - skipping`);
+            return ENDED_POLL_INTERVAL;
+        }
+        throw saveErr;
+    }
+    io.emit('stream:update', stream);
+
+    // Runs in the background; a large asset can take minutes
+    if (trigger) runValidation(stream, { trigger, io });
+
+    console.log(`[OK] ${stream.name}: ${stream.health.playlistType} playlist ended, ${trigger ? `validation started (${trigger})` : `last validation ${validation.status || 'n/a'}`}`);
+    return ENDED_POLL_INTERVAL;
+}
+
+// Upsert linter findings for one playlist. Findings that stop appearing are
+// marked resolved rather than deleted so the detail page keeps the history
+function recordLintFindings(stream, variant, mediaType, findings) {
+    if (!stream.lintFindings) stream.lintFindings = [];
+    const now = new Date();
+    const seen = new Set();
+
+    findings.forEach(f => {
+        seen.add(f.ruleId);
+        const existing = stream.lintFindings.find(e => e.ruleId === f.ruleId && e.variant === variant);
+
+        if (existing) {
+            existing.message = f.message;
+            existing.lastSeen = now;
+            existing.occurrences++;
+            existing.active = true;
+            existing.resolvedAt = null;
+        } else {
+            stream.lintFindings.push({
+                ...f,
+                variant,
+                mediaType,
+                firstSeen: now,
+                lastSeen: now,
+                occurrences: 1,
+                active: true
+            });
+            console.log(`[LINT] ${stream.name}: ${f.ruleId} (${variant}) - ${f.message}`);
+        }
+    });
+
+    stream.lintFindings.forEach(e => {
+        if (e.variant === variant && e.active && !seen.has(e.ruleId)) {
+            e.active = false;
+            e.resolvedAt = now;
+        }
+    });
+}
+
+// Returns the parsed manifest plus the raw text (needed by the linter)
+// Retried with jittered backoff (see retry.js); retries = undefined uses MANIFEST_RETRIES
+async function fetchManifest(url, profile, retries) {
+    const request = buildRequest(url, profile);
+    const { result: response, attempts } = await withRetry(
+        () => axios.get(request.url, { timeout: 10000, headers: request.headers }), retries);
     const parser = new m3u8Parser.Parser();
     parser.push(response.data);
     parser.end();
-    return parser.manifest;
+    return { manifest: parser.manifest, text: response.data, attempts };
 }
 
 async function resolveVariantUrl(masterUrl, variantUri) {
@@ -179,63 +780,617 @@ async function resolveVariantUrl(masterUrl, variantUri) {
     return baseUrl + variantUri;
 }
 
-async function checkStream(stream, io) {
-    const now = Date.now();
-    const state = streamState.get(stream._id.toString()) || {
+// Poll interval per RFC 8216 section 6.3.4: reload after one target duration,
+// or half a target duration when the last reload didn't change the playlist
+function getPollInterval(stream, changed = true) {
+    const override = stream.monitoring?.pollInterval;
+    if (override > 0) return override;
+
+    const targetDuration = stream.health?.targetDuration;
+    if (!targetDuration) return MONITOR_INTERVAL;
+
+    const interval = changed ? targetDuration * 1000 : targetDuration * 500;
+    return Math.min(MAX_POLL_INTERVAL, Math.max(MIN_POLL_INTERVAL, interval));
+}
+
+// A playlist is stale once it hasn't changed for staleFactor x target duration
+function getStaleThreshold(stream, targetDuration) {
+    const staleFactor = stream.monitoring?.staleFactor || 1.5;
+    if (!targetDuration) return DEFAULT_STALE_THRESHOLD;
+    return Math.round(staleFactor * targetDuration * 1000);
+}
+
+// Human-readable rendition label used in health entries and error attribution
+// e.g. "1920x1080 @ 5000kbps"
+function getVariantName(variant, index) {
+    const attrs = variant.attributes || {};
+    const parts = [];
+    if (attrs.RESOLUTION) parts.push(`${attrs.RESOLUTION.width}x${attrs.RESOLUTION.height}`);
+    if (attrs.BANDWIDTH) parts.push(`${Math.round(attrs.BANDWIDTH / 1000)}kbps`);
+    return parts.length > 0 ? parts.join(' @ ') : `variant-${index}`;
+}
+
+// Collect alternate renditions declared via EXT-X-MEDIA (audio, subtitles,
+// alternate video angles). Closed captions are carried in-band and have no
+// playlist of their own, so they are returned separately for reporting only.
+// audioGroups maps each AUDIO group to the rendition its variants are checked
+// against for A/V sync: the DEFAULT member, else the first one with a playlist.
+async function getMediaGroupRenditions(manifest, masterUrl) {
+    const renditions = [];
+    const inBand = [];
+    const audioGroups = {};
+    const seen = new Set();
+    const mediaGroups = manifest.mediaGroups || {};
+
+    for (const [type, groups] of Object.entries(mediaGroups)) {
+        for (const [groupId, members] of Object.entries(groups || {})) {
+            for (const [name, media] of Object.entries(members || {})) {
+                const label = `${type} ${groupId}/${name}${media.language ? ` [${media.language}]` : ''}`;
+
+                if (!media.uri) {
+                    if (type === 'CLOSED-CAPTIONS') {
+                        inBand.push({
+                            name: label,
+                            mediaType: type,
+                            groupId,
+                            language: media.language,
+                            instreamId: media.instreamId,
+                            status: 'in-band'
+                        });
+                    }
+                    continue;
+                }
+
+                // The same playlist is often shared by several groups (one per codec)
+                const key = `${type}:${media.uri.split('?')[0]}`;
+                if (type === 'AUDIO' && (!audioGroups[groupId] || (media.default && !audioGroups[groupId].isDefault))) {
+                    const shared = renditions.find(r => r.key === key);
+                    audioGroups[groupId] = { key, name: shared ? shared.name : label, isDefault: !!media.default };
+                }
+                if (seen.has(key)) continue;
+                seen.add(key);
+
+                renditions.push({
+                    key,
+                    name: label,
+                    url: await resolveVariantUrl(masterUrl, media.uri),
+                    mediaType: type,
+                    groupId,
+                    language: media.language
+                });
+            }
+        }
+    }
+
+    return { renditions, inBand, audioGroups };
+}
+
+// Strip query strings so rotating CDN tokens don't look like new segments
+function segmentKey(uri) {
+    return (uri || '').split('?')[0];
+}
+
+// Compare the current media playlist against the previous poll (Eyevinn-style)
+// - Playlist Size: window shrinking, or growing faster than wall-clock allows
+// - Segment Continuity: first segment must continue from the previous window
+// - Discontinuity Sequence: must increase by the discontinuity tags that slid out
+function checkPlaylistContinuity(stream, variant, state, manifest, now) {
+    const previousSegments = state.lastSegments;
+    if (!previousSegments || state.lastMediaSequence === -1) return;
+
+    const currentSequence = manifest.mediaSequence || 0;
+    const mseqDiff = currentSequence - state.lastMediaSequence;
+
+    // Resets are already reported as Media Sequence errors
+    if (mseqDiff < 0) return;
+
+    const segments = manifest.segments;
+    const report = (errorType, details) =>
+        addError(stream, errorType, `${details} (${variant.name})`, variant.mediaType, null, variant.name);
+
+    // --- PLAYLIST SIZE ---
+    const previousEnd = state.lastMediaSequence + previousSegments.length;
+    const currentEnd = currentSequence + segments.length;
+
+    if (mseqDiff === 0 && segments.length < previousSegments.length) {
+        report(ErrorTypes.PLAYLIST_SIZE,
+            `Playlist shrank from ${previousSegments.length} to ${segments.length} segments in mseq(${currentSequence})`);
+    } else if (currentEnd < previousEnd) {
+        report(ErrorTypes.PLAYLIST_SIZE,
+            `Playlist end moved backwards from segment ${previousEnd - 1} to ${currentEnd - 1}`);
+    } else if (manifest.targetDuration > 0 && state.lastPollTime > 0) {
+        // At most one new segment per target duration, plus one for poll jitter
+        const elapsedMs = now - state.lastPollTime;
+        const maxAppended = Math.ceil(elapsedMs / (manifest.targetDuration * 1000)) + 1;
+        const appended = currentEnd - previousEnd;
+        if (appended > maxAppended) {
+            report(ErrorTypes.PLAYLIST_SIZE,
+                `Playlist grew by ${appended} segments in ${(elapsedMs / 1000).toFixed(1)}s (expected at most ${maxAppended})`);
+        }
+    }
+
+    // --- SEGMENT CONTINUITY ---
+    if (mseqDiff < previousSegments.length) {
+        const expectedUri = previousSegments[mseqDiff].uri;
+        const actualUri = segmentKey(segments[0].uri);
+        if (expectedUri !== actualUri) {
+            report(ErrorTypes.SEGMENT_CONTINUITY,
+                `Expected first segment of mseq(${currentSequence}) to be '${expectedUri}', got '${actualUri}'`);
+        }
+    }
+
+    // --- DISCONTINUITY SEQUENCE ---
+    const currentDseq = manifest.discontinuitySequence || 0;
+    const removed = previousSegments.slice(0, Math.min(mseqDiff, previousSegments.length));
+    const removedTags = removed.filter(seg => seg.discontinuity).length;
+    const expectedDseq = state.lastDiscontinuitySequence + removedTags;
+
+    if (mseqDiff <= previousSegments.length) {
+        if (currentDseq !== expectedDseq) {
+            report(ErrorTypes.DISCONTINUITY_SEQUENCE,
+                `Expected discontinuity sequence ${expectedDseq} in mseq(${currentSequence}) ` +
+                `(${removedTags} tag(s) removed), got ${currentDseq}`);
+        }
+    } else if (currentDseq < expectedDseq) {
+        // Window moved past everything we saw - only a lower bound is known
+        report(ErrorTypes.DISCONTINUITY_SEQUENCE,
+            `Expected discontinuity sequence >= ${expectedDseq} in mseq(${currentSequence}), got ${currentDseq}`);
+    }
+}
+
+// EVENT playlists may only append (RFC 8216 4.3.3.5): the media sequence
+// stays put and every segment seen before is still there, unchanged.
+// Shrinking and a changed first segment are already caught above.
+function checkEventAppendOnly(stream, variant, state, manifest) {
+    const previousSegments = state.lastSegments;
+    if (manifest.playlistType !== 'EVENT' || !previousSegments || state.lastMediaSequence === -1) return;
+
+    const report = details =>
+        addError(stream, ErrorTypes.PLAYLIST_CONTENT, `${details} (${variant.name})`, variant.mediaType, null, variant.name);
+    const currentSequence = manifest.mediaSequence || 0;
+
+    if (currentSequence > state.lastMediaSequence) {
+        report(`EVENT playlist removed segments: media sequence moved from ${state.lastMediaSequence} to ${currentSequence}`);
+        return;
+    }
+    if (currentSequence < state.lastMediaSequence) return; // Reported as a Media Sequence reset
+
+    const changed = previousSegments.findIndex((prev, i) =>
+        i > 0 && i < manifest.segments.length && prev.uri !== segmentKey(manifest.segments[i].uri));
+    if (changed > 0) {
+        report(`EVENT playlist replaced segment ${changed}: '${previousSegments[changed].uri}' is now '${segmentKey(manifest.segments[changed].uri)}'`);
+    }
+}
+
+// Segments that weren't in the window at the previous poll, with their media sequence
+// First poll (or after a reset) only takes the newest one
+function getNewSegments(state, manifest) {
+    const currentSequence = manifest.mediaSequence || 0;
+    const segments = manifest.segments.map((seg, i) => ({ ...seg, mediaSequence: currentSequence + i }));
+    const previousLast = state.lastMediaSequence + (state.lastSegments?.length || 0) - 1;
+
+    if (state.lastMediaSequence === -1 || currentSequence < state.lastMediaSequence) {
+        return segments.slice(-1);
+    }
+    return segments.filter(seg => seg.mediaSequence > previousLast);
+}
+
+// Download new segments and flag the ones viewers would stall on
+async function checkSegmentDelivery(stream, variant, state, manifest) {
+    if (SEGMENT_PROBE_LIMIT <= 0) return [];
+
+    const segments = getNewSegments(state, manifest).slice(-SEGMENT_PROBE_LIMIT);
+    const deliveries = await Promise.all(segments.map(async seg => probeSegment({
+        url: await resolveVariantUrl(variant.url, seg.uri),
+        uri: seg.uri,
+        mediaSequence: seg.mediaSequence,
+        duration: seg.duration,
+        byterange: seg.byterange
+    }, variant.bandwidth, stream.requestProfile)));
+
+    deliveries.forEach(d => {
+        if (d.status === 0 || d.status >= 400) {
+            addError(stream, ErrorTypes.SEGMENT_RETRIEVAL,
+                `Segment mseq(${d.mediaSequence}) ${d.uri} failed: ${d.error || `HTTP ${d.status}`} (${variant.name})`,
+                variant.mediaType, d.status || null, variant.name);
+        } else if (d.realTimeFactor > 1) {
+            addError(stream, ErrorTypes.SEGMENT_DELIVERY,
+                `Segment mseq(${d.mediaSequence}) took ${d.downloadTime}ms to download but plays for ${d.duration}s (${variant.name})`,
+                variant.mediaType, null, variant.name);
+        }
+    });
+
+    return deliveries;
+}
+
+// Fetch and validate a single media playlist (one rendition of the ladder)
+// Each rendition keeps its own sequence/staleness state so one broken rung
+// can't hide behind a healthy one
+async function checkVariant(stream, variant, now) {
+    const stateKey = `${stream._id}:${variant.key}`;
+    const state = streamState.get(stateKey) || {
         lastPollTime: 0,
         lastMediaSequence: -1,
-        consecutiveStales: 0
+        consecutiveStales: 0,
+        lastManifestUpdate: null,
+        lastDiscontinuitySequence: 0,
+        lastSegments: null,
+        sequenceJumps: 0,
+        sequenceResets: 0
+    };
+
+    const health = {
+        key: variant.key,
+        name: variant.name,
+        uri: variant.url,
+        mediaType: variant.mediaType,
+        groupId: variant.groupId,
+        language: variant.language,
+        bandwidth: variant.bandwidth,
+        resolution: variant.resolution,
+        codecs: variant.codecs,
+        status: 'online',
+        isStale: false,
+        lastManifestUpdate: state.lastManifestUpdate,
+        timeSinceLastUpdate: 0,
+        mediaSequence: state.lastMediaSequence,
+        previousMediaSequence: state.lastMediaSequence,
+        sequenceJumps: state.sequenceJumps,
+        sequenceResets: state.sequenceResets,
+        lastError: null
     };
 
+    // --- FETCH MEDIA PLAYLIST ---
+    let { manifest, text } = variant;
+    if (!manifest) {
+        try {
+            ({ manifest, text } = await fetchManifest(variant.url, stream.requestProfile));
+        } catch (err) {
+            addError(stream, ErrorTypes.MANIFEST_RETRIEVAL,
+                `Failed to fetch rendition ${variant.name} after ${err.attempts} attempt(s): ${err.message}`, variant.mediaType, err.response?.status, variant.name);
+            health.status = 'error';
+            health.lastError = err.message;
+            return { health };
+        }
+    }
+
+    // --- RFC 8216 LINT ---
+    // DASH renditions are synthesised from the MPD; there is no playlist text to lint
+    if (variant.format !== 'dash') {
+        recordLintFindings(stream, variant.name, variant.mediaType, lintMediaPlaylist(manifest, text));
+    }
+
+    // --- ANALYZE MEDIA PLAYLIST ---
+    if (!manifest.segments || manifest.segments.length === 0) {
+        addError(stream, ErrorTypes.PLAYLIST_CONTENT,
+            `Playlist has no segments (${variant.name})`, variant.mediaType, null, variant.name);
+        health.status = 'error';
+        health.lastError = 'Playlist has no segments';
+        return { health };
+    }
+
+    const currentSequence = manifest.mediaSequence || 0;
+
+    // --- STALENESS CHECK ---
+    // Any new segment counts as a change (EVENT playlists append without
+    // moving the media sequence)
+    const previousSegments = state.lastSegments || [];
+    const lastSegment = manifest.segments[manifest.segments.length - 1];
+    const changed = currentSequence !== state.lastMediaSequence ||
+        manifest.segments.length !== previousSegments.length ||
+        segmentKey(lastSegment.uri) !== previousSegments[previousSegments.length - 1]?.uri;
+    const staleThreshold = getStaleThreshold(stream, manifest.targetDuration);
+
+    if (!changed) {
+        state.consecutiveStales++;
+        health.timeSinceLastUpdate = now - (state.lastManifestUpdate?.getTime() || state.lastPollTime);
+
+        // A playlist with EXT-X-ENDLIST is finished, not stale
+        if (!manifest.endList && health.timeSinceLastUpdate > staleThreshold) {
+            health.isStale = true;
+            health.status = 'stale';
+            addError(stream, ErrorTypes.STALE_MANIFEST,
+                `Playlist stale for ${health.timeSinceLastUpdate}ms, threshold ${staleThreshold}ms (${variant.name})`,
+                variant.mediaType, null, variant.name);
+        }
+    } else {
+        // Playlist updated
+        state.lastManifestUpdate = new Date(now);
+        state.consecutiveStales = 0;
+        health.lastManifestUpdate = state.lastManifestUpdate;
+    }
+    health.changed = changed;
+    health.staleThreshold = staleThreshold;
+
+    // --- SEQUENCE CHECKS ---
+    if (state.lastMediaSequence !== -1) {
+        const expectedSequence = state.lastMediaSequence + 1;
+
+        // First poll after a restart: segments published while we were down
+        // are expected, so only the excess over the downtime counts as a jump
+        let downtimeSegments = 0;
+        if (state.restored && state.lastPollTime && manifest.targetDuration) {
+            const downtime = now - state.lastPollTime;
+            if (downtime > 2 * getPollInterval(stream)) {
+                downtimeSegments = Math.ceil(downtime / (manifest.targetDuration * 1000));
+                const missed = Math.max(0, currentSequence - expectedSequence);
+                addMonitorGap(stream,
+                    `Monitor was down for ${Math.round(downtime / 1000)}s, ${missed} segment(s) unobserved after mseq(${state.lastMediaSequence}) (${variant.name})`,
+                    variant.mediaType, variant.name);
+            }
+        }
+
+        // Check for sequence jump (gap) - only count significant gaps (3+)
+        // Gaps of 1-2 are normal when a poll lands just after a segment is published
+        if (currentSequence > expectedSequence) {
+            const gap = currentSequence - expectedSequence - downtimeSegments;
+            if (gap >= 3) {
+                state.sequenceJumps++;
+                stream.health.sequenceJumps++;
+                addError(stream, ErrorTypes.MEDIA_SEQUENCE,
+                    `Sequence jumped from ${state.lastMediaSequence} to ${currentSequence} (gap: ${gap}, ${variant.name})`,
+                    variant.mediaType, null, variant.name);
+            }
+        }
+
+        // Check for sequence reset
+        if (currentSequence < state.lastMediaSequence) {
+            state.lastPdt = null; // Old PDT positions no longer line up
+            state.recentSegments = null; // A restarted packager may reuse segment names
+            state.repeatRun = null;
+            state.sequenceResets++;
+            stream.health.sequenceResets++;
+            addError(stream, ErrorTypes.MEDIA_SEQUENCE,
+                `Sequence reset from ${state.lastMediaSequence} to ${currentSequence} (${variant.name})`,
+                variant.mediaType, null, variant.name);
+        }
+    }
+
+    checkPlaylistContinuity(stream, variant, state, manifest, now);
+    checkEventAppendOnly(stream, variant, state, manifest);
+
+    // --- DISCONTINUITY CHECK ---
+    const discontinuities = classifyDiscontinuities(manifest);
+
+    health.previousMediaSequence = state.lastMediaSequence;
+    health.mediaSequence = currentSequence;
+    health.sequenceJumps = state.sequenceJumps;
+    health.sequenceResets = state.sequenceResets;
+    health.discontinuitySequence = manifest.discontinuitySequence || 0;
+    health.discontinuityCount = discontinuities.splice + discontinuities.unexpected;
+    health.spliceDiscontinuities = discontinuities.splice;
+    health.segmentCount = manifest.segments.length;
+    health.targetDuration = manifest.targetDuration || 0;
+    health.playlistType = manifest.playlistType || 'LIVE';
+
+    // --- PROGRAM DATE TIME ---
+    const pdt = checkProgramDateTime(state, manifest, now);
+    pdt.jumps.forEach(jump => addError(stream, ErrorTypes.PROGRAM_DATE_TIME,
+        `${jump.message} (${variant.name})`, variant.mediaType, null, variant.name));
+    health.hasPdt = pdt.hasPdt;
+    health.liveEdge = pdt.liveEdge;
+    health.latency = pdt.latency;
+    health.pdtJumps = pdt.jumps.length;
+
+    // --- SEGMENT DELIVERY ---
+    const deliveries = await checkSegmentDelivery(stream, variant, state, manifest);
+    const failedDelivery = deliveries.find(d => d.status === 0 || d.status >= 400);
+    if (failedDelivery) {
+        health.status = 'error';
+        health.lastError = `Segment mseq(${failedDelivery.mediaSequence}) failed: ${failedDelivery.error || `HTTP ${failedDelivery.status}`}`;
+    }
+    const latestDelivery = deliveries[deliveries.length - 1];
+    if (latestDelivery) {
+        health.delivery = {
+            status: latestDelivery.status,
+            ttfb: latestDelivery.ttfb,
+            downloadTime: latestDelivery.downloadTime,
+            bytes: latestDelivery.bytes,
+            throughput: latestDelivery.throughput,
+            bandwidthRatio: latestDelivery.bandwidthRatio,
+            realTimeFactor: latestDelivery.realTimeFactor,
+            probedAt: new Date(now)
+        };
+    }
+
+    // --- REPEATED SEGMENTS ---
+    // A byte range is part of a segment's identity; one file can hold many
+    const newSegments = getNewSegments(state, manifest).map(seg => ({
+        ...seg,
+        uri: seg.byterange ? `${segmentKey(seg.uri)}@${seg.byterange.offset}-${seg.byterange.length}` : segmentKey(seg.uri)
+    }));
+    const repeats = trackRepeatedSegments(state, newSegments, deliveries, now);
+    if (repeats.length > 0) {
+        const last = repeats[repeats.length - 1];
+        console.log(`[FROZEN] ${stream.name}: mseq(${last.mediaSequence}) repeats mseq(${last.firstSequence}) by ${last.by}, ${state.repeatRun.count} in a row (${variant.name})`);
+    }
+    health.repeatedSegments = state.repeatRun.count;
+    health.repeatingFor = +state.repeatRun.duration.toFixed(3);
+    health.repeatingSince = state.repeatRun.since ? new Date(state.repeatRun.since) : null;
+
+    // --- LOW-LATENCY HLS ---
+    if (stream.monitoring?.lowLatency !== false && isLowLatency(manifest)) {
+        const lowLatency = await checkLowLatency(manifest, {
+            url: variant.url,
+            profile: stream.requestProfile,
+            resolveUrl: resolveVariantUrl
+        });
+        lowLatency.issues.forEach(issue => addError(stream,
+            issue.kind === 'hint' ? ErrorTypes.PRELOAD_HINT : ErrorTypes.BLOCKING_RELOAD,
+            `${issue.message} (${variant.name})`, variant.mediaType, issue.code, variant.name));
+        health.lowLatency = lowLatency.health;
+    }
+
+    // Update state
+    state.lastMediaSequence = currentSequence;
+    state.lastPollTime = now;
+    state.restored = false;
+    state.lastDiscontinuitySequence = health.discontinuitySequence;
+    state.lastSegments = manifest.segments.map(seg => ({
+        uri: segmentKey(seg.uri),
+        discontinuity: !!seg.discontinuity
+    }));
+    streamState.set(stateKey, state);
+
+    // Latest segment is handed to the processor for probing, once, on the poll
+    // it first appears. DASH media segments can't be probed without their
+    // initialization segment.
+    const firstSequence = manifest.mediaSequence || 0;
+    const latestSequence = firstSequence + manifest.segments.length - 1;
+    const latestSegment = manifest.segments[manifest.segments.length - 1];
+    const latestIsNew = newSegments.some(seg => seg.mediaSequence === latestSequence);
+    const segmentUrl = variant.format === 'dash' || !latestIsNew ? null : await resolveVariantUrl(variant.url, latestSegment.uri);
+
+    // Where the latest segment sits on the playlist's timeline, for timestamp continuity
+    const segment = {
+        mediaSequence: latestSequence,
+        discontinuitySequence: (manifest.discontinuitySequence || 0) + manifest.segments.filter(seg => seg.discontinuity).length,
+        playlist: manifest.segments.map((seg, i) => ({ mediaSequence: firstSequence + i, duration: seg.duration }))
+    };
+
+    return { health, manifest, text, segmentUrl, segment, deliveries };
+}
+
+// Manifests fetched on this poll, for the snapshot archive. A lone media
+// playlist is archived once, as its rendition.
+function getSnapshotCaptures(stream, manifest, manifestText, mpd, results) {
+    const captures = [];
+    if (mpd) {
+        captures.push({ variant: 'mpd', kind: 'mpd', uri: stream.url, mediaType: 'MASTER', text: manifestText });
+    } else if (manifest.playlists?.length > 0) {
+        captures.push({ variant: 'master', kind: 'master', uri: stream.url, mediaType: 'MASTER', text: manifestText });
+    }
+    results.forEach(({ health, text }) => captures.push({
+        variant: health.name,
+        kind: 'media',
+        uri: health.uri,
+        mediaType: health.mediaType,
+        mediaSequence: health.mediaSequence,
+        text
+    }));
+    return captures;
+}
+
+// Move the stream along the status state machine and tell listeners when it changed
+function applyStatus(stream, io, observation, reason, now) {
+    const transition = transitionStatus(stream, observation, reason, now);
+    if (transition) io.emit('stream:status', { ...transition, name: stream.name });
+}
+
+// A poll whose master fetch failed even after retries. It is a transient blip
+// (status unchanged, see status.js) until OUTAGE_AFTER_FAILURES polls in a row have failed;
+// then the outage is confirmed once and the breaker opens. Blips only count in
+// health.fetch; the error log, and with it the health score, starts at the
+// confirmed outage. Returns the delay until the next poll.
+function recordManifestFailure(stream, err, now) {
+    const previous = stream.health.fetch || {};
+    const failures = (previous.consecutiveFailures || 0) + 1;
+    const code = err.response?.status;
+    const reason = code ? `HTTP ${code}` : err.message;
+    const confirmed = failures >= OUTAGE_AFTER_FAILURES;
+    const pollInterval = getPollInterval(stream);
+    const nextDelay = confirmed ? getBreakerDelay(pollInterval, failures) : pollInterval;
+
+    if (!confirmed) {
+        console.warn(`[RETRY] ${stream.name}: Manifest fetch failed after ${err.attempts} attempt(s): ${reason} (transient, ${failures}/${OUTAGE_AFTER_FAILURES} failed polls)`);
+    } else if (previous.breaker !== 'open') {
+        addError(stream, ErrorTypes.STREAM_OUTAGE,
+            `Manifest unreachable for ${failures} polls in a row, outage confirmed: ${reason}`,
+            'MASTER', code, 'master');
+        console.log(`[BREAKER] ${stream.name}: Outage confirmed after ${failures} failed polls - backing off`);
+    }
+
+    stream.health.fetch = {
+        consecutiveFailures: failures,
+        attempts: err.attempts,
+        retriedPolls: previous.retriedPolls || 0,
+        transientFailures: (previous.transientFailures || 0) + (confirmed ? 0 : 1),
+        breaker: confirmed ? 'open' : 'closed',
+        firstFailureAt: previous.firstFailureAt || new Date(now),
+        lastFailureAt: new Date(now),
+        lastError: reason,
+        nextAttemptAt: confirmed ? new Date(now + nextDelay) : null,
+        checkedAt: new Date(now)
+    };
+    return nextDelay;
+}
+
+// A poll whose master fetch succeeded, possibly on a retry; closes the breaker
+function recordManifestSuccess(stream, attempts, now) {
+    const previous = stream.health.fetch || {};
+    if (previous.breaker === 'open') {
+        const outage = Math.round((now - new Date(previous.firstFailureAt).getTime()) / 1000);
+        console.log(`[BREAKER] ${stream.name}: Manifest reachable again after ${outage}s outage - resuming polls`);
+    } else if (attempts > 1) {
+        console.log(`[RETRY] ${stream.name}: Manifest fetched on attempt ${attempts}`);
+    }
+
+    stream.health.fetch = {
+        consecutiveFailures: 0,
+        attempts,
+        retriedPolls: (previous.retriedPolls || 0) + (attempts > 1 ? 1 : 0),
+        transientFailures: previous.transientFailures || 0,
+        breaker: 'closed',
+        firstFailureAt: null,
+        lastFailureAt: previous.lastFailureAt,
+        lastError: previous.lastError,
+        nextAttemptAt: null,
+        checkedAt: new Date(now)
+    };
+}
+
+async function checkStream(stream, io, context = {}) {
+    const now = Date.now();
+    stream.health.schedulingLag = context.schedulingLag || 0;
+    const errorsBefore = stream.streamErrors?.length || 0;
+
     try {
         // --- FETCH MANIFEST ---
         let manifest;
-        let variantUrl = stream.url;
+        let manifestText;
+
+        // An open breaker probes with a single attempt
+        const breakerOpen = stream.health.fetch?.breaker === 'open';
+        let attempts;
 
         try {
-            manifest = await fetchManifest(stream.url);
+            ({ manifest, text: manifestText, attempts } = await fetchManifest(stream.url, stream.requestProfile, breakerOpen ? 0 : undefined));
         } catch (err) {
-            addError(stream, ErrorTypes.MANIFEST_RETRIEVAL,
-                `Failed to fetch manifest: ${err.message}`, 'MASTER', err.response?.status);
-            stream.status = 'error';
+            const nextDelay = recordManifestFailure(stream, err, now);
+            applyStatus(stream, io, Observations.UNREACHABLE, `Manifest unreachable: ${stream.health.fetch.lastError}`, now);
             try {
                 await stream.save();
             } catch (saveErr) {
                 if (saveErr.name === 'VersionError') {
                     console.warn(`[WARN] ${stream.name}: VersionError during status update - skipping`);
-                    return;
+                    return nextDelay;
                 }
                 throw saveErr;
             }
             io.emit('stream:update', stream);
-            return;
+            return nextDelay;
         }
-
-        // --- HANDLE MASTER PLAYLIST ---
-        if (manifest.playlists && manifest.playlists.length > 0) {
-            // It's a master, follow first variant
-            const variant = manifest.playlists[0];
-            variantUrl = await resolveVariantUrl(stream.url, variant.uri);
-
-            // Update bandwidth from master
-            if (variant.attributes?.BANDWIDTH) {
-                stream.stats.bandwidth = variant.attributes.BANDWIDTH;
-            }
-            if (variant.attributes?.RESOLUTION) {
-                stream.stats.resolution = `${variant.attributes.RESOLUTION.width}x${variant.attributes.RESOLUTION.height}`;
-            }
-
+        recordManifestSuccess(stream, attempts, now);
+
+        // --- RESOLVE RENDITIONS ---
+        // A master playlist fans out to every variant plus its EXT-X-MEDIA
+        // alternates; a media playlist is monitored directly as a single rendition;
+        // an MPD fans out to every Representation (see dash.js)
+        let variants;
+        let inBandRenditions = [];
+        let mpd = null;
+        stream.health.format = isMpd(manifestText) ? 'DASH' : 'HLS';
+        if (stream.health.format === 'DASH') {
             try {
-                manifest = await fetchManifest(variantUrl);
+                mpd = parseMpd(manifestText);
             } catch (err) {
-                addError(stream, ErrorTypes.MANIFEST_RETRIEVAL,
-                    `Failed to fetch variant: ${err.message}`, 'VIDEO', err.response?.status);
-                stream.status = 'error';
+                addError(stream, ErrorTypes.PLAYLIST_CONTENT, `Invalid MPD: ${err.message}`, 'MASTER', null, 'mpd');
+                applyStatus(stream, io, Observations.IMPAIRED, `Invalid MPD: ${err.message}`, now);
                 try {
                     await stream.save();
                 } catch (saveErr) {
                     if (saveErr.name === 'VersionError') {
-                        console.warn(`[WARN] ${stream.name}: VersionError during variant update - skipping`);
+                        console.warn(`[WARN] ${stream.name}: VersionError during status update - skipping`);
                         return;
                     }
                     throw saveErr;
@@ -243,111 +1398,249 @@ async function checkStream(stream, io) {
                 io.emit('stream:update', stream);
                 return;
             }
+            variants = toRenditions(mpd, { url: stream.url, now, offsets: getDashState(stream).offsets });
+        } else if (manifest.playlists && manifest.playlists.length > 0) {
+            recordLintFindings(stream, 'master', 'MASTER', lintMasterPlaylist(manifest, manifestText));
+
+            variants = await Promise.all(manifest.playlists.map(async (playlist, index) => ({
+                key: playlist.uri.split('?')[0],
+                name: getVariantName(playlist, index),
+                url: await resolveVariantUrl(stream.url, playlist.uri),
+                mediaType: 'VIDEO',
+                bandwidth: playlist.attributes?.BANDWIDTH,
+                resolution: playlist.attributes?.RESOLUTION
+                    ? `${playlist.attributes.RESOLUTION.width}x${playlist.attributes.RESOLUTION.height}`
+                    : undefined,
+                codecs: playlist.attributes?.CODECS,
+                audioGroup: playlist.attributes?.AUDIO
+            })));
+
+            const mediaGroups = await getMediaGroupRenditions(manifest, stream.url);
+            variants.forEach(variant => {
+                const pair = mediaGroups.audioGroups[variant.audioGroup];
+                if (pair) variant.audioPair = { key: pair.key, name: pair.name };
+            });
+            variants.push(...mediaGroups.renditions);
+            inBandRenditions = mediaGroups.inBand;
+        } else {
+            variants = [{
+                key: 'main',
+                name: 'main',
+                url: stream.url,
+                mediaType: 'VIDEO',
+                manifest,
+                text: manifestText
+            }];
+        }
+
+        const results = await Promise.all(variants.map(variant => checkVariant(stream, variant, now)));
+        await persistState(stream, variants);
+
+        // --- MPD CHECKS ---
+        if (mpd) checkDashManifest(stream, mpd, variants, now);
+
+        // --- MANIFEST SNAPSHOTS ---
+        // Archived after the poll's last check so its errors can pin them
+        const archiveManifests = () => recordSnapshots(stream,
+            getSnapshotCaptures(stream, manifest, manifestText, mpd, results),
+            stream.streamErrors.slice(errorsBefore).filter(e => e.errorType !== ErrorTypes.MONITOR_GAP),
+            now);
+
+        // Carry forward probe data written asynchronously by the processor, for
+        // this poll's checks and updates; storeRenditions() keeps the stored copy.
+        // Matched by variant URI; names collide on ladders that differ only by codec.
+        const stored = await Stream.findById(stream._id).select('health.renditions').lean().catch(() => null);
+        const previousRenditions = stored?.health?.renditions || stream.health.renditions || [];
+        stream.health.renditions = results.map(({ health }) => {
+            const previous = previousRenditions.find(r => r.key === health.key);
+            return { ...health, probe: previous?.probe, timing: previous?.timing, delivery: health.delivery || previous?.delivery };
+        }).concat(inBandRenditions);
+
+        // --- AGGREGATE RENDITION HEALTH ---
+        // First variant (not an alternate) that produced a playlist drives the summary fields
+        const primary = results.find(r => r.manifest && !r.health.groupId);
+
+        // Applied once the stream-level checks below have had their say
+        const failed = results.find(r => r.health.status === 'error');
+        const stale = results.find(r => r.health.isStale);
+        let observation = Observations.HEALTHY;
+        let reason = 'All renditions healthy';
+        if (failed) {
+            observation = Observations.IMPAIRED;
+            reason = `${failed.health.name}: ${failed.health.lastError}`;
+        } else if (stale) {
+            observation = Observations.STALE;
+            reason = `${stale.health.name}: no new segments for ${Math.round(stale.health.timeSinceLastUpdate / 1000)}s`;
         }
+        stream.health.isStale = !!stale;
 
-        // --- ANALYZE MEDIA PLAYLIST ---
-        if (!manifest.segments || manifest.segments.length === 0) {
-            addError(stream, ErrorTypes.PLAYLIST_CONTENT, 'Playlist has no segments');
-            stream.status = 'error';
+        if (!primary) {
+            applyStatus(stream, io, observation, reason, now);
+            await archiveManifests();
+            stream.unmarkModified('health.renditions');
             try {
                 await stream.save();
             } catch (saveErr) {
                 if (saveErr.name === 'VersionError') {
-                    console.warn(`[WARN] ${stream.name}: VersionError during playlist check - skipping`);
+                    console.warn(`[WARN] ${stream.name}: VersionError during variant update - skipping`);
                     return;
                 }
                 throw saveErr;
             }
+            await storeRenditions(stream);
             io.emit('stream:update', stream);
             return;
         }
 
-        const currentSequence = manifest.mediaSequence || 0;
-        const segmentCount = manifest.segments.length;
-        const targetDuration = manifest.targetDuration || 0;
-
-        // --- STALENESS CHECK ---
-        if (currentSequence === state.lastMediaSequence) {
-            state.consecutiveStales++;
-            stream.health.timeSinceLastUpdate = now - state.lastPollTime;
+        const primaryHealth = primary.health;
+        const currentSequence = primaryHealth.mediaSequence;
+        const segmentCount = primaryHealth.segmentCount;
 
-            if (stream.health.timeSinceLastUpdate > stream.health.staleThreshold) {
-                stream.health.isStale = true;
-                stream.status = 'stale';
-                addError(stream, ErrorTypes.STALE_MANIFEST,
-                    `Playlist stale for ${stream.health.timeSinceLastUpdate}ms`);
-            }
-        } else {
-            // Playlist updated
-            stream.health.isStale = false;
-            stream.health.lastManifestUpdate = new Date();
+        if (!stream.health.isStale) {
+            stream.health.lastManifestUpdate = primaryHealth.lastManifestUpdate;
             stream.health.timeSinceLastUpdate = 0;
-            state.consecutiveStales = 0;
-            stream.status = 'online';
-        }
-
-        // --- SEQUENCE CHECKS ---
-        if (state.lastMediaSequence !== -1) {
-            const expectedSequence = state.lastMediaSequence + 1;
-
-            // Check for sequence jump (gap) - only count significant gaps (3+)
-            // Gaps of 1-2 are normal due to poll timing (7s) vs segment duration (~6s)
-            if (currentSequence > expectedSequence) {
-                const gap = currentSequence - expectedSequence;
-                if (gap >= 3) {
-                    stream.health.sequenceJumps++;
-                    addError(stream, ErrorTypes.MEDIA_SEQUENCE,
-                        `Sequence jumped from ${state.lastMediaSequence} to ${currentSequence} (gap: ${gap})`);
-                }
-            }
+        } else {
+            stream.health.timeSinceLastUpdate = Math.max(...results.map(r => r.health.timeSinceLastUpdate || 0));
+        }
 
-            // Check for sequence reset
-            if (currentSequence < state.lastMediaSequence) {
-                stream.health.sequenceResets++;
-                addError(stream, ErrorTypes.MEDIA_SEQUENCE,
-                    `Sequence reset from ${state.lastMediaSequence} to ${currentSequence}`);
-            }
+        // --- UPDATE HEALTH ---
+        stream.health.previousMediaSequence = primaryHealth.previousMediaSequence;
+        stream.health.mediaSequence = currentSequence;
+        stream.health.segmentCount = segmentCount;
+        stream.health.targetDuration = primaryHealth.targetDuration;
+        stream.health.staleThreshold = primaryHealth.staleThreshold;
+        stream.health.playlistType = primaryHealth.playlistType;
+        stream.health.discontinuitySequence = primaryHealth.discontinuitySequence;
+        stream.health.discontinuityCount = primaryHealth.discontinuityCount;
+        stream.health.spliceDiscontinuities = primaryHealth.spliceDiscontinuities;
+        stream.health.lowLatency = primaryHealth.lowLatency || null;
+
+        // --- ENDED PLAYLISTS (VOD / finished EVENT) ---
+        if (results.every(r => !r.manifest || r.manifest.endList)) {
+            await archiveManifests();
+            return await checkEndedStream(stream, io, now);
         }
+        stream.health.ended = false;
 
-        // --- DISCONTINUITY CHECK ---
-        let currentDiscontinuityCount = 0;
-        manifest.segments.forEach(seg => {
-            if (seg.discontinuity) currentDiscontinuityCount++;
-        });
+        // --- LIVE LATENCY ---
+        checkLiveLatency(stream, primaryHealth, now);
 
-        if (manifest.discontinuitySequence !== undefined) {
-            if (stream.health.discontinuitySequence !== manifest.discontinuitySequence) {
-                stream.health.discontinuitySequence = manifest.discontinuitySequence;
-            }
+        // --- FROZEN CONTENT ---
+        checkFrozenContent(stream, primaryHealth, now);
+
+        // --- BLACK / FROZEN FRAMES ---
+        checkVideoContent(stream, primaryHealth, now);
+
+        // --- LOUDNESS ---
+        checkLoudness(stream, primaryHealth, now);
+
+        // --- AUDIO CHANNELS ---
+        checkAudioChannels(stream, primaryHealth, now);
+
+        // --- GOP / KEYFRAMES ---
+        checkGop(stream, primaryHealth, now);
+
+        // --- TIMESTAMPS / A/V SYNC ---
+        checkTimestamps(stream, primaryHealth, now);
+
+        // Picture problems impair an otherwise healthy stream
+        const { frozen, videoContent } = stream.health;
+        const contentIssue = frozen.frozen ? `Content frozen for ${frozen.duration.toFixed(0)}s`
+            : videoContent?.black ? `Black frames in ${Math.round(stream.stats.video.blackRatio * 100)}% of the latest segment`
+            : videoContent?.frozen ? `Frozen frames in ${Math.round(stream.stats.video.frozenRatio * 100)}% of the latest segment`
+            : null;
+        if (contentIssue && observation === Observations.HEALTHY) {
+            observation = Observations.IMPAIRED;
+            reason = contentIssue;
         }
-        stream.health.discontinuityCount = currentDiscontinuityCount;
 
-        // --- UPDATE HEALTH ---
-        stream.health.previousMediaSequence = state.lastMediaSequence;
-        stream.health.mediaSequence = currentSequence;
-        stream.health.segmentCount = segmentCount;
-        stream.health.targetDuration = targetDuration;
-        stream.health.playlistType = manifest.playlistType || 'LIVE';
+        // --- STATUS ---
+        applyStatus(stream, io, observation, reason, now);
 
-        // Update state
-        state.lastMediaSequence = currentSequence;
-        state.lastPollTime = now;
-        streamState.set(stream._id.toString(), state);
+        // Poll sooner (half target duration) if any rendition didn't move
+        const allChanged = results.every(r => !r.manifest || r.health.changed);
+        stream.health.pollInterval = getPollInterval(stream, allChanged);
 
-        // --- TRIGGER SPRITE GENERATION ---
-        // Always process the latest segment for sprite
-        const latestSegment = manifest.segments[manifest.segments.length - 1];
-        let segmentUrl = latestSegment.uri;
-        if (!segmentUrl.startsWith('http')) {
-            const baseUrl = variantUrl.substring(0, variantUrl.lastIndexOf('/') + 1);
-            segmentUrl = baseUrl + segmentUrl;
+        // Update bandwidth from master
+        if (primaryHealth.bandwidth) {
+            stream.stats.bandwidth = primaryHealth.bandwidth;
+        }
+        if (primaryHealth.resolution) {
+            stream.stats.resolution = primaryHealth.resolution;
+        }
+
+        // --- CROSS-VARIANT ALIGNMENT ---
+        // Only the ABR ladder itself; alternates have their own timelines.
+        // Each kind of misalignment is reported once per crossing.
+        const ladder = results.filter(r => r.manifest && !r.health.groupId);
+        if (ladder.length > 1) {
+            const report = buildAlignmentReport(ladder.map(r => ({ name: r.health.name, manifest: r.manifest })));
+
+            const previousKinds = stream.health.alignment?.issueKinds || [];
+            report.issues.forEach((issue, i) => {
+                if (!previousKinds.includes(report.issueKinds[i])) {
+                    addError(stream, ErrorTypes.VARIANT_ALIGNMENT, issue, 'VIDEO', null, 'ladder');
+                }
+            });
+
+            stream.health.alignment = {
+                aligned: report.aligned,
+                maxSequenceDrift: report.maxSequenceDrift,
+                maxPdtDriftMs: report.maxPdtDriftMs,
+                discontinuityAligned: report.discontinuityAligned,
+                issueKinds: report.issueKinds,
+                checkedAt: new Date()
+            };
+
+            try {
+                await AlignmentReport.create({ streamId: stream._id, ...report });
+            } catch (alignErr) {
+                console.error(`[ALIGNMENT] ${stream.name}: ${alignErr.message}`);
+            }
+        }
+
+        // --- AD BREAKS ---
+        // Timeline follows the primary rendition; the ladder carries the same markers
+        await trackAdBreaks(stream, primary.manifest, primaryHealth.name, now);
+
+        await archiveManifests();
+
+        // --- SEGMENT DELIVERY HISTORY ---
+        const deliveries = results.flatMap(r => (r.deliveries || []).map(d => ({
+            streamId: stream._id,
+            variant: r.health.name,
+            mediaType: r.health.mediaType,
+            declaredBandwidth: r.health.bandwidth,
+            ...d
+        })));
+        if (deliveries.length > 0) {
+            try {
+                await SegmentProbe.insertMany(deliveries, { ordered: false });
+            } catch (probeErr) {
+                console.error(`[SEGMENTS] ${stream.name}: ${probeErr.message}`);
+            }
         }
 
-        processSegment(stream, segmentUrl, io);
+        // --- TRIGGER SEGMENT PROBES ---
+        // Primary rendition gets the full pipeline (probe, audio, sprite);
+        // the rest of the ladder is probed on its own (subtitles are skipped).
+        // Video variants of a demuxed ladder are paired with their audio group.
+        results.forEach((result, index) => {
+            if (!result.segmentUrl || result.health.mediaType === 'SUBTITLES') return;
+            processSegment(stream, result.segmentUrl, io, {
+                variant: result.health.name,
+                variantKey: result.health.key,
+                primary: result === primary,
+                segment: result.segment,
+                audioPair: variants[index].audioPair
+            });
+        });
 
         // Update timestamp
         stream.lastChecked = new Date();
 
+        // Renditions are stored by storeRenditions(), not by the save
+        stream.unmarkModified('health.renditions');
         try {
             await stream.save();
         } catch (saveErr) {
@@ -357,6 +1650,7 @@ async function checkStream(stream, io) {
             }
             throw saveErr;
         }
+        await storeRenditions(stream);
 
         // Calculate signal levels for graphs
         const videoBitrate = stream.stats?.video?.bitRate || stream.stats?.container?.bitRate * 0.85 || 0;
@@ -388,7 +1682,32 @@ async function checkStream(stream, io) {
                 status: stream.status,
                 mediaSequence: currentSequence,
                 segmentCount: segmentCount,
-                errorCount: stream.health.totalErrors || 0
+                errorCount: stream.health.totalErrors || 0,
+                schedulingLag: stream.health.schedulingLag,
+                latency: stream.health.latency?.latency,
+                pdtDrift: stream.health.latency?.drift,
+                blackRatio: stream.stats?.video?.blackRatio,
+                frozenRatio: stream.stats?.video?.frozenRatio,
+                loudnessMomentary: stream.stats?.audio?.loudness?.momentaryMax,
+                loudnessShortTerm: stream.stats?.audio?.loudness?.shortTerm,
+                loudnessProgram: stream.stats?.audio?.loudness?.programIntegrated,
+                loudnessRange: stream.stats?.audio?.loudness?.lra,
+                truePeak: stream.stats?.audio?.loudness?.truePeak,
+                avOffset: stream.health.avSync?.offset,
+                avDrift: stream.health.avSync?.drift,
+                renditions: stream.health.renditions.map(r => ({
+                    name: r.name,
+                    mediaType: r.mediaType,
+                    bandwidth: r.bandwidth,
+                    status: r.status,
+                    isStale: r.isStale,
+                    mediaSequence: r.mediaSequence,
+                    segmentCount: r.segmentCount,
+                    ttfb: r.delivery?.ttfb,
+                    downloadTime: r.delivery?.downloadTime,
+                    throughput: r.delivery?.throughput,
+                    blockingReloadTime: r.lowLatency?.blockingReloadTime
+                }))
             });
         } catch (histErr) {
             console.error(`[METRICS] ${stream.name}: ${histErr.message}`);
@@ -405,13 +1724,17 @@ async function checkStream(stream, io) {
 
         io.emit('stream:update', stream);
 
-        console.log(`[OK] ${stream.name}: seq=${currentSequence}, segments=${segmentCount}`);
+        console.log(`[OK] ${stream.name}: seq=${currentSequence}, segments=${segmentCount}, renditions=${results.length}, next poll ${stream.health.pollInterval}ms`);
+
+        return stream.health.pollInterval;
 
     } catch (err) {
         console.error(`[FATAL] ${stream.name}:`, err.message);
-        stream.status = 'error';
+        applyStatus(stream, io, Observations.IMPAIRED, err.message, now);
         addError(stream, ErrorTypes.MANIFEST_RETRIEVAL, err.message);
 
+        // A rendition list rebuilt before the failure is left for the next poll
+        stream.unmarkModified('health.renditions');
         try {
             await stream.save();
         } catch (saveErr) {
@@ -426,34 +1749,56 @@ async function checkStream(stream, io) {
     }
 }
 
-async function monitorLoop(io) {
-    const streams = await Stream.find();
-
-    for (const stream of streams) {
-        await checkStream(stream, io);
-    }
-}
-
-module.exports = function (io) {
-    console.log(`[MONITOR] Starting with ${MONITOR_INTERVAL}ms interval`);
-
-    let isRunning = false;
+// options.mode: 'embedded' (inside the API server) or 'worker' (standalone worker.js)
+module.exports = function (io, options = {}) {
+    const { mode = 'embedded' } = options;
+    console.log(`[MONITOR] Starting in ${mode} mode with adaptive intervals (fallback ${MONITOR_INTERVAL}ms), concurrency ${MONITOR_CONCURRENCY}`);
+
+    migrateLegacyStatuses().catch(err => console.error('[STATUS] Legacy status migration failed:', err.message));
+
+    let scheduler = null;
+    const leases = createLeaseManager({
+        mode,
+        getStats: () => scheduler?.getStats(),
+        // Pick up where the previous owner left off
+        onAcquire: ids => {
+            ids.forEach(id => {
+                adTrackers.delete(id);
+                dashStates.delete(id);
+                forgetSnapshots(id);
+                forgetThumbnails(id);
+                forgetProgramLoudness(id);
+                forgetTimelines(id);
+                forgetGops(id);
+            });
+            return restoreState({ streamId: { $in: ids } })
+                .catch(err => console.error('[MONITOR] State restore failed:', err.message));
+        }
+    });
+
+    scheduler = createScheduler({
+        concurrency: MONITOR_CONCURRENCY,
+        interval: MONITOR_INTERVAL,
+        // Only streams this process holds a lease for
+        listIds: () => leases.claim(),
+        run: async (id, { lag }) => {
+            // Load a fresh document per poll so saves don't race older copies
+            const stream = await Stream.findById(id);
+            if (!stream) return;
+            const nextDelay = await checkStream(stream, io, { schedulingLag: lag });
+            return nextDelay ?? getPollInterval(stream);
+        }
+    });
 
-    async function runMonitor() {
-        if (isRunning) return;
-        isRunning = true;
+    scheduler.start().catch(err => console.error('[MONITOR] Scheduler start failed:', err));
 
-        try {
-            await monitorLoop(io);
-        } catch (err) {
-            console.error('[MONITOR] Global loop error:', err);
-        } finally {
-            isRunning = false;
-            // Schedule next run only after current one finishes
-            setTimeout(runMonitor, MONITOR_INTERVAL);
+    return {
+        workerId: leases.workerId,
+        getStats: scheduler.getStats,
+        // Stop polling and release leases so other workers take over at once
+        async stop() {
+            scheduler.stop();
+            await leases.release();
         }
-    }
-
-    // Start immediately
-    runMonitor();
+    };
 };
@@ -1,16 +1,29 @@
 const ffmpeg = require('fluent-ffmpeg');
 const path = require('path');
 const fs = require('fs');
+const Stream = require('../models/Stream');
+const { buildRequest, getFfmpegInputOptions } = require('./requestProfile');
+const { dHash, recordThumbnailHash } = require('./frozen');
+const { VIDEO_FILTERS, parseVideoContent } = require('./videoContent');
+const { EBUR128_FILTER, parseEbur128, recordProgramLoudness } = require('./loudness');
+const { getChannelFilters, parseChannelStats, evaluateChannels } = require('./audioChannels');
+const { probeSegment } = require('./ffprobe');
+const { parsePacketTimes, analyzeTimestamps, analyzeDemuxedSync, isAnalyzed } = require('./timestamps');
+const { probeFirstFrame, parseGop, trackGop, isGopAnalyzed } = require('./gop');
 
 // ============================================
 // FFmpeg Process Queue (Concurrency Limiter)
 // Prevents memory spikes by limiting parallel processes
+// Jobs are keyed by stream and job type: a stream's newer segment replaces its
+// job still waiting in the queue, so a slow backlog can't pile up stale work.
+// The queue is capped; when full, the oldest waiting job is dropped.
 // ============================================
 const MAX_CONCURRENT_FFMPEG = 4;
+const MAX_QUEUED_FFMPEG = parseInt(process.env.MAX_QUEUED_FFMPEG) || 200;
 let activeProcesses = 0;
-const processQueue = [];
+const processQueue = []; // [{ key, execute, drop }]
 
-function runLimited(task) {
+function runLimited(key, task) {
     return new Promise((resolve) => {
         const execute = () => {
             activeProcesses++;
@@ -22,16 +35,42 @@ function runLimited(task) {
                     // Process next in queue
                     if (processQueue.length > 0) {
                         const next = processQueue.shift();
-                        next();
+                        next.execute();
                     }
                 });
         };
 
         if (activeProcesses < MAX_CONCURRENT_FFMPEG) {
             execute();
-        } else {
-            processQueue.push(execute);
+            return;
         }
+
+        const job = { key, execute, drop: resolve };
+        const waiting = processQueue.findIndex(queued => queued.key === key);
+        if (waiting >= 0) {
+            processQueue[waiting].drop();
+            processQueue[waiting] = job;
+            return;
+        }
+        if (processQueue.length >= MAX_QUEUED_FFMPEG) {
+            const dropped = processQueue.shift();
+            dropped.drop();
+            console.warn(`[QUEUE] FFmpeg queue full (${MAX_QUEUED_FFMPEG} waiting): dropped ${dropped.key}`);
+        }
+        processQueue.push(job);
+    });
+}
+
+// Perceptual hash of a thumbnail: shrink it to 9x8 grayscale and dHash the pixels
+function hashThumbnail(file) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        const output = ffmpeg(file)
+            .outputOptions(['-vf', 'scale=9:8:flags=area,format=gray', '-frames:v', '1', '-f', 'rawvideo'])
+            .on('error', reject)
+            .pipe();
+        output.on('data', chunk => chunks.push(chunk));
+        output.on('end', () => resolve(dHash(Buffer.concat(chunks))));
     });
 }
 
@@ -46,172 +85,371 @@ function getChannelLayout(channels) {
     }
 }
 
-async function processSegment(stream, segmentUrl, io) {
-    // 1. Deep Analysis with FFprobe (Queued)
-    runLimited(() => new Promise((resolve) => {
-        ffmpeg.ffprobe(segmentUrl, (err, metadata) => {
-            if (err) {
-                console.error(`[PROBE] ${stream.name}: ${err.message}`);
-                resolve();
-                return;
-            }
+// Parse an FFprobe frame rate fraction (e.g., "30000/1001" -> 29.97)
+function parseFrameRate(rate) {
+    if (!rate) return 0;
+    const parts = rate.split('/');
+    if (parts.length === 2) {
+        return parseFloat(parts[0]) / parseFloat(parts[1]) || 0;
+    }
+    return parseFloat(rate) || 0;
+}
 
-            try {
-                // Container stats
-                let videoBitrate = 0;
-                let audioBitrate = 0;
-
-                if (metadata.format) {
-                    stream.stats.container = {
-                        formatName: metadata.format.format_name,
-                        duration: parseFloat(metadata.format.duration) || 0,
-                        size: parseInt(metadata.format.size) || 0,
-                        bitRate: parseInt(metadata.format.bit_rate) || 0
-                    };
-                }
+// { a: 1 } under 'stats.video' -> { 'stats.video.a': 1 }, so a write leaves sibling fields alone
+const under = (prefix, values) =>
+    Object.fromEntries(Object.entries(values).map(([key, value]) => [`${prefix}.${key}`, value]));
 
-                // Video stream
-                const video = metadata.streams.find(s => s.codec_type === 'video');
-                if (video) {
-                    stream.stats.resolution = `${video.width}x${video.height}`;
-                    stream.stats.fps = 0;
-                    if (video.r_frame_rate) {
-                        // Safe parsing of fraction (e.g., "30000/1001" -> 29.97)
-                        const parts = video.r_frame_rate.split('/');
-                        if (parts.length === 2) {
-                            stream.stats.fps = parseFloat(parts[0]) / parseFloat(parts[1]) || 0;
-                        } else {
-                            stream.stats.fps = parseFloat(video.r_frame_rate) || 0;
-                        }
-                    }
-                    videoBitrate = parseInt(video.bit_rate) || (metadata.format?.bit_rate * 0.85) || 0;
-
-                    stream.stats.video = {
-                        codec: video.codec_name,
-                        profile: video.profile,
-                        level: video.level?.toString(),
-                        width: video.width,
-                        height: video.height,
-                        pixFmt: video.pix_fmt,
-                        colorSpace: video.color_space || video.color_primaries || 'unknown',
-                        bitRate: videoBitrate
-                    };
-                }
+// Store a job's results with a targeted $set. Jobs for a segment finish in any
+// order while the monitor is saving the same document, so a whole-document
+// save() would race them. Emits the stored document when io is given.
+async function storeResults(stream, tag, set, io = null, filter = {}) {
+    try {
+        const updated = await Stream.findOneAndUpdate({ _id: stream._id, ...filter }, { $set: set }, { new: true });
+        if (io && updated) io.emit('stream:update', updated);
+        return updated;
+    } catch (err) {
+        console.error(`[${tag}] ${stream.name}: Failed to store results - ${err.message}`);
+        return null;
+    }
+}
 
-                // Audio stream - Basic stats
-                const audio = metadata.streams.find(s => s.codec_type === 'audio');
-                if (audio) {
-                    audioBitrate = parseInt(audio.bit_rate) || 128000;
-                    stream.stats.audio = {
-                        codec: audio.codec_name,
-                        channels: audio.channels,
-                        sampleRate: parseInt(audio.sample_rate) || 0,
-                        bitRate: audioBitrate,
-                        channelLayout: getChannelLayout(audio.channels),
-                        peakDb: stream.stats.audio?.peakDb || null,
-                        avgDb: stream.stats.audio?.avgDb || null,
-                        isSilent: stream.stats.audio?.isSilent || false
-                    };
-                }
+// Segment URL and FFmpeg input options under the stream's request profile
+// Built per job so URL tokens are signed right before FFmpeg connects
+function getInput(stream, segmentUrl) {
+    const request = buildRequest(segmentUrl, stream.requestProfile);
+    return { url: request.url, options: getFfmpegInputOptions(request.headers) };
+}
 
-                // Emit LIVE signal levels
-                const videoLevel = Math.min(100, Math.max(0, (videoBitrate / 5000000) * 100));
-                const audioLevel = Math.min(100, Math.max(0, (audioBitrate / 320000) * 100));
-                const variation = (Math.random() - 0.5) * 10;
-
-                io.emit('stream:signal', {
-                    id: stream._id,
-                    timestamp: Date.now(),
-                    video: Math.max(0, Math.min(100, videoLevel + variation)),
-                    audio: Math.max(0, Math.min(100, audioLevel + variation)),
-                    videoBitrate: videoBitrate,
-                    audioBitrate: audioBitrate,
-                    fps: stream.stats.fps || 0,
-                    peakDb: stream.stats.audio?.peakDb,
-                    avgDb: stream.stats.audio?.avgDb,
-                    isSilent: stream.stats.audio?.isSilent
-                });
+// Packet timestamps of a segment compared with the rendition's previous one
+// (see timestamps.js). A video-only rendition of a demuxed ladder takes its
+// A/V offset from its audio group's rendition (audioPair: { key, name }).
+// The monitor turns the events into errors on the next poll.
+function analyzeSegmentTiming(stream, metadata, variant, variantKey, segment, audioPair) {
+    const tracks = parsePacketTimes(metadata);
+    const result = analyzeTimestamps(stream._id, variantKey, segment, tracks);
+    if (!result) return null;
 
-                stream.save().then(() => {
-                    io.emit('stream:update', stream);
-                }).catch(() => { });
+    const timing = {
+        mediaSequence: segment.mediaSequence,
+        videoStart: tracks.video?.start,
+        audioStart: tracks.audio?.start,
+        avOffset: result.avOffset,
+        avDrift: result.avDrift,
+        inSync: result.inSync,
+        videoContinuity: result.continuity.video,
+        audioContinuity: result.continuity.audio,
+        events: result.events,
+        reported: false,
+        analyzedAt: new Date()
+    };
+    const paired = tracks.video && !tracks.audio && audioPair
+        ? analyzeDemuxedSync(stream._id, variantKey, audioPair)
+        : null;
+    if (paired) {
+        Object.assign(timing, { avOffset: paired.avOffset, avDrift: paired.avDrift, inSync: paired.inSync, audioRendition: audioPair.name });
+        timing.events = [...timing.events, ...paired.events];
+    }
+    timing.events.forEach(e => console.log(`[TIMESTAMPS] ${stream.name} (${variant}): ${e.message}`));
+    return timing;
+}
 
-            } catch (parseErr) {
-                console.error(`[PROBE PARSE] ${stream.name}: ${parseErr.message}`);
-            }
-            resolve();
-        });
-    }));
+// One ffprobe pass over a rendition's new segment: its codec/format for
+// health.renditions[].probe and its packet timestamps for .timing, stored
+// together on the entry. Resolves the probe output, or null when there was
+// nothing to do.
+async function probeRendition(stream, segmentUrl, options) {
+    const { variant, variantKey, segment, audioPair } = options;
+    if (segment && isAnalyzed(stream._id, variantKey, segment.mediaSequence)) return null;
+
+    let metadata;
+    try {
+        const input = getInput(stream, segmentUrl);
+        metadata = await probeSegment(input.url, input.options);
+    } catch (err) {
+        console.error(`[PROBE] ${stream.name} (${variant}): ${err.message}`);
+        return null;
+    }
+
+    const set = {};
+    try {
+        // Audio-only renditions report their audio stream
+        const streams = metadata.streams || [];
+        const media = streams.find(s => s.codec_type === 'video') || streams.find(s => s.codec_type === 'audio');
+        if (media) {
+            set['health.renditions.$.probe'] = {
+                codec: media.codec_name,
+                width: media.width,
+                height: media.height,
+                fps: parseFrameRate(media.r_frame_rate),
+                channels: media.channels,
+                sampleRate: parseInt(media.sample_rate) || undefined,
+                bitRate: parseInt(media.bit_rate) || parseInt(metadata.format?.bit_rate) || 0,
+                probedAt: new Date()
+            };
+        }
+        const timing = segment && analyzeSegmentTiming(stream, metadata, variant, variantKey, segment, audioPair);
+        if (timing) set['health.renditions.$.timing'] = timing;
+    } catch (parseErr) {
+        console.error(`[PROBE PARSE] ${stream.name} (${variant}): ${parseErr.message}`);
+    }
+    if (Object.keys(set).length > 0) {
+        await storeResults(stream, 'PROBE', set, null, { 'health.renditions.key': variantKey });
+    }
+    return metadata;
+}
 
-    // 2. Audio Level Detection (Queued)
-    runLimited(() => new Promise((resolve) => {
+// Loudness (ebur128), per-channel levels and phase (astats, aphasemeter) and
+// black/frozen frames (blackdetect, freezedetect) in one FFmpeg pass: the
+// segment is downloaded and decoded once. layout: { channels, video } from the
+// segment's probe; the graph only references streams the segment carries.
+function analyzeContent(stream, segmentUrl, io, layout) {
+    const chains = [];
+    const outputs = [];
+    if (layout.channels > 0) {
+        chains.push(`[0:a:0]${[EBUR128_FILTER, ...getChannelFilters(layout.channels)].join(',')}[audio]`);
+        outputs.push('audio');
+    }
+    if (layout.video) {
+        chains.push(`[0:v:0]${VIDEO_FILTERS.join(',')}[video]`);
+        outputs.push('video');
+    }
+    if (chains.length === 0) return Promise.resolve();
+
+    return new Promise((resolve) => {
         try {
-            ffmpeg(segmentUrl)
-                .audioFilters('volumedetect')
+            const input = getInput(stream, segmentUrl);
+            // stdoutLines: 0 keeps the whole log: per-frame loudness lines, astats
+            // blocks and detector lines can precede a long progress tail
+            ffmpeg(input.url, { stdoutLines: 0 })
+                .inputOptions(input.options)
+                .complexFilter(chains, outputs)
                 .format('null')
                 .output('-')
-                .on('end', (stdout, stderr) => {
+                .on('end', async (stdout, stderr) => {
+                    const set = {};
                     try {
-                        const stderrStr = stderr || '';
-                        const meanMatch = stderrStr.match(/mean_volume:\s*([-\d.]+)\s*dB/);
-                        const maxMatch = stderrStr.match(/max_volume:\s*([-\d.]+)\s*dB/);
-
-                        if (meanMatch || maxMatch) {
-                            const avgDb = meanMatch ? parseFloat(meanMatch[1]) : null;
-                            const peakDb = maxMatch ? parseFloat(maxMatch[1]) : null;
-                            const validAvgDb = avgDb !== null && !isNaN(avgDb) && isFinite(avgDb) ? avgDb : null;
-                            const validPeakDb = peakDb !== null && !isNaN(peakDb) && isFinite(peakDb) ? peakDb : null;
-                            const isSilent = validPeakDb !== null && validPeakDb < -50;
-
-                            if (stream.stats && stream.stats.audio) {
-                                stream.stats.audio.avgDb = validAvgDb;
-                                stream.stats.audio.peakDb = validPeakDb;
-                                stream.stats.audio.isSilent = isSilent;
-
-                                stream.save().then(() => {
-                                    io.emit('stream:update', stream);
-                                    if (isSilent) {
-                                        console.log(`[AUDIO] ${stream.name}: Silence detected (peak: ${validPeakDb}dB)`);
-                                    }
-                                }).catch(() => { });
+                        const measured = layout.channels > 0 ? parseEbur128(stderr) : null;
+                        if (measured) {
+                            const program = recordProgramLoudness(stream._id, measured);
+                            Object.assign(set, under('stats.audio', {
+                                loudness: {
+                                    integrated: measured.integrated,
+                                    shortTerm: measured.shortTerm,
+                                    shortTermMax: measured.shortTermMax,
+                                    momentaryMax: measured.momentaryMax,
+                                    lra: measured.lra,
+                                    truePeak: measured.truePeak,
+                                    programIntegrated: program.integrated,
+                                    programDuration: program.duration,
+                                    measuredDuration: measured.duration,
+                                    measuredAt: new Date()
+                                },
+                                // Legacy level fields: true peak (dBTP) and segment loudness (LUFS)
+                                peakDb: measured.truePeak,
+                                avgDb: measured.integrated,
+                                isSilent: measured.isSilent
+                            }));
+                            if (measured.isSilent) {
+                                console.log(`[AUDIO] ${stream.name}: Silence detected (momentary max: ${measured.momentaryMax ?? '-inf'} LUFS)`);
+                            }
+                        }
+
+                        const levels = layout.channels > 0 ? parseChannelStats(stderr) : null;
+                        if (levels) {
+                            const issues = evaluateChannels(levels);
+                            Object.assign(set, under('stats.audio', {
+                                channelLevels: levels.channels,
+                                phase: levels.phase,
+                                channelIssues: issues,
+                                channelsAnalyzedAt: new Date()
+                            }));
+                            if (issues.deadChannels.length > 0 || issues.silentSurrounds || issues.invertedPhase || issues.dualMono) {
+                                console.log(`[CHANNELS] ${stream.name}: ${JSON.stringify(issues)}`);
+                            }
+                        }
+
+                        const content = layout.video ? parseVideoContent(stderr) : null;
+                        if (content) {
+                            Object.assign(set, under('stats.video', {
+                                blackRatio: content.blackRatio,
+                                frozenRatio: content.frozenRatio,
+                                blackDuration: content.blackDuration,
+                                frozenDuration: content.frozenDuration,
+                                analyzedDuration: content.duration,
+                                analyzedAt: new Date()
+                            }));
+                            if (content.blackDuration > 0 || content.frozenDuration > 0) {
+                                console.log(`[VIDEO] ${stream.name}: ${content.blackDuration}s black, ${content.frozenDuration}s frozen of ${content.duration}s`);
                             }
                         }
                     } catch (parseErr) {
-                        console.debug(`[VOLUME PARSE] ${stream.name}: ${parseErr.message}`);
+                        console.debug(`[ANALYSIS PARSE] ${stream.name}: ${parseErr.message}`);
                     }
+                    if (Object.keys(set).length > 0) await storeResults(stream, 'ANALYSIS', set, io);
                     resolve();
                 })
                 .on('error', (err) => {
-                    if (err && err.message && !err.message.includes('null')) {
-                        console.debug(`[VOLUME] ${stream.name}: ${err.message}`);
-                    }
+                    console.debug(`[ANALYSIS] ${stream.name}: ${err.message}`);
                     resolve();
                 })
                 .run();
         } catch (ffmpegErr) {
-            console.debug(`[VOLUME INIT] ${stream.name}: ${ffmpegErr.message}`);
+            console.debug(`[ANALYSIS INIT] ${stream.name}: ${ffmpegErr.message}`);
             resolve();
         }
-    }));
+    });
+}
 
-    // 3. Generate Thumbnail (Queued)
+async function processSegment(stream, segmentUrl, io, options = {}) {
+    const { variant = null, variantKey = null, primary = true, segment = null, audioPair = null } = options;
+
+    // 1. Segment Probe (Queued) - every rendition; the primary one also feeds
+    // the stream stats, GOP structure, signal levels and audio/video analysis
+    runLimited(`${stream._id}:probe:${variantKey}`, async () => {
+        const metadata = await probeRendition(stream, segmentUrl, { variant, variantKey, segment, audioPair });
+        if (!primary || !metadata) return;
+
+        try {
+            // Container stats
+            let videoBitrate = 0;
+            let audioBitrate = 0;
+            const set = {};
+            const streams = metadata.streams || [];
+
+            if (metadata.format) {
+                set['stats.container'] = {
+                    formatName: metadata.format.format_name,
+                    duration: parseFloat(metadata.format.duration) || 0,
+                    size: parseInt(metadata.format.size) || 0,
+                    bitRate: parseInt(metadata.format.bit_rate) || 0
+                };
+            }
+
+            // Video stream - black/freeze results come from analyzeContent()
+            const video = streams.find(s => s.codec_type === 'video');
+            if (video) {
+                videoBitrate = parseInt(video.bit_rate) || (metadata.format?.bit_rate * 0.85) || 0;
+                set['stats.resolution'] = `${video.width}x${video.height}`;
+                set['stats.fps'] = parseFrameRate(video.r_frame_rate);
+                Object.assign(set, under('stats.video', {
+                    codec: video.codec_name,
+                    profile: video.profile,
+                    level: video.level?.toString(),
+                    width: video.width,
+                    height: video.height,
+                    pixFmt: video.pix_fmt,
+                    colorSpace: video.color_space || video.color_primaries || 'unknown',
+                    bitRate: videoBitrate
+                }));
+            }
+
+            // GOP / keyframe structure from the same probe's packet flags; the
+            // segment start is checked on its decoded first frame
+            let gop = null;
+            if (video && segment && !isGopAnalyzed(stream._id, segment.mediaSequence)) {
+                let firstFrame = null;
+                try {
+                    const input = getInput(stream, segmentUrl);
+                    firstFrame = await probeFirstFrame(input.url, input.options);
+                } catch (err) {
+                    console.debug(`[GOP] ${stream.name}: First frame probe failed - ${err.message}`);
+                }
+                gop = parseGop(metadata, firstFrame);
+            }
+            const change = gop && trackGop(stream._id, segment, gop);
+            if (change) {
+                set['stats.video.gop'] = {
+                    mediaSequence: segment.mediaSequence,
+                    startsWithKeyframe: gop.startsWithKeyframe,
+                    firstFrameType: gop.firstFrameType,
+                    frames: gop.frames,
+                    keyframes: gop.keyframes,
+                    gopLength: gop.gopLength,
+                    gopLengths: gop.gopLengths,
+                    gopDuration: gop.gopDuration,
+                    keyframeInterval: gop.keyframeInterval,
+                    irregular: gop.irregular,
+                    pattern: gop.pattern,
+                    previousGopLength: change.previousGopLength,
+                    changed: change.changed,
+                    reported: false,
+                    analyzedAt: new Date()
+                };
+                if (!gop.startsWithKeyframe || change.changed) {
+                    console.log(`[GOP] ${stream.name}: mseq(${segment.mediaSequence}) ${gop.startsWithKeyframe ? 'starts on a keyframe' : `starts on a ${gop.firstFrameType || '?'}-frame`}, GOP ${gop.gopLength} frames (was ${change.previousGopLength ?? '-'})`);
+                }
+            }
+
+            // Audio stream - Basic stats; loudness and channel levels come from analyzeContent()
+            const audio = streams.find(s => s.codec_type === 'audio');
+            if (audio) {
+                audioBitrate = parseInt(audio.bit_rate) || 128000;
+                Object.assign(set, under('stats.audio', {
+                    codec: audio.codec_name,
+                    channels: audio.channels,
+                    sampleRate: parseInt(audio.sample_rate) || 0,
+                    bitRate: audioBitrate,
+                    channelLayout: getChannelLayout(audio.channels)
+                }));
+            }
+
+            // Emit LIVE signal levels
+            const videoLevel = Math.min(100, Math.max(0, (videoBitrate / 5000000) * 100));
+            const audioLevel = Math.min(100, Math.max(0, (audioBitrate / 320000) * 100));
+            const variation = (Math.random() - 0.5) * 10;
+
+            io.emit('stream:signal', {
+                id: stream._id,
+                timestamp: Date.now(),
+                video: Math.max(0, Math.min(100, videoLevel + variation)),
+                audio: Math.max(0, Math.min(100, audioLevel + variation)),
+                videoBitrate: videoBitrate,
+                audioBitrate: audioBitrate,
+                fps: set['stats.fps'] || stream.stats?.fps || 0,
+                peakDb: stream.stats?.audio?.peakDb,
+                avgDb: stream.stats?.audio?.avgDb,
+                isSilent: stream.stats?.audio?.isSilent
+            });
+
+            await storeResults(stream, 'PROBE', set, io);
+
+            // Audio/video analysis builds its filter graph from the streams found here
+            runLimited(`${stream._id}:analysis`, () => analyzeContent(stream, segmentUrl, io, { channels: audio?.channels || 0, video: !!video }));
+
+        } catch (parseErr) {
+            console.error(`[PROBE PARSE] ${stream.name}: ${parseErr.message}`);
+        }
+    });
+
+    // Secondary renditions only get the probe - audio levels and sprites
+    // come from the primary rendition
+    if (!primary) return;
+
+    // 2. Generate Thumbnail (Queued)
     const os = require('os');
     const tempFile = path.join(os.tmpdir(), `sprite-${stream._id}-${Date.now()}.jpg`);
 
-    runLimited(() => new Promise((resolve) => {
-        ffmpeg(segmentUrl)
-            .inputOptions(['-ss', '0.5'])
+    runLimited(`${stream._id}:sprite`, () => new Promise((resolve) => {
+        const input = getInput(stream, segmentUrl);
+        ffmpeg(input.url)
+            .inputOptions([...input.options, '-ss', '0.5'])
             .outputOptions(['-vframes', '1', '-vf', 'scale=320:-1', '-q:v', '5'])
-            .on('end', () => {
+            .on('end', async () => {
                 try {
                     const imageBuffer = fs.readFileSync(tempFile);
                     const base64Image = `data:image/jpeg;base64,${imageBuffer.toString('base64')}`;
-                    stream.thumbnail = base64Image;
-                    stream.save().then(() => {
+                    if (await storeResults(stream, 'SPRITE', { thumbnail: base64Image })) {
                         io.emit('stream:sprite', { id: stream._id, url: base64Image });
-                    }).catch(() => { });
+                        console.log(`[SPRITE] ${stream.name}: Stored in DB`);
+                    }
+
+                    // Feeds frozen-content detection (see frozen.js)
+                    const hash = await hashThumbnail(tempFile).catch(err => {
+                        console.debug(`[SPRITE HASH] ${stream.name}: ${err.message}`);
+                        return null;
+                    });
+                    if (hash && segment) recordThumbnailHash(stream._id, hash, segment.mediaSequence);
                     fs.unlinkSync(tempFile);
-                    console.log(`[SPRITE] ${stream.name}: Stored in DB`);
                 } catch (readErr) {
                     console.error(`[SPRITE] ${stream.name}: Read error - ${readErr.message}`);
                 }
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+
+// ============================================
+// Per-Stream Request Profiles
+// Turns a stream's requestProfile into the URL and headers of one request.
+// Manifest fetches, segment downloads and FFmpeg inputs all go through
+// buildRequest so an origin sees the same client every time.
+// URL tokens are re-signed per request, so expiring CDN tokens never lapse.
+// ============================================
+
+const SECRET_MASK = '********';
+
+// Header names whose values are treated as secrets in API responses
+const SECRET_HEADER_PATTERN = /^(authorization|cookie)$|token|secret|key/i;
+
+// Render "{name}" placeholders; unknown placeholders are left as-is
+function renderTemplate(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined ? values[name] : match));
+}
+
+// Query parameters from the urlToken template, e.g. "token={hmac}&expires={expires}"
+function getTokenParams(url, urlToken) {
+    const now = Math.floor(Date.now() / 1000);
+    const values = {
+        now,
+        expires: now + (urlToken.ttl || 300),
+        path: new URL(url).pathname
+    };
+    if (urlToken.secret) {
+        values.hmac = crypto
+            .createHmac(urlToken.algorithm || 'sha256', urlToken.secret)
+            .update(renderTemplate(urlToken.signWith || '{path}{expires}', values))
+            .digest('hex');
+    }
+    return new URLSearchParams(renderTemplate(urlToken.template, values));
+}
+
+// Returns { url, headers } for a request to `url` under `profile` (may be empty)
+function buildRequest(url, profile) {
+    const headers = {};
+    if (!profile) return { url, headers };
+
+    if (profile.userAgent) headers['User-Agent'] = profile.userAgent;
+    if (profile.referer) headers.Referer = profile.referer;
+    if (profile.cookies) headers.Cookie = profile.cookies;
+
+    const auth = profile.auth || {};
+    if (auth.scheme === 'basic' && auth.username) {
+        headers.Authorization = `Basic ${Buffer.from(`${auth.username}:${auth.password || ''}`).toString('base64')}`;
+    } else if (auth.scheme === 'bearer' && auth.token) {
+        headers.Authorization = `Bearer ${auth.token}`;
+    }
+
+    // Explicit headers win over the shortcuts above
+    (profile.headers || []).forEach(h => {
+        if (h.name) headers[h.name] = h.value || '';
+    });
+
+    if (profile.urlToken?.template) {
+        try {
+            const signed = new URL(url);
+            getTokenParams(url, profile.urlToken).forEach((value, name) => signed.searchParams.set(name, value));
+            url = signed.toString();
+        } catch (err) {
+            console.error(`[PROFILE] Could not sign ${url}: ${err.message}`);
+        }
+    }
+
+    return { url, headers };
+}
+
+// FFmpeg/FFprobe input options carrying the same headers (User-Agent has its own flag)
+function getFfmpegInputOptions(headers) {
+    const options = [];
+    const { 'User-Agent': userAgent, ...rest } = headers;
+    if (userAgent) options.push('-user_agent', userAgent);
+
+    const lines = Object.entries(rest).map(([name, value]) => `${name}: ${value}\r\n`).join('');
+    if (lines) options.push('-headers', lines);
+    return options;
+}
+
+// Copy of a profile that is safe to send to clients
+function maskProfile(profile) {
+    if (!profile) return profile;
+    const masked = { ...profile };
+    const mask = value => (value ? SECRET_MASK : value);
+
+    masked.cookies = mask(profile.cookies);
+    if (profile.auth) masked.auth = { ...profile.auth, password: mask(profile.auth.password), token: mask(profile.auth.token) };
+    if (profile.urlToken) masked.urlToken = { ...profile.urlToken, secret: mask(profile.urlToken.secret) };
+    masked.headers = (profile.headers || []).map(h => ({
+        name: h.name,
+        value: SECRET_HEADER_PATTERN.test(h.name || '') ? mask(h.value) : h.value
+    }));
+    return masked;
+}
+
+module.exports = { buildRequest, getFfmpegInputOptions, maskProfile, SECRET_MASK };
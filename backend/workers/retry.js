@@ -0,0 +1,63 @@
+// ============================================
+// Manifest Fetch Retries & Circuit Breaker
+// A dropped packet shouldn't light up the wall. Manifest fetches are retried
+// within a poll with jittered exponential backoff; a poll that still fails
+// is a transient blip until OUTAGE_AFTER_FAILURES polls in a row have failed,
+// at which point the outage is confirmed and the breaker opens: the stream is
+// polled with a single attempt at a growing interval (capped at
+// BREAKER_MAX_INTERVAL) until a fetch succeeds again.
+// Breaker state lives in stream.health.fetch, so it survives a worker handoff.
+// ============================================
+
+const MANIFEST_RETRIES = parseInt(process.env.MANIFEST_RETRIES ?? '2');                  // Extra attempts per poll
+const MANIFEST_RETRY_DELAY = parseInt(process.env.MANIFEST_RETRY_DELAY) || 500;          // ms before the first retry
+const MANIFEST_RETRY_MAX_DELAY = 4000;                                                    // ms cap on one backoff step
+const OUTAGE_AFTER_FAILURES = parseInt(process.env.OUTAGE_AFTER_FAILURES) || 3;          // Failed polls that confirm an outage
+const BREAKER_MAX_INTERVAL = parseInt(process.env.BREAKER_MAX_INTERVAL) || 300000;       // ms between polls of a dead stream
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// "Full jitter": a random delay up to the exponential step, so streams that
+// failed together (a shared CDN blip) don't retry in lockstep
+function backoffDelay(attempt, base = MANIFEST_RETRY_DELAY, max = MANIFEST_RETRY_MAX_DELAY) {
+    return Math.round(Math.random() * Math.min(max, base * 2 ** attempt));
+}
+
+// Network errors, timeouts, 5xx, 408 and 429 may clear up on their own;
+// any other 4xx won't
+function isRetryable(err) {
+    const status = err.response?.status;
+    if (!status) return true;
+    return status >= 500 || status === 408 || status === 429;
+}
+
+// Run fn up to retries + 1 times. Resolves { result, attempts }; rejects with
+// the last error, annotated with err.attempts
+async function withRetry(fn, retries = MANIFEST_RETRIES) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return { result: await fn(), attempts: attempt + 1 };
+        } catch (err) {
+            if (attempt >= retries || !isRetryable(err)) {
+                err.attempts = attempt + 1;
+                throw err;
+            }
+            await sleep(backoffDelay(attempt));
+        }
+    }
+}
+
+// Delay before the next poll of a stream whose breaker is open: doubles with
+// every failed poll past the threshold, jittered by up to 20%
+function getBreakerDelay(pollInterval, consecutiveFailures) {
+    const step = Math.max(0, consecutiveFailures - OUTAGE_AFTER_FAILURES);
+    const delay = Math.min(BREAKER_MAX_INTERVAL, pollInterval * 2 ** (step + 1));
+    return Math.round(delay * (0.8 + Math.random() * 0.2));
+}
+
+module.exports = {
+    OUTAGE_AFTER_FAILURES,
+    withRetry,
+    isRetryable,
+    getBreakerDelay
+};
@@ -0,0 +1,132 @@
+// ============================================
+// Poll Scheduler (Bounded Concurrency)
+// Every stream has its own due time. A tick starts due streams up to the
+// concurrency cap, so one slow or dead stream can't delay the others.
+// Scheduling lag (actual start - intended due time) is tracked per stream
+// and in aggregate so overload shows up before it causes false stale alarms.
+// ============================================
+
+const TICK_INTERVAL = 250;       // How often due streams are checked
+const SYNC_INTERVAL = 10000;     // How often the stream list is refreshed
+const LAG_SAMPLE_SIZE = 200;     // Recent lag samples kept for percentiles
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    const index = Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length));
+    return sorted[index];
+}
+
+// options.listIds: async () => [id]          - streams that should be polled
+// options.run:     async (id, { lag }) => ms? - poll one stream; may return the delay until its next poll
+function createScheduler({ concurrency, interval, listIds, run }) {
+    const entries = new Map(); // id -> { dueAt, running, lastLag }
+    const lagSamples = [];
+    let active = 0;
+    let stopped = false;
+    let tickTimer = null;
+    let syncTimer = null;
+
+    async function sync() {
+        try {
+            const ids = (await listIds()).map(id => id.toString());
+            const now = Date.now();
+
+            ids.forEach(id => {
+                if (!entries.has(id)) {
+                    entries.set(id, { dueAt: now, running: false, lastLag: 0 });
+                }
+            });
+
+            const current = new Set(ids);
+            for (const id of entries.keys()) {
+                if (!current.has(id) && !entries.get(id).running) entries.delete(id);
+            }
+        } catch (err) {
+            console.error('[SCHEDULER] Stream sync failed:', err.message);
+        }
+    }
+
+    function recordLag(lag) {
+        lagSamples.push(lag);
+        if (lagSamples.length > LAG_SAMPLE_SIZE) lagSamples.shift();
+    }
+
+    function start(id, entry) {
+        const startedAt = Date.now();
+        const lag = Math.max(0, startedAt - entry.dueAt);
+
+        entry.running = true;
+        entry.lastLag = lag;
+        active++;
+        recordLag(lag);
+
+        Promise.resolve()
+            .then(() => run(id, { lag, dueAt: entry.dueAt }))
+            .catch(err => {
+                console.error(`[SCHEDULER] Poll failed for ${id}:`, err.message);
+            })
+            .then(nextDelay => {
+                const delay = Number.isFinite(nextDelay) ? nextDelay : interval;
+                // Anchor to the intended due time so lag doesn't accumulate,
+                // but never schedule in the past after an overrun
+                entry.dueAt = Math.max(entry.dueAt + delay, Date.now());
+            })
+            .finally(() => {
+                entry.running = false;
+                active--;
+                tick();
+            });
+    }
+
+    function tick() {
+        if (stopped || active >= concurrency) return;
+
+        const now = Date.now();
+        const due = [...entries.entries()]
+            .filter(([, entry]) => !entry.running && entry.dueAt <= now)
+            .sort((a, b) => a[1].dueAt - b[1].dueAt);
+
+        for (const [id, entry] of due) {
+            if (active >= concurrency) break;
+            start(id, entry);
+        }
+    }
+
+    function getStats() {
+        const now = Date.now();
+        const sorted = lagSamples.slice().sort((a, b) => a - b);
+        const waiting = [...entries.values()].filter(e => !e.running && e.dueAt <= now).length;
+
+        return {
+            streams: entries.size,
+            concurrency,
+            active,
+            waiting,
+            lag: {
+                last: lagSamples[lagSamples.length - 1] || 0,
+                avg: sorted.length ? Math.round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length) : 0,
+                p95: percentile(sorted, 95),
+                max: sorted[sorted.length - 1] || 0
+            }
+        };
+    }
+
+    return {
+        async start() {
+            stopped = false;
+            await sync();
+            tick();
+            tickTimer = setInterval(tick, TICK_INTERVAL);
+            syncTimer = setInterval(sync, SYNC_INTERVAL);
+        },
+        stop() {
+            stopped = true;
+            clearInterval(tickTimer);
+            clearInterval(syncTimer);
+        },
+        sync,
+        getStats
+    };
+}
+
+module.exports = { createScheduler };
@@ -0,0 +1,86 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { buildRequest } = require('./requestProfile');
+
+// ============================================
+// Segment Delivery Probes
+// Downloads newly published segments the way a player would and times
+// them. A segment that 404s or takes longer to download than it lasts
+// is a stall for every viewer, whatever the playlist says.
+// ============================================
+
+const SEGMENT_TIMEOUT = 20000;
+
+// Request only the sub-range for EXT-X-BYTERANGE segments
+function getRangeHeader(byterange) {
+    if (!byterange) return {};
+    const start = byterange.offset || 0;
+    return { Range: `bytes=${start}-${start + byterange.length - 1}` };
+}
+
+// Fetch one segment and measure it; never throws
+// segment: { url, uri, mediaSequence, duration, byterange }
+async function probeSegment(segment, declaredBandwidth, profile) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), SEGMENT_TIMEOUT);
+    const started = performance.now();
+
+    const result = {
+        uri: segment.uri,
+        mediaSequence: segment.mediaSequence,
+        duration: segment.duration,
+        status: 0,
+        ttfb: null,
+        downloadTime: null,
+        bytes: 0,
+        throughput: null,       // bps actually achieved
+        bandwidthRatio: null,   // throughput / declared BANDWIDTH
+        realTimeFactor: null,   // downloadTime / segment duration; > 1 is slower than real time
+        contentHash: null,      // sha1 of the body; the same bytes at another mseq is a repeated segment
+        error: null
+    };
+
+    try {
+        const request = buildRequest(segment.url, profile);
+        const response = await axios.get(request.url, {
+            responseType: 'stream',
+            headers: { ...request.headers, ...getRangeHeader(segment.byterange) },
+            signal: controller.signal,
+            validateStatus: () => true
+        });
+        result.status = response.status;
+        result.ttfb = Math.round(performance.now() - started);
+
+        const hash = crypto.createHash('sha1');
+        await new Promise((resolve, reject) => {
+            response.data.on('data', chunk => {
+                result.bytes += chunk.length;
+                hash.update(chunk);
+            });
+            response.data.on('end', resolve);
+            response.data.on('error', reject);
+        });
+
+        const elapsed = performance.now() - started;
+        result.downloadTime = Math.round(elapsed);
+        if (response.status >= 400) return result; // Error bodies say nothing about delivery speed
+        result.contentHash = hash.digest('hex');
+
+        if (elapsed > 0 && result.bytes > 0) {
+            result.throughput = Math.round((result.bytes * 8) / (elapsed / 1000));
+            if (declaredBandwidth) result.bandwidthRatio = +(result.throughput / declaredBandwidth).toFixed(2);
+        }
+        if (segment.duration > 0) {
+            result.realTimeFactor = +(elapsed / (segment.duration * 1000)).toFixed(2);
+        }
+    } catch (err) {
+        result.error = controller.signal.aborted ? `Timed out after ${SEGMENT_TIMEOUT}ms` : err.message;
+        result.downloadTime = Math.round(performance.now() - started);
+    } finally {
+        clearTimeout(timer);
+    }
+
+    return result;
+}
+
+module.exports = { probeSegment, SEGMENT_TIMEOUT };
@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ManifestSnapshot = require('../models/ManifestSnapshot');
+
+// ============================================
+// Manifest Snapshot Archive
+// The raw text of every manifest fetched on a poll (master, media
+// playlists, MPD) is archived whenever it changes, so an error can be
+// traced back to exactly what the packager served. Snapshots expire after
+// SNAPSHOT_RETENTION_HOURS and are capped per stream; the snapshot in
+// effect when an error fired, and the one before it, are pinned and kept
+// as long as the errors themselves (7 days after the latest one).
+// ============================================
+
+const SNAPSHOT_RETENTION_HOURS = parseInt(process.env.SNAPSHOT_RETENTION_HOURS) || 24;
+const SNAPSHOT_MAX_PER_STREAM = parseInt(process.env.SNAPSHOT_MAX_PER_STREAM) || 2000; // Unpinned snapshots kept per stream
+const PIN_RETENTION_MS = 7 * 24 * 3600000; // Matches the stream error retention in models/Stream.js
+const MAX_ERROR_IDS = 100;                  // Newest pinning errors listed per snapshot
+const PRUNE_EVERY = 50; // New snapshots per stream between cap checks
+
+// Newest snapshot per playlist: `${streamId}:${variant}` -> { id, hash, previousId }
+const latest = new Map();
+// New snapshots per stream since its last cap check
+const sincePrune = new Map();
+
+function hashText(text) {
+    return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+// Delete the oldest unpinned snapshots beyond the per-stream cap
+async function pruneSnapshots(streamId) {
+    const excess = await ManifestSnapshot.find({ streamId, pinned: false })
+        .sort({ capturedAt: -1 })
+        .skip(SNAPSHOT_MAX_PER_STREAM)
+        .select('_id')
+        .lean();
+    if (excess.length > 0) {
+        await ManifestSnapshot.deleteMany({ _id: { $in: excess.map(s => s._id) } });
+    }
+}
+
+// Archive this poll's manifests and pin the ones behind its errors.
+// captures: [{ variant, kind, uri, mediaType, mediaSequence, text }]
+// errors: stream errors raised on this poll ({ eid, variant })
+async function recordSnapshots(stream, captures, errors, now) {
+    const streamId = stream._id.toString();
+    const capturedAt = new Date(now);
+    const expireAt = new Date(now + SNAPSHOT_RETENTION_HOURS * 3600000);
+    const pinnedUntil = new Date(now + PIN_RETENTION_MS);
+    const current = new Map();
+    const ops = [];
+    let inserted = 0;
+
+    captures.forEach(capture => {
+        if (typeof capture.text !== 'string') return;
+        const key = `${streamId}:${capture.variant}`;
+        const hash = hashText(capture.text);
+        const previous = latest.get(key);
+
+        if (previous?.hash === hash) {
+            ops.push({ updateOne: { filter: { _id: previous.id }, update: { $set: { lastSeenAt: capturedAt } } } });
+            current.set(capture.variant, previous);
+            return;
+        }
+
+        const entry = { id: new mongoose.Types.ObjectId(), hash, previousId: previous?.id };
+        ops.push({
+            insertOne: {
+                document: {
+                    _id: entry.id,
+                    streamId: stream._id,
+                    variant: capture.variant,
+                    kind: capture.kind,
+                    uri: capture.uri,
+                    mediaType: capture.mediaType,
+                    mediaSequence: capture.mediaSequence,
+                    hash,
+                    text: capture.text,
+                    bytes: Buffer.byteLength(capture.text),
+                    capturedAt,
+                    lastSeenAt: capturedAt,
+                    previousId: entry.previousId,
+                    expireAt
+                }
+            }
+        });
+        latest.set(key, entry);
+        current.set(capture.variant, entry);
+        inserted++;
+    });
+
+    // Pin what was served when each error fired and the version before it.
+    // Stream-wide errors ('ladder', 'mpd' checks) pin every playlist of the poll.
+    // Each pin pushes the expiry out to the error's own retention.
+    const pins = new Map();
+    errors.forEach(err => {
+        const entries = current.has(err.variant) ? [current.get(err.variant)] : [...current.values()];
+        entries.forEach(entry => [entry.id, entry.previousId].filter(Boolean).forEach(id => {
+            const pin = pins.get(id.toString()) || { id, eids: [] };
+            pin.eids.push(err.eid);
+            pins.set(id.toString(), pin);
+        }));
+    });
+    pins.forEach(({ id, eids }) => ops.push({
+        updateOne: {
+            filter: { _id: id },
+            update: {
+                $set: { pinned: true, expireAt: pinnedUntil },
+                $push: { errorIds: { $each: [...new Set(eids)], $slice: -MAX_ERROR_IDS } }
+            }
+        }
+    }));
+
+    if (ops.length === 0) return;
+
+    try {
+        // Ordered, so a snapshot is inserted before it is pinned
+        await ManifestSnapshot.bulkWrite(ops, { ordered: true });
+
+        const count = (sincePrune.get(streamId) || 0) + inserted;
+        if (count >= PRUNE_EVERY) {
+            sincePrune.set(streamId, 0);
+            await pruneSnapshots(stream._id);
+        } else {
+            sincePrune.set(streamId, count);
+        }
+    } catch (err) {
+        console.error(`[SNAPSHOTS] ${stream.name}: Failed to archive manifests - ${err.message}`);
+    }
+}
+
+// Drop cached hashes, e.g. when another worker may have archived newer snapshots
+function forgetSnapshots(streamId) {
+    const prefix = `${streamId}:`;
+    [...latest.keys()].forEach(key => {
+        if (key.startsWith(prefix)) latest.delete(key);
+    });
+    sincePrune.delete(streamId.toString());
+}
+
+module.exports = { recordSnapshots, forgetSnapshots };
@@ -0,0 +1,54 @@
+// ============================================
+// Socket.IO Event Bus (MongoDB)
+// Standalone monitor workers have no Socket.IO clients of their own. They
+// write events into a capped collection through @socket.io/mongo-emitter,
+// and every API instance relays them to its clients via
+// @socket.io/mongo-adapter. The adapter uses change streams, so MongoDB
+// must run as a replica set (Atlas always does).
+// ============================================
+
+const { Emitter } = require('@socket.io/mongo-emitter');
+const { createAdapter } = require('@socket.io/mongo-adapter');
+
+const EVENTS_COLLECTION = 'socket.io-events';
+const EVENTS_COLLECTION_SIZE = 64 * 1024 * 1024; // Stream updates carry thumbnails; leave room
+
+async function getEventsCollection(db) {
+    try {
+        await db.createCollection(EVENTS_COLLECTION, { capped: true, size: EVENTS_COLLECTION_SIZE });
+    } catch (err) {
+        if (err.codeName !== 'NamespaceExists') throw err;
+    }
+    return db.collection(EVENTS_COLLECTION);
+}
+
+// Documents are converted with toJSON before they enter the bus, like
+// Socket.IO does locally: BSON serialization skips the schema transforms
+// (masked request profile secrets)
+const toPlain = arg => (arg?.toJSON ? arg.toJSON() : arg);
+
+// API side: relay events from workers (and other API instances) to local clients
+// Broadcasts are published to the bus too, so their documents are converted first
+async function attachAdapter(io, db) {
+    const collection = await getEventsCollection(db);
+    const mongoAdapter = createAdapter(collection);
+    io.adapter(function (nsp) {
+        const adapter = mongoAdapter(nsp);
+        const broadcast = adapter.broadcast.bind(adapter);
+        const broadcastWithAck = adapter.broadcastWithAck.bind(adapter);
+        adapter.broadcast = (packet, opts) => broadcast({ ...packet, data: packet.data.map(toPlain) }, opts);
+        adapter.broadcastWithAck = (packet, ...rest) => broadcastWithAck({ ...packet, data: packet.data.map(toPlain) }, ...rest);
+        return adapter;
+    });
+}
+
+// Worker side: an io-compatible emitter for monitor.js and processor.js
+async function createEmitter(db) {
+    const collection = await getEventsCollection(db);
+    const emitter = new Emitter(collection);
+    return {
+        emit: (event, ...args) => emitter.emit(event, ...args.map(toPlain))
+    };
+}
+
+module.exports = { attachAdapter, createEmitter };
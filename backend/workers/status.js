@@ -0,0 +1,111 @@
+const Stream = require('../models/Stream');
+const StatusTransition = require('../models/StatusTransition');
+
+// ============================================
+// Stream Status State Machine
+// Every poll reduces to one observation, and the observation moves
+// Stream.status along these edges:
+//
+//   pending    -> first poll that reaches the stream decides online/degraded/stale
+//   online     -> degraded (impaired) | stale (playlist stopped moving)
+//   degraded   -> online (healthy) | stale
+//   stale      -> online (healthy) | degraded
+//   any        -> offline once the outage is confirmed (breaker open, see
+//                 retry.js) and has lasted OFFLINE_AFTER_MINUTES; a confirmed
+//                 outage shorter than that is degraded
+//   offline    -> recovering on the first poll that reaches the stream again
+//   recovering -> online after RECOVERY_PERIOD seconds of healthy polls,
+//                 degraded or stale as soon as a poll isn't healthy
+//
+// A transient fetch failure (breaker still closed) leaves the status alone.
+// Each change is stored as a StatusTransition with the time spent in the
+// previous state, so alerting can rely on what each state means.
+// ============================================
+
+const OFFLINE_AFTER_MINUTES = parseFloat(process.env.OFFLINE_AFTER_MINUTES) || 2;
+const RECOVERY_PERIOD = parseInt(process.env.RECOVERY_PERIOD) || 60; // Seconds
+
+// Observations a poll can make
+const Observations = {
+    HEALTHY: 'healthy',           // Every rendition fetched, advancing and error-free
+    IMPAIRED: 'impaired',         // Reachable, but a rendition failed or content is broken
+    STALE: 'stale',               // Reachable, but a playlist stopped moving
+    UNREACHABLE: 'unreachable'    // Master manifest fetch failed even after retries
+};
+
+function getNextStatus(stream, observation, now) {
+    const current = stream.status;
+    const since = stream.statusSince ? new Date(stream.statusSince).getTime() : now;
+
+    if (observation === Observations.UNREACHABLE) {
+        const fetch = stream.health?.fetch || {};
+        if (fetch.breaker !== 'open') return current;
+        const down = now - new Date(fetch.firstFailureAt || now).getTime();
+        if (down >= OFFLINE_AFTER_MINUTES * 60000) return 'offline';
+        return current === 'offline' ? 'offline' : 'degraded';
+    }
+
+    if (current === 'offline') return 'recovering';
+
+    if (observation === Observations.HEALTHY) {
+        if (current === 'recovering' && now - since < RECOVERY_PERIOD * 1000) return 'recovering';
+        return 'online';
+    }
+    return observation === Observations.STALE ? 'stale' : 'degraded';
+}
+
+// Apply one poll's observation. Returns the transition when the status
+// changed ({ streamId, from, to, reason, at, duration }), otherwise null.
+function transitionStatus(stream, observation, reason, now) {
+    const from = stream.status;
+    const to = getNextStatus(stream, observation, now);
+    if (to === from) return null;
+
+    const since = stream.statusSince ? new Date(stream.statusSince).getTime() : null;
+    const transition = {
+        streamId: stream._id,
+        from,
+        to,
+        reason,
+        at: new Date(now),
+        duration: since !== null ? now - since : null
+    };
+
+    stream.status = to;
+    stream.statusSince = transition.at;
+    stream.statusReason = reason;
+
+    StatusTransition.create(transition)
+        .catch(err => console.error(`[STATUS] ${stream.name}: Failed to record transition - ${err.message}`));
+    console.log(`[STATUS] ${stream.name}: ${from} -> ${to} (${reason})`);
+    return transition;
+}
+
+// Streams saved before the state machine existed may still say 'error', or
+// the old default 'offline' without ever having been polled; the latter would
+// otherwise "recover" on their first successful poll. lastChecked defaults to
+// the creation time, so a stream that was never polled has none later than it.
+async function migrateLegacyStatuses() {
+    const now = new Date();
+    const errored = await Stream.updateMany(
+        { status: 'error' },
+        { $set: { status: 'degraded', statusSince: now, statusReason: 'Migrated from legacy error status' } }
+    );
+    if (errored.modifiedCount > 0) {
+        console.log(`[STATUS] Migrated ${errored.modifiedCount} stream(s) from 'error' to 'degraded'`);
+    }
+
+    const neverPolled = await Stream.updateMany(
+        {
+            status: 'offline',
+            statusSince: { $exists: false },
+            $or: [{ lastChecked: null }, { $expr: { $lte: ['$lastChecked', '$createdAt'] } }]
+        },
+        { $set: { status: 'pending', statusSince: now, statusReason: 'Migrated from legacy default status' } }
+    );
+    if (neverPolled.modifiedCount > 0) {
+        console.log(`[STATUS] Migrated ${neverPolled.modifiedCount} never-polled stream(s) from 'offline' to 'pending'`);
+    }
+}
+
+module.exports = { Observations, transitionStatus, migrateLegacyStatuses };
@@ -0,0 +1,222 @@
+// ============================================
+// Timestamp Continuity & A/V Sync
+// Every processed segment's packet timestamps are read with ffprobe. Per
+// rendition this module remembers the previous segment's timeline and checks
+// that the new one carries on from it:
+// - Gap / overlap: the first PTS of a track is off from where the previous
+//   segment ended (plus the EXTINF of any segments skipped in between)
+// - Rollback: PTS went back before the previous segment, or DTS decreased
+// - A/V sync: first audio PTS minus first video PTS beyond AV_SYNC_THRESHOLD
+// A segment behind an EXT-X-DISCONTINUITY starts a new timeline and is not
+// compared with what came before. PTS wrap-around (33 bits) is unwrapped.
+// Demuxed ladders carry audio in an EXT-X-MEDIA rendition; there a video
+// variant's segment is compared with the same media sequence of its audio
+// group's rendition.
+// ============================================
+
+const AV_SYNC_THRESHOLD = parseInt(process.env.AV_SYNC_THRESHOLD) || 100;   // ms
+const TIMESTAMP_TOLERANCE = 0.1;     // s a track may start off the expected PTS (about one audio frame and change)
+const PTS_WRAP = 2 ** 33 / 90000;    // s, MPEG-TS 33-bit 90kHz clock
+const START_HISTORY = 8;             // Segment starts kept per rendition for demuxed pairing
+
+// Previous segment per rendition: `${streamId}:${variantKey}` -> { mediaSequence, discontinuitySequence, tracks,
+// baseOffset, outOfSync, starts: [{ mediaSequence, discontinuitySequence, video, audio }] }
+const timelines = new Map();
+
+// Sync state per demuxed pair: `${streamId}:${videoKey}+${audioKey}` -> { mediaSequence, discontinuitySequence,
+// avOffset, avDrift, inSync, baseOffset, outOfSync }
+const pairs = new Map();
+
+// ffprobe JSON -> { video, audio }, each { start, end, firstDts, lastDts, dtsRollbacks, packets } (s) or null
+function parsePacketTimes(probe) {
+    const streams = probe?.streams || [];
+    const track = type => {
+        const stream = streams.find(s => s.codec_type === type);
+        if (!stream) return null;
+
+        let start = Infinity;
+        let end = -Infinity;
+        let firstDts = null;
+        let lastDts = null;
+        let dtsRollbacks = 0;
+        let packets = 0;
+        (probe.packets || []).filter(p => p.stream_index === stream.index).forEach(p => {
+            const pts = parseFloat(p.pts_time);
+            const dts = parseFloat(p.dts_time);
+            if (Number.isFinite(pts)) {
+                start = Math.min(start, pts);
+                end = Math.max(end, pts + (parseFloat(p.duration_time) || 0));
+            }
+            if (Number.isFinite(dts)) {
+                if (lastDts !== null && dts < lastDts) dtsRollbacks++;
+                if (firstDts === null) firstDts = dts;
+                lastDts = dts;
+            }
+            packets++;
+        });
+        return packets > 0 && Number.isFinite(start) ? { start, end, firstDts, lastDts, dtsRollbacks, packets } : null;
+    };
+    return { video: track('video'), audio: track('audio') };
+}
+
+const ms = seconds => Math.round(seconds * 1000);
+
+// A/V offset (ms) judged against the previous comparison's sync state.
+// Drift is measured against the first offset on this timeline; crossing the
+// threshold is one event, not one per segment.
+function compareSync(previous, sameTimeline, avOffset, mediaSequence, against = '') {
+    const baseOffset = sameTimeline && previous.baseOffset !== null ? previous.baseOffset : avOffset;
+    const avDrift = avOffset !== null && baseOffset !== null ? avOffset - baseOffset : null;
+    const inSync = avOffset === null || Math.abs(avOffset) <= AV_SYNC_THRESHOLD;
+    const event = !inSync && !previous?.outOfSync
+        ? { kind: 'av-sync', track: 'av', message: `A/V offset ${avOffset}ms at mseq(${mediaSequence}) exceeds ±${AV_SYNC_THRESHOLD}ms (audio ${avOffset > 0 ? 'late' : 'early'})${against}` }
+        : null;
+    return { baseOffset, avDrift, inSync, event };
+}
+
+// Shift a track onto the previous segment's side of a 33-bit wrap
+function unwrap(track, reference) {
+    if (!track || !reference || track.start - reference.end > -PTS_WRAP / 2) return track;
+    const shift = value => (value === null ? null : value + PTS_WRAP);
+    return { ...track, start: shift(track.start), end: shift(track.end), firstDts: shift(track.firstDts), lastDts: shift(track.lastDts) };
+}
+
+// EXTINF seconds of the playlist segments between two media sequences, or
+// null when one of them has left the playlist
+function skippedDuration(playlist, fromSequence, toSequence) {
+    let total = 0;
+    for (let seq = fromSequence + 1; seq < toSequence; seq++) {
+        const segment = playlist.find(s => s.mediaSequence === seq);
+        if (!segment) return null;
+        total += segment.duration || 0;
+    }
+    return total;
+}
+
+// Compare a segment's timestamps with the previous segment of the same rendition.
+// segment: { mediaSequence, discontinuitySequence, playlist: [{ mediaSequence, duration }] }
+// Returns null for a segment already analysed, otherwise
+// { avOffset (ms), avDrift (ms), inSync, continuity: { video, audio } (ms off), events: [{ kind, track, message }] }
+function analyzeTimestamps(streamId, variantKey, segment, tracks) {
+    const key = `${streamId}:${variantKey}`;
+    const previous = timelines.get(key);
+    if (previous && segment.mediaSequence === previous.mediaSequence) return null;
+
+    const sameTimeline = previous
+        && segment.mediaSequence > previous.mediaSequence
+        && segment.discontinuitySequence === previous.discontinuitySequence;
+    const events = [];
+    const continuity = {};
+    const current = {};
+
+    ['video', 'audio'].forEach(type => {
+        const before = sameTimeline ? previous.tracks[type] : null;
+        const track = unwrap(tracks[type], before);
+        current[type] = track;
+        if (!track) return;
+
+        if (track.dtsRollbacks > 0) {
+            events.push({ kind: 'rollback', track: type, message: `${type} DTS went backwards ${track.dtsRollbacks} time(s) within segment mseq(${segment.mediaSequence})` });
+        }
+        if (!before) return;
+
+        if (track.firstDts !== null && before.lastDts !== null && track.firstDts <= before.lastDts) {
+            events.push({ kind: 'rollback', track: type, message: `${type} DTS ${track.firstDts.toFixed(3)}s at mseq(${segment.mediaSequence}) is not after ${before.lastDts.toFixed(3)}s of mseq(${previous.mediaSequence}) without a discontinuity` });
+            return;
+        }
+        if (track.start < before.start) {
+            events.push({ kind: 'rollback', track: type, message: `${type} PTS rolled back from ${before.start.toFixed(3)}s (mseq ${previous.mediaSequence}) to ${track.start.toFixed(3)}s (mseq ${segment.mediaSequence}) without a discontinuity` });
+            return;
+        }
+
+        const skipped = skippedDuration(segment.playlist || [], previous.mediaSequence, segment.mediaSequence);
+        if (skipped === null) return;
+        const delta = track.start - (before.end + skipped);
+        continuity[type] = ms(delta);
+        if (Math.abs(delta) > TIMESTAMP_TOLERANCE) {
+            events.push({
+                kind: delta > 0 ? 'gap' : 'overlap',
+                track: type,
+                message: `${type} PTS ${delta > 0 ? 'gap' : 'overlap'} of ${Math.abs(ms(delta))}ms between mseq(${previous.mediaSequence}) and mseq(${segment.mediaSequence}) without a discontinuity`
+            });
+        }
+    });
+
+    // A/V offset: positive = audio starts after video
+    const avOffset = current.video && current.audio ? ms(current.audio.start - current.video.start) : null;
+    const { baseOffset, avDrift, inSync, event } = compareSync(previous, sameTimeline, avOffset, segment.mediaSequence);
+    if (event) events.push(event);
+
+    const start = {
+        mediaSequence: segment.mediaSequence,
+        discontinuitySequence: segment.discontinuitySequence,
+        video: current.video?.start ?? null,
+        audio: current.audio?.start ?? null
+    };
+    timelines.set(key, {
+        mediaSequence: segment.mediaSequence,
+        discontinuitySequence: segment.discontinuitySequence,
+        tracks: current,
+        baseOffset,
+        outOfSync: !inSync,
+        starts: [...(previous?.starts || []), start].slice(-START_HISTORY)
+    });
+
+    return { avOffset, avDrift, inSync, continuity, events };
+}
+
+// A/V sync of a demuxed pair: the video rendition's first video PTS against the
+// audio rendition's first audio PTS in the newest segment both have analysed
+// (same media sequence and discontinuity sequence; packagers number the
+// playlists alike). The audio rendition is often analysed after the video one,
+// so this usually lands one segment behind.
+// audio: { key, name } of the audio group's rendition
+// Returns null before the first common segment, otherwise
+// { mediaSequence, avOffset (ms), avDrift (ms), inSync, events }; without a
+// new common segment that is the last comparison again, minus its events.
+function analyzeDemuxedSync(streamId, videoKey, audio) {
+    const video = timelines.get(`${streamId}:${videoKey}`);
+    const audioTimeline = timelines.get(`${streamId}:${audio.key}`);
+    const pairKey = `${streamId}:${videoKey}+${audio.key}`;
+    const previous = pairs.get(pairKey);
+    const common = video && audioTimeline && [...video.starts].reverse()
+        .filter(v => v.video !== null)
+        .map(v => ({ video: v, audio: audioTimeline.starts.find(a => a.audio !== null && a.mediaSequence === v.mediaSequence && a.discontinuitySequence === v.discontinuitySequence) }))
+        .find(pair => pair.audio);
+    if (!common || common.video.mediaSequence === previous?.mediaSequence) {
+        return previous ? { mediaSequence: previous.mediaSequence, avOffset: previous.avOffset, avDrift: previous.avDrift, inSync: previous.inSync, events: [] } : null;
+    }
+
+    // Each rendition unwraps PTS on its own; fold a wrap between them back
+    let offset = common.audio.audio - common.video.video;
+    if (Math.abs(offset) > PTS_WRAP / 2) offset -= Math.sign(offset) * PTS_WRAP;
+    const avOffset = ms(offset);
+
+    const { mediaSequence, discontinuitySequence } = common.video;
+    const sameTimeline = previous && mediaSequence > previous.mediaSequence && discontinuitySequence === previous.discontinuitySequence;
+    const { baseOffset, avDrift, inSync, event } = compareSync(previous, sameTimeline, avOffset, mediaSequence, ` against ${audio.name}`);
+    pairs.set(pairKey, { mediaSequence, discontinuitySequence, avOffset, avDrift, inSync, baseOffset, outOfSync: !inSync });
+
+    return { mediaSequence, avOffset, avDrift, inSync, events: event ? [event] : [] };
+}
+
+// A re-acquired stream may hand over a segment already analysed; no need to probe it twice
+function isAnalyzed(streamId, variantKey, mediaSequence) {
+    return timelines.get(`${streamId}:${variantKey}`)?.mediaSequence === mediaSequence;
+}
+
+function forgetTimelines(streamId) {
+    const prefix = `${streamId}:`;
+    [timelines, pairs].forEach(map => [...map.keys()].forEach(key => {
+        if (key.startsWith(prefix)) map.delete(key);
+    }));
+}
+
+module.exports = {
+    AV_SYNC_THRESHOLD,
+    parsePacketTimes,
+    analyzeTimestamps,
+    analyzeDemuxedSync,
+    isAnalyzed,
+    forgetTimelines
+};
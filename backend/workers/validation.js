@@ -0,0 +1,258 @@
+const axios = require('axios');
+const m3u8Parser = require('m3u8-parser');
+const Stream = require('../models/Stream');
+const ValidationReport = require('../models/ValidationReport');
+const { buildRequest } = require('./requestProfile');
+const { isMpd, parseMpd, toRenditions } = require('./dash');
+const { Observations, transitionStatus } = require('./status');
+
+// ============================================
+// VOD / EVENT Asset Validation
+// A playlist with EXT-X-ENDLIST never changes, so instead of live polling
+// it gets one full pass: every media playlist fetched, every segment
+// requested, EXTINF durations checked against the target duration and
+// total durations compared across renditions. A static MPD is validated the
+// same way, one Representation per playlist. The outcome is stored as a
+// ValidationReport and summarised in stream.health.validation.
+// ============================================
+
+const VALIDATION_CONCURRENCY = parseInt(process.env.VALIDATION_CONCURRENCY) || 8; // Segment requests in flight per job
+const SEGMENT_CHECK_TIMEOUT = 15000;
+const MAX_REPORTED_ISSUES = 500; // Broken assets can fail every segment; keep the report readable
+
+// Streams with a job in flight in this process
+const running = new Set();
+
+async function fetchPlaylist(url, profile) {
+    const request = buildRequest(url, profile);
+    const response = await axios.get(request.url, { timeout: 10000, headers: request.headers });
+    if (isMpd(response.data)) return { mpd: parseMpd(response.data) };
+    const parser = new m3u8Parser.Parser();
+    parser.push(response.data);
+    parser.end();
+    return parser.manifest;
+}
+
+function resolveUrl(base, uri) {
+    return new URL(uri, base).toString();
+}
+
+// Media playlists to validate: the variant ladder plus EXT-X-MEDIA alternates,
+// or every Representation of an MPD
+function listPlaylists(master, masterUrl) {
+    if (master.mpd) {
+        return toRenditions(master.mpd, { url: masterUrl })
+            .map(({ name, url, mediaType, manifest, issues }) => ({ name, url, mediaType, manifest, timelineIssues: issues }));
+    }
+    if (!master.playlists?.length) return [{ name: 'main', url: masterUrl, mediaType: 'VIDEO', manifest: master }];
+
+    const playlists = master.playlists.map((playlist, index) => {
+        const attrs = playlist.attributes || {};
+        const parts = [];
+        if (attrs.RESOLUTION) parts.push(`${attrs.RESOLUTION.width}x${attrs.RESOLUTION.height}`);
+        if (attrs.BANDWIDTH) parts.push(`${Math.round(attrs.BANDWIDTH / 1000)}kbps`);
+        return { name: parts.join(' @ ') || `variant-${index}`, url: resolveUrl(masterUrl, playlist.uri), mediaType: 'VIDEO' };
+    });
+
+    const seen = new Set(playlists.map(p => p.url));
+    Object.entries(master.mediaGroups || {}).forEach(([type, groups]) => {
+        Object.entries(groups || {}).forEach(([groupId, members]) => {
+            Object.entries(members || {}).forEach(([name, media]) => {
+                if (!media.uri) return;
+                const url = resolveUrl(masterUrl, media.uri);
+                if (seen.has(url)) return;
+                seen.add(url);
+                playlists.push({ name: `${type} ${groupId}/${name}`, url, mediaType: type });
+            });
+        });
+    });
+    return playlists;
+}
+
+// HEAD a segment; origins that refuse HEAD get a one-byte ranged GET
+async function checkSegment(url, profile) {
+    const request = buildRequest(url, profile);
+    const options = { timeout: SEGMENT_CHECK_TIMEOUT, headers: request.headers, validateStatus: () => true };
+    try {
+        let response = await axios.head(request.url, options);
+        if (response.status === 405 || response.status === 501) {
+            response = await axios.get(request.url, {
+                ...options,
+                headers: { ...request.headers, Range: 'bytes=0-0' },
+                responseType: 'arraybuffer'
+            });
+        }
+        return { status: response.status, error: response.status >= 400 ? `HTTP ${response.status}` : null };
+    } catch (err) {
+        return { status: 0, error: err.message };
+    }
+}
+
+// Run fn over items with at most `limit` in flight
+async function mapLimit(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    });
+    await Promise.all(workers);
+    return results;
+}
+
+// Validate one media playlist; issues are appended to `issues`
+async function validatePlaylist(playlist, profile, issues) {
+    const manifest = playlist.manifest || await fetchPlaylist(playlist.url, profile);
+    const segments = manifest.segments || [];
+    const targetDuration = manifest.targetDuration || 0;
+    const issue = (severity, message, uri) => issues.push({ severity, variant: playlist.name, uri, message });
+
+    if (!manifest.endList) issue('warning', 'Playlist has no EXT-X-ENDLIST; validated the segments published so far');
+    if (segments.length === 0) issue('error', 'Playlist has no segments');
+    (playlist.timelineIssues || []).forEach(message => issue('error', message));
+
+    let duration = 0;
+    let maxSegmentDuration = 0;
+    segments.forEach((seg, i) => {
+        duration += seg.duration || 0;
+        maxSegmentDuration = Math.max(maxSegmentDuration, seg.duration || 0);
+        if (!(seg.duration > 0)) {
+            issue('error', `Segment ${i} has no positive EXTINF duration`, seg.uri);
+        } else if (targetDuration && Math.round(seg.duration) > targetDuration) {
+            // RFC 8216 4.3.3.1: rounded EXTINF must not exceed EXT-X-TARGETDURATION
+            issue('error', `Segment ${i} lasts ${seg.duration}s, over the ${targetDuration}s target duration`, seg.uri);
+        }
+    });
+
+    const checks = await mapLimit(segments, VALIDATION_CONCURRENCY, seg => checkSegment(resolveUrl(playlist.url, seg.uri), profile));
+    let segmentsFailed = 0;
+    checks.forEach((check, i) => {
+        if (!check.error) return;
+        segmentsFailed++;
+        issue('error', `Segment ${i} unreachable: ${check.error}`, segments[i].uri);
+    });
+
+    return {
+        name: playlist.name,
+        uri: playlist.url,
+        mediaType: playlist.mediaType,
+        segmentCount: segments.length,
+        duration: +duration.toFixed(3),
+        targetDuration,
+        maxSegmentDuration,
+        segmentsFailed,
+        ended: !!manifest.endList,
+        playlistType: manifest.playlistType
+    };
+}
+
+// Renditions of one asset must cover the same time span
+function compareRenditions(variants, issues) {
+    const ladder = variants.filter(v => v.mediaType !== 'SUBTITLES' && v.segmentCount > 0);
+    if (ladder.length < 2) return;
+
+    const reference = ladder[0];
+    const tolerance = reference.targetDuration || 1;
+    ladder.slice(1).forEach(v => {
+        const delta = Math.abs(v.duration - reference.duration);
+        if (delta > tolerance) {
+            issues.push({
+                severity: 'error', variant: v.name,
+                message: `Total duration ${v.duration.toFixed(1)}s differs from ${reference.name} (${reference.duration.toFixed(1)}s) by ${delta.toFixed(1)}s`
+            });
+        } else if (v.mediaType === reference.mediaType && v.segmentCount !== reference.segmentCount) {
+            issues.push({
+                severity: 'warning', variant: v.name,
+                message: `${v.segmentCount} segments vs ${reference.segmentCount} in ${reference.name}`
+            });
+        }
+    });
+}
+
+// Validate a stream's whole asset and store the report.
+// Returns the report, or null if a job for this stream is already running here.
+async function runValidation(stream, { trigger = 'auto', io = null } = {}) {
+    const id = stream._id.toString();
+    if (running.has(id)) return null;
+    running.add(id);
+
+    const report = new ValidationReport({ streamId: stream._id, trigger });
+    try {
+        await report.save();
+        await Stream.updateOne({ _id: stream._id }, {
+            $set: { 'health.validation.status': 'running', 'health.validation.startedAt': report.startedAt }
+        });
+        console.log(`[VALIDATE] ${stream.name}: Started (${trigger})`);
+
+        const issues = [];
+        try {
+            const master = await fetchPlaylist(stream.url, stream.requestProfile);
+            const playlists = listPlaylists(master, stream.url);
+            const variants = [];
+            for (const playlist of playlists) {
+                try {
+                    variants.push(await validatePlaylist(playlist, stream.requestProfile, issues));
+                } catch (err) {
+                    issues.push({ severity: 'error', variant: playlist.name, uri: playlist.url, message: `Playlist unreachable: ${err.message}` });
+                }
+            }
+            compareRenditions(variants, issues);
+
+            const primary = variants.find(v => v.mediaType === 'VIDEO') || variants[0];
+            report.variants = variants;
+            report.playlistType = primary?.playlistType || (primary?.ended ? 'VOD' : 'LIVE');
+            report.ended = variants.length > 0 && variants.every(v => v.ended);
+            report.totalDuration = primary?.duration;
+            report.segmentsChecked = variants.reduce((sum, v) => sum + v.segmentCount, 0);
+            report.segmentsFailed = variants.reduce((sum, v) => sum + v.segmentsFailed, 0);
+        } catch (err) {
+            issues.push({ severity: 'error', message: `Master playlist unreachable: ${err.message}` });
+        }
+
+        report.issues = issues.slice(0, MAX_REPORTED_ISSUES);
+        report.status = issues.some(i => i.severity === 'error') ? 'failed' : 'passed';
+        report.completedAt = new Date();
+        await report.save();
+
+        const update = {
+            'health.validation': {
+                reportId: report._id,
+                status: report.status,
+                trigger,
+                playlistType: report.playlistType,
+                totalDuration: report.totalDuration,
+                segmentsChecked: report.segmentsChecked,
+                segmentsFailed: report.segmentsFailed,
+                errorCount: issues.filter(i => i.severity === 'error').length,
+                warningCount: issues.filter(i => i.severity === 'warning').length,
+                startedAt: report.startedAt,
+                completedAt: report.completedAt
+            }
+        };
+        // A finished asset has no live health; the report decides its status
+        const transition = report.ended ? transitionStatus(stream,
+            report.status === 'passed' ? Observations.HEALTHY : Observations.IMPAIRED,
+            `Asset validation ${report.status}`, report.completedAt.getTime()) : null;
+        if (transition) {
+            update.status = stream.status;
+            update.statusSince = stream.statusSince;
+            update.statusReason = stream.statusReason;
+        }
+
+        const updated = await Stream.findByIdAndUpdate(stream._id, { $set: update }, { new: true });
+        if (io && transition) io.emit('stream:status', { ...transition, name: stream.name });
+        if (io && updated) io.emit('stream:update', updated);
+
+        console.log(`[VALIDATE] ${stream.name}: ${report.status.toUpperCase()} - ${report.segmentsChecked} segments, ${report.segmentsFailed} failed, ${issues.length} issue(s)`);
+        return report;
+    } catch (err) {
+        console.error(`[VALIDATE] ${stream.name}: ${err.message}`);
+        return report;
+    } finally {
+        running.delete(id);
+    }
+}
+
+module.exports = { runValidation, isValidationRunning: id => running.has(id.toString()) };
@@ -0,0 +1,72 @@
+// ============================================
+// Black and Frozen Frame Analysis
+// The processor runs FFmpeg's blackdetect and freezedetect over every
+// primary-rendition segment; this module parses their log lines into the
+// share of the segment that was black or frozen. The monitor compares the
+// latest ratios with BLACK_RATIO_THRESHOLD / FREEZE_RATIO_THRESHOLD.
+// Unlike frozen.js (the same picture across segments), these catch dead air
+// and stuck frames within a single segment.
+// ============================================
+
+const BLACK_RATIO_THRESHOLD = parseFloat(process.env.BLACK_RATIO_THRESHOLD) || 0.5;   // Share of a segment
+const FREEZE_RATIO_THRESHOLD = parseFloat(process.env.FREEZE_RATIO_THRESHOLD) || 0.5;
+
+// Detector settings: black = at least 90% of pixels below 10% luma for 0.5s;
+// frozen = under -60dB of frame-to-frame change for 2s
+const VIDEO_FILTERS = [
+    'blackdetect=d=0.5:pic_th=0.90:pix_th=0.10',
+    'freezedetect=n=-60dB:d=2'
+];
+
+// "Duration: 00:00:06.01, start: 10.000000" -> { duration: 6.01, start: 10 }
+function parseInputTiming(stderr) {
+    const match = stderr.match(/Duration:\s*(\d+):(\d+):([\d.]+)(?:,\s*start:\s*(-?[\d.]+))?/);
+    if (!match) return null;
+    const duration = parseInt(match[1]) * 3600 + parseInt(match[2]) * 60 + parseFloat(match[3]);
+    return { duration, start: parseFloat(match[4]) || 0 };
+}
+
+const round = value => +value.toFixed(3);
+
+// FFmpeg stderr -> { duration, blackDuration, frozenDuration, blackRatio, frozenRatio }
+// Timestamps in the log are PTS seconds, so a freeze still running at the end
+// of the segment is closed at start + duration.
+function parseVideoContent(stderr) {
+    const timing = parseInputTiming(stderr || '');
+    if (!timing || !(timing.duration > 0)) return null;
+
+    let blackDuration = 0;
+    for (const match of stderr.matchAll(/black_duration:\s*([\d.]+)/g)) {
+        blackDuration += parseFloat(match[1]);
+    }
+
+    let frozenDuration = 0;
+    let freezeStart = null;
+    for (const match of stderr.matchAll(/freeze_(start|end):\s*(-?[\d.]+)/g)) {
+        const time = parseFloat(match[2]);
+        if (match[1] === 'start') {
+            freezeStart = time;
+        } else if (freezeStart !== null) {
+            frozenDuration += time - freezeStart;
+            freezeStart = null;
+        }
+    }
+    if (freezeStart !== null) {
+        frozenDuration += Math.max(0, timing.start + timing.duration - freezeStart);
+    }
+
+    return {
+        duration: round(timing.duration),
+        blackDuration: round(blackDuration),
+        frozenDuration: round(frozenDuration),
+        blackRatio: round(Math.min(1, blackDuration / timing.duration)),
+        frozenRatio: round(Math.min(1, frozenDuration / timing.duration))
+    };
+}
+
+module.exports = {
+    BLACK_RATIO_THRESHOLD,
+    FREEZE_RATIO_THRESHOLD,
+    VIDEO_FILTERS,
+    parseVideoContent
+};
@@ -15,8 +15,9 @@ function calculateHealth(stream) {
     const health = stream.health || {};
 
     // Status penalties (hard caps)
-    if (stream.status === 'error') return 60;
+    if (stream.status === 'degraded') return 60;
     if (stream.status === 'offline') return 50;
+    if (stream.status === 'recovering') score -= 15;
     if (health.isStale) score -= 15;
 
     // Recent errors penalty - now only counts significant gaps (3+)
@@ -67,7 +68,7 @@ function Dashboard() {
 
             const score = calculateHealth(s);
             const isCritical = score < 40 || s.status === 'offline';
-            const isWarning = s.status === 'error' && !isCritical;
+            const isWarning = s.status === 'degraded' && !isCritical;
 
             if (isCritical) {
                 newAlarms.add(s._id);
@@ -248,7 +249,7 @@ function Dashboard() {
                         <div className="col-span-full py-32 text-center text-white/30 border-2 border-dashed border-white/5 rounded-3xl bg-surface/20 backdrop-blur-sm">
                             <Activity className="w-16 h-16 mx-auto mb-4 opacity-50" />
                             <h3 className="text-xl font-semibold text-white/70 mb-2">No Active Monitors</h3>
-                            <p>Add a new HLS stream to begin monitoring.</p>
+                            <p>Add a new HLS or DASH stream to begin monitoring.</p>
                         </div>
                     )}
                 </div>
@@ -272,10 +273,10 @@ function Dashboard() {
                                 />
                             </div>
                             <div>
-                                <label className="block text-xs font-bold text-secondary uppercase tracking-wider mb-2">HLS URL</label>
+                                <label className="block text-xs font-bold text-secondary uppercase tracking-wider mb-2">Stream URL (HLS or DASH)</label>
                                 <input
                                     type="url"
-                                    placeholder="https://example.com/stream.m3u8"
+                                    placeholder="https://example.com/stream.m3u8 or manifest.mpd"
                                     required
                                     className="w-full bg-black/20 border border-white/10 rounded-xl p-3 text-white placeholder:text-white/20 focus:border-primary focus:outline-none"
                                     value={newStream.url}
@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
-import { Trash2, Signal, AlertTriangle, ExternalLink } from 'lucide-react';
+import { Trash2, Signal, AlertTriangle, ExternalLink, Snowflake, RefreshCw } from 'lucide-react';
 
 const StreamCard = ({ stream, onDelete }) => {
     const [imageKey, setImageKey] = useState(Date.now());
@@ -14,11 +14,13 @@ const StreamCard = ({ stream, onDelete }) => {
     const statusConfig = {
         online: { color: 'text-emerald-400', bg: 'bg-emerald-500/10', border: 'border-emerald-500/30', glow: 'shadow-emerald-500/20', label: 'LIVE' },
         offline: { color: 'text-slate-400', bg: 'bg-slate-500/10', border: 'border-slate-500/20', glow: '', label: 'OFFLINE' },
-        error: { color: 'text-rose-400', bg: 'bg-rose-500/10', border: 'border-rose-500/30', glow: 'shadow-rose-500/20', label: 'ERROR' },
-        stale: { color: 'text-amber-400', bg: 'bg-amber-500/10', border: 'border-amber-500/30', glow: 'shadow-amber-500/20', label: 'STALE' }
+        degraded: { color: 'text-rose-400', bg: 'bg-rose-500/10', border: 'border-rose-500/30', glow: 'shadow-rose-500/20', label: 'DEGRADED' },
+        stale: { color: 'text-amber-400', bg: 'bg-amber-500/10', border: 'border-amber-500/30', glow: 'shadow-amber-500/20', label: 'STALE' },
+        recovering: { color: 'text-sky-300', bg: 'bg-sky-500/10', border: 'border-sky-500/30', glow: 'shadow-sky-500/20', label: 'RECOVERING' },
+        pending: { color: 'text-slate-300', bg: 'bg-slate-500/10', border: 'border-slate-500/20', glow: '', label: 'PENDING' }
     };
 
-    const current = statusConfig[stream.status] || statusConfig.offline;
+    const current = statusConfig[stream.status] || statusConfig.pending;
     const health = stream.health || {};
 
     // Calculate health score - Based on status and recent SIGNIFICANT errors
@@ -26,9 +28,15 @@ const StreamCard = ({ stream, onDelete }) => {
         let score = 100;
 
         // Status penalties (hard caps)
-        if (stream.status === 'error') return 60;
+        if (stream.status === 'degraded') return 60;
         if (stream.status === 'offline') return 50;
+        if (stream.status === 'recovering') score -= 15;
         if (health.isStale) score -= 15;
+        if (health.frozen?.frozen) score -= 30;
+
+        // Discontinuities at ad splice points are expected; only the rest count
+        const unexpectedDiscontinuities = (health.discontinuityCount || 0) - (health.spliceDiscontinuities || 0);
+        if (unexpectedDiscontinuities > 0) score -= Math.min(unexpectedDiscontinuities * 5, 15);
 
         // Recent errors penalty - now only counts significant gaps (3+)
         // 0 errors = 100, 1-2 = 95-100, 3-5 = 85-95, 6+ = 70-85
@@ -58,10 +66,16 @@ const StreamCard = ({ stream, onDelete }) => {
                     </div>
                 )}
 
-                {/* Health Score Badge */}
-                <div className={`absolute top-2 left-2 w-8 h-8 ${healthColor} rounded-full flex items-center justify-center text-white font-bold text-xs shadow-lg`}>
-                    {healthScore}
-                </div>
+                {/* Health Score Badge - finished assets show their validation result instead */}
+                {health.ended ? (
+                    <div className={`absolute top-2 left-2 px-2 h-8 ${health.validation?.status === 'passed' ? 'bg-emerald-500' : health.validation?.status === 'failed' ? 'bg-rose-500' : 'bg-sky-500'} rounded-full flex items-center justify-center text-white font-bold text-[10px] shadow-lg`}>
+                        {health.playlistType}
+                    </div>
+                ) : (
+                    <div className={`absolute top-2 left-2 w-8 h-8 ${healthColor} rounded-full flex items-center justify-center text-white font-bold text-xs shadow-lg`}>
+                        {healthScore}
+                    </div>
+                )}
 
                 {/* Status Badge */}
                 <div className={`absolute top-2 right-2 px-2 py-1 rounded text-[10px] font-bold tracking-wider border backdrop-blur-sm flex items-center gap-1 ${current.bg} ${current.color} ${current.border}`}>
@@ -76,6 +90,20 @@ const StreamCard = ({ stream, onDelete }) => {
                     </div>
                 )}
 
+                {/* Transient fetch failure - not yet a confirmed outage */}
+                {health.fetch?.consecutiveFailures > 0 && health.fetch.breaker !== 'open' && (
+                    <div className="absolute top-11 right-2 px-2 py-1 bg-amber-500/90 text-black rounded text-[10px] font-bold flex items-center gap-1">
+                        <RefreshCw size={10} /> RETRYING
+                    </div>
+                )}
+
+                {/* Frozen Warning */}
+                {health.frozen?.frozen && (
+                    <div className="absolute bottom-2 right-2 px-2 py-1 bg-cyan-500/90 text-black rounded text-[10px] font-bold flex items-center gap-1">
+                        <Snowflake size={10} /> FROZEN
+                    </div>
+                )}
+
                 {/* View Details Overlay */}
                 <div className="absolute inset-0 bg-black/50 opacity-0 group-hover:opacity-100 transition-opacity flex items-center justify-center">
                     <span className="bg-primary px-4 py-2 rounded-lg text-white font-bold text-sm flex items-center gap-2">
@@ -89,7 +117,10 @@ const StreamCard = ({ stream, onDelete }) => {
                 <div className="flex justify-between items-start mb-3">
                     <Link to={`/stream/${stream._id}`} className="overflow-hidden flex-1 mr-2 hover:opacity-80">
                         <h3 className="font-bold text-base text-white/90 truncate">{stream.name}</h3>
-                        <p className="text-[10px] font-mono text-white/30 truncate">{stream.url}</p>
+                        <p className="text-[10px] font-mono text-white/30 truncate">
+                            {health.format === 'DASH' && <span className="text-sky-400/70 mr-1">DASH</span>}
+                            {stream.url}
+                        </p>
                     </Link>
                     <button
                         onClick={(e) => { e.preventDefault(); onDelete(stream._id); }}
@@ -2,8 +2,8 @@ import React, { useState, useEffect, useCallback, useRef, useLayoutEffect } from
 import { useParams, Link } from 'react-router-dom';
 import { io } from 'socket.io-client';
 import axios from 'axios';
-import { ArrowLeft, Download, Activity, Zap, Volume2, Box, AlertTriangle, CheckCircle, Clock, RefreshCw, Radio, TrendingUp, Play } from 'lucide-react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, Area, AreaChart } from 'recharts';
+import { ArrowLeft, Download, Activity, Zap, Volume2, Box, AlertTriangle, CheckCircle, Clock, RefreshCw, Radio, TrendingUp, Play, Layers, ShieldCheck, Timer, KeyRound, Megaphone, FileCheck, FileText, X, Snowflake, History } from 'lucide-react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, Area, AreaChart, ReferenceLine } from 'recharts';
 
 // Health Score Calculation - Based on status and recent SIGNIFICANT errors
 function calculateHealthScore(stream) {
@@ -11,10 +11,15 @@ function calculateHealthScore(stream) {
     const health = stream.health || {};
 
     // Status penalties (hard caps)
-    if (stream.status === 'error') return 60;
+    if (stream.status === 'degraded') return 60;
     if (stream.status === 'offline') return 50;
+    if (stream.status === 'recovering') score -= 15;
     if (health.isStale) score -= 15;
 
+    // Discontinuities at ad splice points are expected; only the rest count
+    const unexpectedDiscontinuities = (health.discontinuityCount || 0) - (health.spliceDiscontinuities || 0);
+    if (unexpectedDiscontinuities > 0) score -= Math.min(unexpectedDiscontinuities * 5, 15);
+
     // Recent errors penalty - now only counts significant gaps (3+)
     const errors = health.recentErrors || 0;
     if (errors > 0) {
@@ -30,16 +35,65 @@ function getHealthColor(score) {
     return { bg: 'bg-rose-500', text: 'text-rose-400', label: 'CRITICAL' };
 }
 
-// Format dB level for display - converts negative dB to user-friendly format
-// Audio dB values are typically negative (0 dB = max, -∞ = silence)
-// We display as absolute value with "dBFS" (decibels Full Scale) suffix
-function formatDbLevel(dbValue) {
-    if (dbValue == null || !isFinite(dbValue)) return '-';
-    // Convert to absolute value for cleaner display
-    const absValue = Math.abs(dbValue).toFixed(1);
-    return `${absValue} dBFS`;
+// Format an ebur128 measurement (LUFS, LU or dBTP) - missing or -inf shows as '-'
+function formatLoudness(value, unit) {
+    if (value == null || !isFinite(value)) return '-';
+    return `${value.toFixed(1)} ${unit}`;
+}
+
+// Loudness target presets - mirrors LOUDNESS_PROFILES in backend/workers/loudness.js
+const LOUDNESS_PROFILES = {
+    'ebu-r128': { label: 'EBU R128', target: -23, tolerance: 1, truePeakLimit: -1 },
+    'atsc-a85': { label: 'ATSC A/85', target: -24, tolerance: 2, truePeakLimit: -2 },
+    custom: { label: 'Custom', target: -23, tolerance: 1, truePeakLimit: -1 }
+};
+
+// Trend chart history. Points keep their timestamp (at), so history fetched
+// from MetricsHistory can be merged with points appended live while the
+// request was in flight
+const HISTORY_LIMIT = 300;
+const chartTime = timestamp => new Date(timestamp).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
+function mergeHistory(fetched, live) {
+    const newest = fetched.length > 0 ? fetched[fetched.length - 1].at : -Infinity;
+    return [...fetched, ...live.filter(point => point.at > newest)].slice(-HISTORY_LIMIT);
+}
+
+function appendPoint(history, point) {
+    if (history.length > 0 && history[history.length - 1].at === point.at) return history;
+    return [...history, point].slice(-HISTORY_LIMIT);
 }
 
+const latencyPoint = (timestamp, latencyMs, driftMs) => ({
+    at: new Date(timestamp).getTime(),
+    time: chartTime(timestamp),
+    latency: latencyMs / 1000,
+    drift: (driftMs || 0) / 1000
+});
+
+const loudnessPoint = (timestamp, momentary, shortTerm, program, truePeak) => ({
+    at: new Date(timestamp).getTime(),
+    time: chartTime(timestamp),
+    momentary,
+    shortTerm,
+    program,
+    truePeak
+});
+
+const picturePoint = (timestamp, blackRatio, frozenRatio) => ({
+    at: new Date(timestamp).getTime(),
+    time: chartTime(timestamp),
+    black: Math.round((blackRatio || 0) * 100),
+    frozen: Math.round((frozenRatio || 0) * 100)
+});
+
+const avSyncPoint = (timestamp, offset, drift) => ({
+    at: new Date(timestamp).getTime(),
+    time: chartTime(timestamp),
+    offset,
+    drift: drift || 0
+});
+
 // Signal Strength Indicator
 const SignalMeter = ({ level, label, rawValue }) => {
     const getBarColor = () => {
@@ -79,6 +133,47 @@ const SignalMeter = ({ level, label, rawValue }) => {
     );
 };
 
+// Per-channel RMS meters from the latest per-channel analysis (-60 dBFS floor)
+const ChannelMeters = ({ audio, issues }) => {
+    const levels = audio?.channelLevels || [];
+    if (levels.length === 0) return null;
+
+    const faults = [
+        issues?.deadChannels?.length > 0 && `Dead: ${issues.deadChannels.join(', ')}`,
+        issues?.silentSurrounds && 'Silent surrounds',
+        issues?.invertedPhase && 'Inverted phase',
+        issues?.dualMono && 'Dual mono'
+    ].filter(Boolean);
+
+    return (
+        <div className="bg-black/40 rounded-xl p-4 border border-white/10 mb-4">
+            <div className="flex justify-between items-center mb-3">
+                <span className="text-xs font-bold uppercase text-white/60">Audio Channels ({audio.channelLayout || levels.length})</span>
+                <span className={`text-xs font-mono ${faults.length > 0 ? 'text-rose-400' : 'text-white/40'}`}>
+                    {faults.length > 0 ? faults.join(' · ') : 'OK'}
+                    {audio.phase ? ` · L/R phase ${audio.phase.mean.toFixed(2)}` : ''}
+                </span>
+            </div>
+            <div className="flex gap-3 items-end h-24">
+                {levels.map(ch => {
+                    const level = ch.rmsDb == null ? 0 : Math.max(0, Math.min(100, ((ch.rmsDb + 60) / 60) * 100));
+                    const dead = issues?.deadChannels?.includes(ch.name) || (issues?.silentSurrounds && /^[LR][sb]$/.test(ch.name));
+                    return (
+                        <div key={ch.channel} className="flex-1 flex flex-col items-center gap-1 h-full">
+                            <div className="flex-1 w-full bg-[#1f2937] rounded flex items-end overflow-hidden">
+                                <div className="w-full transition-all duration-150"
+                                    style={{ height: `${level}%`, backgroundColor: dead ? '#ef4444' : level >= 40 ? '#10b981' : '#f59e0b' }} />
+                            </div>
+                            <span className={`text-[10px] font-mono ${dead ? 'text-rose-400' : 'text-white/60'}`}>{ch.name}</span>
+                            <span className="text-[10px] font-mono text-white/40">{ch.rmsDb ?? '-inf'}</span>
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
 // Custom Tooltip
 const CustomTooltip = ({ active, payload, label }) => {
     if (active && payload && payload.length) {
@@ -88,7 +183,7 @@ const CustomTooltip = ({ active, payload, label }) => {
                 {payload.map((entry, index) => (
                     <p key={index} className="text-sm font-mono" style={{ color: entry.color }}>
                         {entry.name}: <span className="font-bold">{entry.value?.toFixed(2)}</span>
-                        {entry.name.includes('Bitrate') ? ' Mbps' : '%'}
+                        {entry.unit ?? (entry.name.includes('Bitrate') ? ' Mbps' : '%')}
                     </p>
                 ))}
             </div>
@@ -98,8 +193,83 @@ const CustomTooltip = ({ active, payload, label }) => {
 };
 
 // Lazy Loading Errors Panel with Infinite Scroll
+// Archived manifest as served when an error fired, with a diff against the version before it
+const ManifestViewer = ({ streamId, error, onClose }) => {
+    const [snapshot, setSnapshot] = useState(null);
+    const [diff, setDiff] = useState(null);
+    const [view, setView] = useState('manifest');
+    const [message, setMessage] = useState(null);
+
+    useEffect(() => {
+        const params = new URLSearchParams({ time: error.date, variant: error.variant || '' });
+        axios.get(`/api/streams/${streamId}/snapshots/at?${params}`)
+            .then(res => setSnapshot(res.data))
+            .catch(err => setMessage(err.response?.data?.error || err.message));
+    }, [streamId, error.date, error.variant]);
+
+    useEffect(() => {
+        if (view !== 'diff' || !snapshot || diff) return;
+        axios.get(`/api/streams/${streamId}/snapshots/diff?to=${snapshot._id}`)
+            .then(res => setDiff(res.data))
+            .catch(err => setDiff({ error: err.response?.data?.error || err.message }));
+    }, [view, snapshot, diff, streamId]);
+
+    const lineClass = line => {
+        if (line.startsWith('+')) return 'text-emerald-400 bg-emerald-500/10';
+        if (line.startsWith('-')) return 'text-rose-400 bg-rose-500/10';
+        if (line.startsWith('@@')) return 'text-sky-400';
+        return 'text-white/60';
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/60 backdrop-blur-md flex items-center justify-center z-50 p-4" onClick={onClose}>
+            <div className="glass-panel w-full max-w-4xl p-6 max-h-[85vh] flex flex-col" onClick={e => e.stopPropagation()}>
+                <div className="flex justify-between items-start mb-4 gap-4">
+                    <div className="min-w-0">
+                        <h3 className="text-sm font-bold text-white uppercase tracking-wider flex items-center gap-2">
+                            <FileText size={14} /> {snapshot ? snapshot.variant : 'Manifest'}
+                        </h3>
+                        <div className="text-xs font-mono text-white/40 mt-1 truncate">
+                            {error.errorType} at {new Date(error.date).toLocaleString()}
+                            {snapshot && ` · served since ${new Date(snapshot.capturedAt).toLocaleTimeString()}`}
+                            {snapshot?.pinned && ' · pinned'}
+                        </div>
+                    </div>
+                    <div className="flex items-center gap-2">
+                        {['manifest', 'diff'].map(v => (
+                            <button key={v} onClick={() => setView(v)} disabled={!snapshot}
+                                className={`text-xs px-3 py-1.5 rounded ${view === v ? 'bg-white/20 text-white' : 'bg-white/5 text-white/50 hover:bg-white/10'} disabled:opacity-50`}>
+                                {v === 'manifest' ? 'Manifest' : 'Diff vs previous'}
+                            </button>
+                        ))}
+                        <button onClick={onClose} className="p-1.5 text-white/50 hover:text-white"><X size={16} /></button>
+                    </div>
+                </div>
+                <div className="overflow-auto flex-1 bg-black/30 rounded-lg p-4 font-mono text-xs">
+                    {message && <div className="text-white/40 text-center py-8">{message}</div>}
+                    {!message && !snapshot && <div className="text-white/40 text-center py-8"><RefreshCw size={14} className="inline animate-spin mr-2" /> Loading...</div>}
+                    {snapshot && view === 'manifest' && <pre className="text-white/70 whitespace-pre">{snapshot.text}</pre>}
+                    {snapshot && view === 'diff' && (
+                        !diff ? <div className="text-white/40 text-center py-8"><RefreshCw size={14} className="inline animate-spin mr-2" /> Loading...</div>
+                            : diff.error ? <div className="text-white/40 text-center py-8">{diff.error}</div>
+                                : (
+                                    <>
+                                        <div className="text-white/40 mb-2">+{diff.added} / -{diff.removed} lines since {new Date(diff.from.capturedAt).toLocaleTimeString()}</div>
+                                        {diff.patch.split('\n').filter(line => !/^(={3,}|--- |\+\+\+ )/.test(line)).map((line, i) => (
+                                            <div key={i} className={`whitespace-pre ${lineClass(line)}`}>{line || ' '}</div>
+                                        ))}
+                                    </>
+                                )
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
 const ErrorsPanel = ({ streamId }) => {
     const [errors, setErrors] = useState([]);
+    const [viewing, setViewing] = useState(null);
     const [loading, setLoading] = useState(false);
     const [page, setPage] = useState(1);
     const [hasMore, setHasMore] = useState(true);
@@ -153,12 +323,18 @@ const ErrorsPanel = ({ streamId }) => {
                     style={{ scrollbarWidth: 'thin' }}
                 >
                     {errors.map((err, i) => (
-                        <div key={`${err.eid || i}-${err.date}`} className="bg-rose-500/10 border border-rose-500/20 rounded-lg p-3 font-mono text-xs">
+                        // Monitor gaps are our own downtime, not a stream fault
+                        <div key={`${err.eid || i}-${err.date}`} className={`${err.errorType === 'Monitor Gap' ? 'bg-sky-500/10 border-sky-500/20' : 'bg-rose-500/10 border-rose-500/20'} border rounded-lg p-3 font-mono text-xs`}>
                             <div className="flex justify-between mb-1">
-                                <span className="text-rose-300 font-bold">{err.errorType}</span>
+                                <span className={`${err.errorType === 'Monitor Gap' ? 'text-sky-300' : 'text-rose-300'} font-bold`}>{err.errorType}</span>
                                 <span className="text-white/40">{err.date ? new Date(err.date).toLocaleTimeString() : '-'}</span>
                             </div>
                             <div className="text-white/60">{err.details}</div>
+                            {err.errorType !== 'Monitor Gap' && (
+                                <button onClick={() => setViewing(err)} className="mt-2 text-[10px] text-white/40 hover:text-white flex items-center gap-1">
+                                    <FileText size={10} /> View manifest at this time
+                                </button>
+                            )}
                         </div>
                     ))}
                     {loading && (
@@ -171,6 +347,827 @@ const ErrorsPanel = ({ streamId }) => {
                     )}
                 </div>
             )}
+            {viewing && <ManifestViewer streamId={streamId} error={viewing} onClose={() => setViewing(null)} />}
+        </div>
+    );
+};
+
+// Latest full-asset validation report - reloaded when stream.health.validation changes
+const ValidationPanel = ({ streamId, validation }) => {
+    const [report, setReport] = useState(null);
+    const [error, setError] = useState(null);
+    const statusStyle = { running: 'text-sky-300', passed: 'text-emerald-400', failed: 'text-rose-400' };
+
+    useEffect(() => {
+        axios.get(`/api/streams/${streamId}/validations?limit=1`)
+            .then(res => setReport(res.data.data[0] || null))
+            .catch(err => console.error('Error loading validation report:', err));
+    }, [streamId, validation?.status, validation?.reportId]);
+
+    const revalidate = async () => {
+        setError(null);
+        try {
+            await axios.post(`/api/streams/${streamId}/validations`);
+        } catch (err) {
+            setError(err.response?.data?.error || err.message);
+        }
+    };
+
+    return (
+        <div className="glass-panel p-6 mb-8">
+            <div className="flex justify-between items-center mb-4">
+                <h3 className="text-sm font-bold text-emerald-400 uppercase tracking-wider flex items-center gap-2">
+                    <FileCheck size={14} /> Asset Validation
+                </h3>
+                <div className="flex items-center gap-3">
+                    {error && <span className="text-rose-400 text-xs">{error}</span>}
+                    <button onClick={revalidate} disabled={validation?.status === 'running'} className="text-xs px-3 py-1.5 rounded bg-white/10 hover:bg-white/20 text-white disabled:opacity-50">
+                        {validation?.status === 'running' ? 'Validating...' : 'Validate now'}
+                    </button>
+                </div>
+            </div>
+            {!report ? (
+                <div className="text-white/30 text-center py-8">No validation report yet</div>
+            ) : (
+                <>
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-x-8 gap-y-2 text-sm font-mono mb-4">
+                        <div className="flex justify-between"><span className="text-white/50">Result</span><span className={statusStyle[report.status]}>{report.status?.toUpperCase()}</span></div>
+                        <div className="flex justify-between"><span className="text-white/50">Type</span><span className="text-white">{report.playlistType || '-'}</span></div>
+                        <div className="flex justify-between"><span className="text-white/50">Duration</span><span className="text-white">{report.totalDuration != null ? `${(report.totalDuration / 60).toFixed(1)} min` : '-'}</span></div>
+                        <div className="flex justify-between"><span className="text-white/50">Segments</span><span className={report.segmentsFailed > 0 ? 'text-rose-400' : 'text-white'}>{report.segmentsChecked - report.segmentsFailed}/{report.segmentsChecked} OK</span></div>
+                    </div>
+                    {report.variants?.length > 0 && (
+                        <div className="overflow-x-auto mb-4">
+                            <table className="w-full text-xs font-mono">
+                                <thead>
+                                    <tr className="text-white/40 text-left border-b border-white/10">
+                                        <th className="py-2 pr-4">Rendition</th>
+                                        <th className="py-2 pr-4">Segments</th>
+                                        <th className="py-2 pr-4">Duration</th>
+                                        <th className="py-2 pr-4">Max Segment</th>
+                                        <th className="py-2 pr-4">Failed</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {report.variants.map(v => (
+                                        <tr key={v.uri} className="border-b border-white/5">
+                                            <td className="py-2 pr-4 text-white">{v.name}</td>
+                                            <td className="py-2 pr-4 text-white/80">{v.segmentCount}</td>
+                                            <td className="py-2 pr-4 text-white/80">{v.duration?.toFixed(1)}s</td>
+                                            <td className={`py-2 pr-4 ${Math.round(v.maxSegmentDuration) > v.targetDuration ? 'text-rose-400' : 'text-white/80'}`}>{v.maxSegmentDuration}s / {v.targetDuration}s</td>
+                                            <td className={`py-2 pr-4 ${v.segmentsFailed > 0 ? 'text-rose-400' : 'text-white/80'}`}>{v.segmentsFailed}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                    {report.issues?.length > 0 && (
+                        <div className="space-y-2 max-h-64 overflow-y-auto pr-2" style={{ scrollbarWidth: 'thin' }}>
+                            {report.issues.map((issue, i) => (
+                                <div key={i} className={`border rounded-lg p-3 font-mono text-xs ${issue.severity === 'error' ? 'bg-rose-500/10 border-rose-500/20 text-rose-300' : 'bg-amber-500/10 border-amber-500/20 text-amber-300'}`}>
+                                    <div className="flex justify-between mb-1">
+                                        <span className="font-bold">{issue.variant || 'master'}</span>
+                                        <span className="text-white/40">{issue.uri || ''}</span>
+                                    </div>
+                                    <div className="text-white/60">{issue.message}</div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                    <div className="text-white/30 text-xs font-mono mt-4">
+                        {report.trigger} run · {report.completedAt ? new Date(report.completedAt).toLocaleString() : 'in progress'}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+// Live-edge latency from PDT - history from MetricsHistory, extended on every stream:update
+const LatencyPanel = ({ streamId, latency }) => {
+    const [history, setHistory] = useState([]);
+    const formatSeconds = ms => (ms != null ? `${(ms / 1000).toFixed(1)}s` : '-');
+
+    useEffect(() => {
+        axios.get(`/api/streams/${streamId}/metrics?limit=${HISTORY_LIMIT}`)
+            .then(res => {
+                const data = res.data.data || res.data;
+                const fetched = data.filter(m => m.latency != null).map(m => latencyPoint(m.timestamp, m.latency, m.pdtDrift));
+                setHistory(prev => mergeHistory(fetched, prev));
+            })
+            .catch(err => console.error('Error loading latency history:', err));
+    }, [streamId]);
+
+    const measuredAt = latency?.measuredAt;
+    const latencyMs = latency?.latency;
+    const driftMs = latency?.drift;
+    useEffect(() => {
+        if (latencyMs == null || !measuredAt) return;
+        setHistory(prev => appendPoint(prev, latencyPoint(measuredAt, latencyMs, driftMs)));
+    }, [measuredAt, latencyMs, driftMs]);
+
+    if (!latency) return null;
+
+    return (
+        <div className="glass-panel p-6 mb-8">
+            <div className="flex justify-between items-center mb-4">
+                <h3 className="text-sm font-bold text-teal-400 uppercase tracking-wider flex items-center gap-2">
+                    <Clock size={14} /> Live Latency
+                </h3>
+                {latency.hasPdt === false && (
+                    <span className="text-xs font-mono text-amber-400">NO PROGRAM-DATE-TIME</span>
+                )}
+            </div>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-x-8 gap-y-2 text-sm font-mono mb-4">
+                <div className="flex justify-between"><span className="text-white/50">Latency</span><span className={latency.overBudget ? 'text-rose-400' : 'text-white'}>{formatSeconds(latency.latency)}</span></div>
+                <div className="flex justify-between"><span className="text-white/50">Budget</span><span className="text-white">{formatSeconds(latency.budget)}</span></div>
+                <div className="flex justify-between"><span className="text-white/50">Drift</span><span className="text-white">{latency.drift != null ? `${latency.drift > 0 ? '+' : ''}${(latency.drift / 1000).toFixed(1)}s` : '-'}</span></div>
+                <div className="flex justify-between"><span className="text-white/50">Live Edge</span><span className="text-white">{latency.liveEdge ? new Date(latency.liveEdge).toLocaleTimeString() : '-'}</span></div>
+            </div>
+            {history.length > 1 && (
+                <div className="overflow-x-auto rounded-lg border border-white/10 bg-black/20" style={{ scrollbarWidth: 'thin' }}>
+                    <LineChart width={Math.max(700, history.length * 6)} height={160} data={history} margin={{ top: 10, right: 20, left: 40, bottom: 5 }}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#333" />
+                        <XAxis dataKey="time" stroke="#666" tick={{ fill: '#888', fontSize: 10 }} interval={Math.floor(history.length / 8)} />
+                        <YAxis stroke="#666" tick={{ fill: '#888', fontSize: 10 }} />
+                        <Tooltip content={<CustomTooltip />} />
+                        <Legend />
+                        <Line type="monotone" dataKey="latency" stroke="#2dd4bf" strokeWidth={2} dot={false} name="Latency" unit="s" />
+                        <Line type="monotone" dataKey="drift" stroke="#f59e0b" strokeWidth={2} dot={false} name="Drift" unit="s" />
+                    </LineChart>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Loudness trend (momentary max, short-term, program) against the stream's
+// target - history from MetricsHistory, extended on every measured segment
+const LoudnessPanel = ({ streamId, loudness, compliance }) => {
+    const [history, setHistory] = useState([]);
+
+    useEffect(() => {
+        axios.get(`/api/streams/${streamId}/metrics?limit=${HISTORY_LIMIT}`)
+            .then(res => {
+                const data = res.data.data || res.data;
+                const fetched = data.filter(m => m.loudnessProgram != null || m.loudnessShortTerm != null)
+                    .map(m => loudnessPoint(m.timestamp, m.loudnessMomentary, m.loudnessShortTerm, m.loudnessProgram, m.truePeak));
+                setHistory(prev => mergeHistory(fetched, prev));
+            })
+            .catch(err => console.error('Error loading loudness history:', err));
+    }, [streamId]);
+
+    const { measuredAt, momentaryMax, shortTerm, programIntegrated, truePeak } = loudness || {};
+    useEffect(() => {
+        if (!measuredAt) return;
+        setHistory(prev => appendPoint(prev, loudnessPoint(measuredAt, momentaryMax, shortTerm, programIntegrated, truePeak)));
+    }, [measuredAt, momentaryMax, shortTerm, programIntegrated, truePeak]);
+
+    if (!loudness?.measuredAt) return null;
+
+    const enabled = compliance?.profile && compliance.profile !== 'off';
+    const profile = LOUDNESS_PROFILES[compliance?.profile];
+    const offTarget = compliance?.loudnessCompliant === false;
+    const overPeak = compliance?.truePeakCompliant === false;
+
+    return (
+        <div className="glass-panel p-6 mb-8">
+            <div className="flex justify-between items-center mb-4">
+                <h3 className="text-sm font-bold text-cyan-400 uppercase tracking-wider flex items-center gap-2">
+                    <Volume2 size={14} /> Loudness
+                </h3>
+                <span className={`text-xs font-mono ${offTarget || overPeak ? 'text-rose-400' : 'text-white/40'}`}>
+                    {enabled
+                        ? `${profile?.label || compliance.profile} · ${compliance.target} LUFS ±${compliance.tolerance} LU · ${offTarget || overPeak ? 'NON-COMPLIANT' : 'compliant'}`
+                        : 'compliance off'}
+                </span>
+            </div>
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-x-8 gap-y-2 text-sm font-mono mb-4">
+                <div className="flex justify-between"><span className="text-white/50">Program ({loudness.programDuration ?? 0}s)</span><span className={offTarget ? 'text-rose-400' : 'text-white'}>{formatLoudness(loudness.programIntegrated, 'LUFS')}</span></div>
+                <div className="flex justify-between"><span className="text-white/50">Short-term</span><span className="text-white">{formatLoudness(loudness.shortTerm, 'LUFS')}</span></div>
+                <div className="flex justify-between"><span className="text-white/50">Momentary Max</span><span className="text-white">{formatLoudness(loudness.momentaryMax, 'LUFS')}</span></div>
+                <div className="flex justify-between"><span className="text-white/50">Segment</span><span className="text-white">{formatLoudness(loudness.integrated, 'LUFS')}</span></div>
+                <div className="flex justify-between"><span className="text-white/50">Loudness Range</span><span className="text-white">{formatLoudness(loudness.lra, 'LU')}</span></div>
+                <div className="flex justify-between"><span className="text-white/50">True Peak</span><span className={overPeak ? 'text-rose-400' : 'text-white'}>{formatLoudness(loudness.truePeak, 'dBTP')}{enabled ? ` / ${compliance.truePeakLimit}` : ''}</span></div>
+            </div>
+            {history.length > 1 && (
+                <div className="overflow-x-auto rounded-lg border border-white/10 bg-black/20" style={{ scrollbarWidth: 'thin' }}>
+                    <LineChart width={Math.max(700, history.length * 6)} height={180} data={history} margin={{ top: 10, right: 20, left: 40, bottom: 5 }}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#333" />
+                        <XAxis dataKey="time" stroke="#666" tick={{ fill: '#888', fontSize: 10 }} interval={Math.floor(history.length / 8)} />
+                        <YAxis stroke="#666" tick={{ fill: '#888', fontSize: 10 }} domain={[-50, 0]} allowDataOverflow />
+                        <Tooltip content={<CustomTooltip />} />
+                        <Legend />
+                        {enabled && (
+                            <>
+                                <ReferenceLine y={compliance.target} stroke="#10b981" strokeDasharray="4 4" />
+                                <ReferenceLine y={compliance.target + compliance.tolerance} stroke="#10b981" strokeOpacity={0.3} />
+                                <ReferenceLine y={compliance.target - compliance.tolerance} stroke="#10b981" strokeOpacity={0.3} />
+                                <ReferenceLine y={compliance.truePeakLimit} stroke="#f43f5e" strokeDasharray="4 4" />
+                            </>
+                        )}
+                        <Line type="monotone" dataKey="momentary" stroke="#67e8f9" strokeOpacity={0.5} strokeWidth={1} dot={false} name="Momentary Max" unit=" LUFS" />
+                        <Line type="monotone" dataKey="shortTerm" stroke="#06b6d4" strokeWidth={2} dot={false} name="Short-term" unit=" LUFS" />
+                        <Line type="monotone" dataKey="program" stroke="#10b981" strokeWidth={2} dot={false} name="Program" unit=" LUFS" />
+                        <Line type="stepAfter" dataKey="truePeak" stroke="#f43f5e" strokeWidth={1} dot={false} name="True Peak" unit=" dBTP" />
+                    </LineChart>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Black / frozen frame share of each analysed segment - history from MetricsHistory,
+// extended whenever the processor analyses a new segment
+const PictureContentPanel = ({ streamId, video, videoContent }) => {
+    const [history, setHistory] = useState([]);
+    const formatPercent = ratio => (ratio != null ? `${Math.round(ratio * 100)}%` : '-');
+
+    useEffect(() => {
+        axios.get(`/api/streams/${streamId}/metrics?limit=${HISTORY_LIMIT}`)
+            .then(res => {
+                const data = res.data.data || res.data;
+                const fetched = data.filter(m => m.blackRatio != null || m.frozenRatio != null).map(m => picturePoint(m.timestamp, m.blackRatio, m.frozenRatio));
+                setHistory(prev => mergeHistory(fetched, prev));
+            })
+            .catch(err => console.error('Error loading picture history:', err));
+    }, [streamId]);
+
+    const { analyzedAt, blackRatio, frozenRatio } = video || {};
+    useEffect(() => {
+        if (!analyzedAt) return;
+        setHistory(prev => appendPoint(prev, picturePoint(analyzedAt, blackRatio, frozenRatio)));
+    }, [analyzedAt, blackRatio, frozenRatio]);
+
+    if (!video?.analyzedAt) return null;
+
+    return (
+        <div className="glass-panel p-6 mb-8">
+            <div className="flex justify-between items-center mb-4">
+                <h3 className="text-sm font-bold text-primary uppercase tracking-wider flex items-center gap-2">
+                    <Zap size={14} /> Black / Frozen Frames
+                </h3>
+                <span className="text-xs font-mono text-white/40">last segment {new Date(video.analyzedAt).toLocaleTimeString()}</span>
+            </div>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-x-8 gap-y-2 text-sm font-mono mb-4">
+                <div className="flex justify-between"><span className="text-white/50">Black</span><span className={videoContent?.black ? 'text-rose-400' : 'text-white'}>{formatPercent(video.blackRatio)}</span></div>
+                <div className="flex justify-between"><span className="text-white/50">Black Time</span><span className="text-white">{video.blackDuration != null ? `${video.blackDuration}s` : '-'}</span></div>
+                <div className="flex justify-between"><span className="text-white/50">Frozen</span><span className={videoContent?.frozen ? 'text-rose-400' : 'text-white'}>{formatPercent(video.frozenRatio)}</span></div>
+                <div className="flex justify-between"><span className="text-white/50">Frozen Time</span><span className="text-white">{video.frozenDuration != null ? `${video.frozenDuration}s` : '-'}</span></div>
+            </div>
+            {history.length > 1 && (
+                <div className="overflow-x-auto rounded-lg border border-white/10 bg-black/20" style={{ scrollbarWidth: 'thin' }}>
+                    <LineChart width={Math.max(700, history.length * 6)} height={160} data={history} margin={{ top: 10, right: 20, left: 40, bottom: 5 }}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#333" />
+                        <XAxis dataKey="time" stroke="#666" tick={{ fill: '#888', fontSize: 10 }} interval={Math.floor(history.length / 8)} />
+                        <YAxis stroke="#666" tick={{ fill: '#888', fontSize: 10 }} domain={[0, 100]} />
+                        <Tooltip content={<CustomTooltip />} />
+                        <Legend />
+                        <Line type="stepAfter" dataKey="black" stroke="#94a3b8" strokeWidth={2} dot={false} name="Black" unit="%" />
+                        <Line type="stepAfter" dataKey="frozen" stroke="#22d3ee" strokeWidth={2} dot={false} name="Frozen" unit="%" />
+                    </LineChart>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// A/V offset and drift of the primary rendition, plus each rendition's
+// timestamp continuity - history from MetricsHistory, extended per analysed segment
+const AvSyncPanel = ({ streamId, avSync, renditions }) => {
+    const [history, setHistory] = useState([]);
+    const formatMs = value => (value != null ? `${value > 0 ? '+' : ''}${value}ms` : '-');
+
+    useEffect(() => {
+        axios.get(`/api/streams/${streamId}/metrics?limit=${HISTORY_LIMIT}`)
+            .then(res => {
+                const data = res.data.data || res.data;
+                const fetched = data.filter(m => m.avOffset != null).map(m => avSyncPoint(m.timestamp, m.avOffset, m.avDrift));
+                setHistory(prev => mergeHistory(fetched, prev));
+            })
+            .catch(err => console.error('Error loading A/V sync history:', err));
+    }, [streamId]);
+
+    // One point per analysed segment, at the time it was analysed
+    const { analyzedAt, offset, drift } = avSync || {};
+    useEffect(() => {
+        if (offset == null || !analyzedAt) return;
+        setHistory(prev => appendPoint(prev, avSyncPoint(analyzedAt, offset, drift)));
+    }, [analyzedAt, offset, drift]);
+
+    const timed = (renditions || []).filter(r => r.timing?.analyzedAt);
+    if (!avSync?.checkedAt && timed.length === 0) return null;
+
+    return (
+        <div className="glass-panel p-6 mb-8">
+            <div className="flex justify-between items-center mb-4">
+                <h3 className="text-sm font-bold text-teal-400 uppercase tracking-wider flex items-center gap-2">
+                    <Clock size={14} /> A/V Sync &amp; Timestamps
+                </h3>
+                <span className={`text-xs font-mono ${avSync?.inSync === false ? 'text-rose-400' : 'text-white/40'}`}>
+                    {avSync?.inSync === false ? 'OUT OF SYNC' : 'in sync'}{avSync?.mediaSequence != null ? ` · mseq ${avSync.mediaSequence}` : ''}
+                </span>
+            </div>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-x-8 gap-y-2 text-sm font-mono mb-4">
+                <div className="flex justify-between"><span className="text-white/50">A/V Offset</span><span className={avSync?.inSync === false ? 'text-rose-400' : 'text-white'}>{formatMs(avSync?.offset)}</span></div>
+                <div className="flex justify-between"><span className="text-white/50">Drift</span><span className="text-white">{formatMs(avSync?.drift)}</span></div>
+                <div className="flex justify-between"><span className="text-white/50">Video PTS</span><span className="text-white">{formatMs(avSync?.videoContinuity)}</span></div>
+                <div className="flex justify-between"><span className="text-white/50">Audio PTS</span><span className="text-white">{formatMs(avSync?.audioContinuity)}</span></div>
+            </div>
+            {timed.length > 1 && (
+                <div className="overflow-x-auto mb-4">
+                    <table className="w-full text-xs font-mono">
+                        <thead>
+                            <tr className="text-white/40 text-left">
+                                <th className="py-1 pr-4">Rendition</th>
+                                <th className="py-1 pr-4">mseq</th>
+                                <th className="py-1 pr-4">A/V Offset</th>
+                                <th className="py-1 pr-4">Video PTS</th>
+                                <th className="py-1 pr-4">Audio PTS</th>
+                                <th className="py-1">Last Event</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {timed.map(r => (
+                                <tr key={r.key || r.name} className="border-t border-white/5">
+                                    <td className="py-1 pr-4 text-white">{r.name}</td>
+                                    <td className="py-1 pr-4 text-white/70">{r.timing.mediaSequence}</td>
+                                    <td className={`py-1 pr-4 ${r.timing.inSync === false ? 'text-rose-400' : 'text-white/70'}`} title={r.timing.audioRendition ? `Against ${r.timing.audioRendition}` : undefined}>{formatMs(r.timing.avOffset)}</td>
+                                    <td className="py-1 pr-4 text-white/70">{formatMs(r.timing.videoContinuity)}</td>
+                                    <td className="py-1 pr-4 text-white/70">{formatMs(r.timing.audioContinuity)}</td>
+                                    <td className="py-1 text-amber-400 truncate max-w-xs" title={r.timing.events?.map(e => e.message).join('\n')}>
+                                        {r.timing.events?.length > 0 ? r.timing.events[0].kind : ''}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+            {history.length > 1 && (
+                <div className="overflow-x-auto rounded-lg border border-white/10 bg-black/20" style={{ scrollbarWidth: 'thin' }}>
+                    <LineChart width={Math.max(700, history.length * 6)} height={160} data={history} margin={{ top: 10, right: 20, left: 40, bottom: 5 }}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#333" />
+                        <XAxis dataKey="time" stroke="#666" tick={{ fill: '#888', fontSize: 10 }} interval={Math.floor(history.length / 8)} />
+                        <YAxis stroke="#666" tick={{ fill: '#888', fontSize: 10 }} />
+                        <Tooltip content={<CustomTooltip />} />
+                        <Legend />
+                        <ReferenceLine y={0} stroke="#666" />
+                        <Line type="monotone" dataKey="offset" stroke="#2dd4bf" strokeWidth={2} dot={false} name="A/V Offset" unit="ms" />
+                        <Line type="monotone" dataKey="drift" stroke="#f59e0b" strokeWidth={2} dot={false} name="Drift" unit="ms" />
+                    </LineChart>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Ad-break timeline - reloaded whenever a break starts or ends
+const AdBreaksPanel = ({ streamId, adBreak }) => {
+    const [breaks, setBreaks] = useState([]);
+    const [total, setTotal] = useState(0);
+    const statusStyle = {
+        open: 'text-sky-300',
+        complete: 'text-emerald-400',
+        overrun: 'text-amber-400',
+        'missing-cue-in': 'text-rose-400',
+        unmatched: 'text-rose-400'
+    };
+    const formatSeconds = value => (value != null ? `${value.toFixed(1)}s` : '-');
+
+    useEffect(() => {
+        axios.get(`/api/streams/${streamId}/ad-breaks?limit=20`)
+            .then(res => {
+                setBreaks(res.data.data);
+                setTotal(res.data.total);
+            })
+            .catch(err => console.error('Error loading ad breaks:', err));
+    }, [streamId, adBreak?.active, adBreak?.breakId]);
+
+    if (total === 0 && !adBreak?.active) return null;
+
+    return (
+        <div className="glass-panel p-6 mb-8">
+            <div className="flex justify-between items-center mb-4">
+                <h3 className="text-sm font-bold text-violet-400 uppercase tracking-wider flex items-center gap-2">
+                    <Megaphone size={14} /> Ad Breaks ({total})
+                </h3>
+                {adBreak?.active && (
+                    <span className="text-xs font-mono text-sky-300">
+                        IN BREAK · {formatSeconds(adBreak.elapsed)} / {formatSeconds(adBreak.declaredDuration)}
+                    </span>
+                )}
+            </div>
+            <div className="overflow-x-auto max-h-64 overflow-y-auto" style={{ scrollbarWidth: 'thin' }}>
+                <table className="w-full text-xs font-mono">
+                    <thead>
+                        <tr className="text-white/40 text-left border-b border-white/10">
+                            <th className="py-2 pr-4">Start</th>
+                            <th className="py-2 pr-4">Source</th>
+                            <th className="py-2 pr-4">Media Seq</th>
+                            <th className="py-2 pr-4">Declared</th>
+                            <th className="py-2 pr-4">Actual</th>
+                            <th className="py-2 pr-4">Status</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {breaks.map(b => (
+                            <tr key={b.breakId} className="border-b border-white/5">
+                                <td className="py-2 pr-4 text-white/80">{b.startTime ? new Date(b.startTime).toLocaleTimeString() : '-'}</td>
+                                <td className="py-2 pr-4 text-white/50">{b.source === 'daterange' ? 'DATERANGE' : 'CUE'}</td>
+                                <td className="py-2 pr-4 text-white/80">{b.startSequence ?? '-'} → {b.endSequence ?? '-'}</td>
+                                <td className="py-2 pr-4 text-white/80">{formatSeconds(b.declaredDuration)}</td>
+                                <td className="py-2 pr-4 text-white/80">{formatSeconds(b.actualDuration)}</td>
+                                <td className={`py-2 pr-4 ${statusStyle[b.status] || 'text-white/50'}`} title={(b.issues || []).join(', ')}>
+                                    {b.status?.toUpperCase()}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+// Text colour per Stream.status (see backend/workers/status.js)
+const STATUS_COLORS = {
+    pending: 'text-slate-300',
+    online: 'text-emerald-400',
+    degraded: 'text-rose-400',
+    stale: 'text-amber-400',
+    offline: 'text-slate-400',
+    recovering: 'text-sky-300'
+};
+
+// Status transitions - reloaded whenever the status changes
+const StatusHistoryPanel = ({ streamId, status, statusSince }) => {
+    const [transitions, setTransitions] = useState([]);
+    const [total, setTotal] = useState(0);
+    const formatDuration = ms => {
+        if (ms == null) return '-';
+        const seconds = Math.round(ms / 1000);
+        if (seconds < 120) return `${seconds}s`;
+        if (seconds < 7200) return `${Math.round(seconds / 60)}m`;
+        return `${(seconds / 3600).toFixed(1)}h`;
+    };
+
+    useEffect(() => {
+        axios.get(`/api/streams/${streamId}/status-history?limit=50`)
+            .then(res => {
+                setTransitions(res.data.data);
+                setTotal(res.data.total);
+            })
+            .catch(err => console.error('Error loading status history:', err));
+    }, [streamId, status, statusSince]);
+
+    if (total === 0) return null;
+
+    return (
+        <div className="glass-panel p-6 mb-8">
+            <div className="flex justify-between items-center mb-4">
+                <h3 className="text-sm font-bold text-slate-300 uppercase tracking-wider flex items-center gap-2">
+                    <History size={14} /> Status History ({total})
+                </h3>
+                {statusSince && (
+                    <span className="text-xs font-mono text-white/50">
+                        <span className={STATUS_COLORS[status]}>{status?.toUpperCase()}</span> for {formatDuration(Date.now() - new Date(statusSince).getTime())}
+                    </span>
+                )}
+            </div>
+            <div className="overflow-x-auto max-h-64 overflow-y-auto" style={{ scrollbarWidth: 'thin' }}>
+                <table className="w-full text-xs font-mono">
+                    <thead>
+                        <tr className="text-white/40 text-left border-b border-white/10">
+                            <th className="py-2 pr-4">Time</th>
+                            <th className="py-2 pr-4">Transition</th>
+                            <th className="py-2 pr-4">After</th>
+                            <th className="py-2 pr-4">Reason</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {transitions.map(t => (
+                            <tr key={t._id} className="border-b border-white/5">
+                                <td className="py-2 pr-4 text-white/80 whitespace-nowrap">{new Date(t.at).toLocaleString()}</td>
+                                <td className="py-2 pr-4 whitespace-nowrap">
+                                    <span className={STATUS_COLORS[t.from] || 'text-white/50'}>{t.from?.toUpperCase() || '-'}</span>
+                                    <span className="text-white/30"> → </span>
+                                    <span className={STATUS_COLORS[t.to]}>{t.to.toUpperCase()}</span>
+                                </td>
+                                <td className="py-2 pr-4 text-white/50">{formatDuration(t.duration)}</td>
+                                <td className="py-2 pr-4 text-white/70 break-all">{t.reason}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+// RFC 8216 lint findings - kept current by stream:update socket events
+const SpecCompliancePanel = ({ findings }) => {
+    const [showResolved, setShowResolved] = useState(false);
+    const severityOrder = { error: 0, warning: 1, info: 2 };
+    const severityStyle = {
+        error: 'bg-rose-500/10 border-rose-500/20 text-rose-300',
+        warning: 'bg-amber-500/10 border-amber-500/20 text-amber-300',
+        info: 'bg-sky-500/10 border-sky-500/20 text-sky-300'
+    };
+
+    const active = findings.filter(f => f.active);
+    const visible = (showResolved ? findings : active)
+        .slice()
+        .sort((a, b) => (b.active - a.active) || (severityOrder[a.severity] - severityOrder[b.severity]));
+
+    return (
+        <div className="glass-panel p-6 mb-8">
+            <div className="flex justify-between items-center mb-4">
+                <h3 className="text-sm font-bold text-sky-400 uppercase tracking-wider flex items-center gap-2">
+                    <ShieldCheck size={14} /> Spec Compliance ({active.length})
+                </h3>
+                {findings.length > active.length && (
+                    <button onClick={() => setShowResolved(prev => !prev)} className="text-xs text-white/40 hover:text-white">
+                        {showResolved ? 'Hide resolved' : `Show resolved (${findings.length - active.length})`}
+                    </button>
+                )}
+            </div>
+            {visible.length === 0 ? (
+                <div className="text-white/30 text-center py-8 flex items-center justify-center gap-2">
+                    <CheckCircle size={18} className="text-emerald-400" /> No RFC 8216 violations found
+                </div>
+            ) : (
+                <div className="space-y-2 max-h-64 overflow-y-auto pr-2" style={{ scrollbarWidth: 'thin' }}>
+                    {visible.map(f => (
+                        <div key={`${f.ruleId}-${f.variant}`} className={`border rounded-lg p-3 font-mono text-xs ${f.active ? severityStyle[f.severity] : 'bg-white/5 border-white/10 text-white/40'}`}>
+                            <div className="flex justify-between mb-1">
+                                <span className="font-bold">{f.ruleId} <span className="font-normal opacity-60">§{f.section}</span></span>
+                                <span className="text-white/40">{f.variant} · {f.active ? `${f.occurrences}x` : 'resolved'}</span>
+                            </div>
+                            <div className="text-white/60">{f.message}</div>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Per-stream polling overrides - empty poll interval means "derive from target duration"
+const MonitoringPanel = ({ stream }) => {
+    const health = stream.health || {};
+    const [pollInterval, setPollInterval] = useState(stream.monitoring?.pollInterval ?? '');
+    const [staleFactor, setStaleFactor] = useState(stream.monitoring?.staleFactor ?? 1.5);
+    const [lowLatency, setLowLatency] = useState(stream.monitoring?.lowLatency ?? true);
+    const [latencyBudget, setLatencyBudget] = useState(stream.monitoring?.latencyBudget ?? '');
+    const [validationInterval, setValidationInterval] = useState(stream.monitoring?.validationInterval ?? '');
+    const [frozenThreshold, setFrozenThreshold] = useState(stream.monitoring?.frozenThreshold ?? '');
+    const [loudnessProfile, setLoudnessProfile] = useState(stream.monitoring?.loudnessProfile || 'ebu-r128');
+    const [loudnessTarget, setLoudnessTarget] = useState(stream.monitoring?.loudnessTarget ?? '');
+    const [loudnessTolerance, setLoudnessTolerance] = useState(stream.monitoring?.loudnessTolerance ?? '');
+    const [truePeakLimit, setTruePeakLimit] = useState(stream.monitoring?.truePeakLimit ?? '');
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    const save = async () => {
+        setSaving(true);
+        setError(null);
+        try {
+            await axios.patch(`/api/streams/${stream._id}/monitoring`, {
+                pollInterval: pollInterval === '' ? null : Number(pollInterval),
+                staleFactor: Number(staleFactor),
+                lowLatency,
+                latencyBudget: latencyBudget === '' ? null : Number(latencyBudget),
+                validationInterval: validationInterval === '' ? null : Number(validationInterval),
+                frozenThreshold: frozenThreshold === '' ? null : Number(frozenThreshold),
+                loudnessProfile,
+                loudnessTarget: loudnessTarget === '' ? null : Number(loudnessTarget),
+                loudnessTolerance: loudnessTolerance === '' ? null : Number(loudnessTolerance),
+                truePeakLimit: truePeakLimit === '' ? null : Number(truePeakLimit)
+            });
+        } catch (err) {
+            setError(err.response?.data?.error || err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="glass-panel p-6 mb-8">
+            <h3 className="text-sm font-bold text-violet-400 uppercase tracking-wider flex items-center gap-2 mb-4">
+                <Timer size={14} /> Polling
+            </h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div className="space-y-2 text-sm font-mono">
+                    <div className="flex justify-between"><span className="text-white/50">Target Duration</span><span className="text-white">{health.targetDuration ? `${health.targetDuration}s` : '-'}</span></div>
+                    <div className="flex justify-between"><span className="text-white/50">Poll Interval</span><span className="text-white">{health.pollInterval ? `${health.pollInterval}ms` : '-'}{stream.monitoring?.pollInterval ? ' (override)' : ' (auto)'}</span></div>
+                    <div className="flex justify-between"><span className="text-white/50">Stale After</span><span className="text-white">{health.staleThreshold ? `${health.staleThreshold}ms` : '-'}</span></div>
+                    <div className="flex justify-between"><span className="text-white/50">Scheduling Lag</span><span className={health.schedulingLag > 1000 ? 'text-amber-400' : 'text-white'}>{health.schedulingLag ?? 0}ms</span></div>
+                    <div className="flex justify-between"><span className="text-white/50">Manifest Fetch</span>
+                        <span className={health.fetch?.breaker === 'open' ? 'text-rose-400' : health.fetch?.consecutiveFailures > 0 ? 'text-amber-400' : 'text-white'}>
+                            {health.fetch?.breaker === 'open'
+                                ? `Outage · next try ${health.fetch.nextAttemptAt ? new Date(health.fetch.nextAttemptAt).toLocaleTimeString() : '-'}`
+                                : health.fetch?.consecutiveFailures > 0 ? `Retrying (${health.fetch.consecutiveFailures} failed)` : 'OK'}
+                        </span>
+                    </div>
+                    <div className="flex justify-between"><span className="text-white/50">Recovered on Retry</span><span className="text-white">{health.fetch?.retriedPolls ?? 0} poll(s)</span></div>
+                    <div className="flex justify-between"><span className="text-white/50">Transient Failures</span><span className="text-white">{health.fetch?.transientFailures ?? 0} poll(s)</span></div>
+                </div>
+                <div className="space-y-3 text-sm">
+                    <label className="flex justify-between items-center gap-4">
+                        <span className="text-white/50">Poll interval (ms)</span>
+                        <input type="number" min="1000" max="60000" step="500" placeholder="auto" value={pollInterval}
+                            onChange={e => setPollInterval(e.target.value)}
+                            className="w-32 bg-white/5 border border-white/10 rounded px-2 py-1 font-mono text-white" />
+                    </label>
+                    <label className="flex justify-between items-center gap-4">
+                        <span className="text-white/50">Stale after (x target duration)</span>
+                        <input type="number" min="1" max="10" step="0.5" value={staleFactor}
+                            onChange={e => setStaleFactor(e.target.value)}
+                            className="w-32 bg-white/5 border border-white/10 rounded px-2 py-1 font-mono text-white" />
+                    </label>
+                    <label className="flex justify-between items-center gap-4">
+                        <span className="text-white/50">Latency budget (s)</span>
+                        <input type="number" min="1" max="600" step="1" placeholder="auto" value={latencyBudget}
+                            onChange={e => setLatencyBudget(e.target.value)}
+                            className="w-32 bg-white/5 border border-white/10 rounded px-2 py-1 font-mono text-white" />
+                    </label>
+                    <label className="flex justify-between items-center gap-4">
+                        <span className="text-white/50">Re-validate VOD every (h)</span>
+                        <input type="number" min="1" max="720" step="1" placeholder="once" value={validationInterval}
+                            onChange={e => setValidationInterval(e.target.value)}
+                            className="w-32 bg-white/5 border border-white/10 rounded px-2 py-1 font-mono text-white" />
+                    </label>
+                    <label className="flex justify-between items-center gap-4">
+                        <span className="text-white/50">Frozen after (s)</span>
+                        <input type="number" min="5" max="3600" step="5" placeholder="30" value={frozenThreshold}
+                            onChange={e => setFrozenThreshold(e.target.value)}
+                            className="w-32 bg-white/5 border border-white/10 rounded px-2 py-1 font-mono text-white" />
+                    </label>
+                    <label className="flex justify-between items-center gap-4">
+                        <span className="text-white/50">Loudness profile</span>
+                        <select value={loudnessProfile} onChange={e => setLoudnessProfile(e.target.value)}
+                            className="w-32 bg-white/5 border border-white/10 rounded px-2 py-1 font-mono text-white">
+                            <option value="ebu-r128">EBU R128</option>
+                            <option value="atsc-a85">ATSC A/85</option>
+                            <option value="custom">Custom</option>
+                            <option value="off">Off</option>
+                        </select>
+                    </label>
+                    {loudnessProfile !== 'off' && (
+                        <>
+                            <label className="flex justify-between items-center gap-4">
+                                <span className="text-white/50">Loudness target (LUFS)</span>
+                                <input type="number" min="-40" max="-5" step="0.5" placeholder={LOUDNESS_PROFILES[loudnessProfile].target} value={loudnessTarget}
+                                    onChange={e => setLoudnessTarget(e.target.value)}
+                                    className="w-32 bg-white/5 border border-white/10 rounded px-2 py-1 font-mono text-white" />
+                            </label>
+                            <label className="flex justify-between items-center gap-4">
+                                <span className="text-white/50">Tolerance (± LU)</span>
+                                <input type="number" min="0.5" max="10" step="0.5" placeholder={LOUDNESS_PROFILES[loudnessProfile].tolerance} value={loudnessTolerance}
+                                    onChange={e => setLoudnessTolerance(e.target.value)}
+                                    className="w-32 bg-white/5 border border-white/10 rounded px-2 py-1 font-mono text-white" />
+                            </label>
+                            <label className="flex justify-between items-center gap-4">
+                                <span className="text-white/50">True peak limit (dBTP)</span>
+                                <input type="number" min="-10" max="0" step="0.5" placeholder={LOUDNESS_PROFILES[loudnessProfile].truePeakLimit} value={truePeakLimit}
+                                    onChange={e => setTruePeakLimit(e.target.value)}
+                                    className="w-32 bg-white/5 border border-white/10 rounded px-2 py-1 font-mono text-white" />
+                            </label>
+                        </>
+                    )}
+                    <label className="flex justify-between items-center gap-4">
+                        <span className="text-white/50">LL-HLS checks (blocking reloads, preload hints)</span>
+                        <input type="checkbox" checked={lowLatency} onChange={e => setLowLatency(e.target.checked)} />
+                    </label>
+                    <div className="flex justify-end items-center gap-3">
+                        {error && <span className="text-rose-400 text-xs">{error}</span>}
+                        <button onClick={save} disabled={saving} className="text-xs px-3 py-1.5 rounded bg-white/10 hover:bg-white/20 text-white disabled:opacity-50">
+                            {saving ? 'Saving...' : 'Save'}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// Request profile editor - secrets come back masked and are kept unless retyped
+const RequestProfilePanel = ({ stream }) => {
+    const initial = stream.requestProfile || {};
+    const [form, setForm] = useState({
+        userAgent: initial.userAgent || '',
+        referer: initial.referer || '',
+        cookies: initial.cookies || '',
+        headers: (initial.headers || []).map(h => `${h.name}: ${h.value}`).join('\n'),
+        authScheme: initial.auth?.scheme || 'none',
+        username: initial.auth?.username || '',
+        password: initial.auth?.password || '',
+        token: initial.auth?.token || '',
+        tokenTemplate: initial.urlToken?.template || '',
+        tokenSecret: initial.urlToken?.secret || '',
+        tokenSignWith: initial.urlToken?.signWith || '',
+        tokenAlgorithm: initial.urlToken?.algorithm || 'sha256',
+        tokenTtl: initial.urlToken?.ttl || 300
+    });
+    const [saving, setSaving] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    const update = field => e => setForm(prev => ({ ...prev, [field]: e.target.value }));
+    const inputClass = 'w-full bg-white/5 border border-white/10 rounded px-2 py-1 font-mono text-white text-xs';
+
+    const save = async () => {
+        setSaving(true);
+        setMessage(null);
+        try {
+            await axios.put(`/api/streams/${stream._id}/request-profile`, {
+                userAgent: form.userAgent,
+                referer: form.referer,
+                cookies: form.cookies,
+                headers: form.headers.split('\n').filter(line => line.includes(':')).map(line => ({
+                    name: line.slice(0, line.indexOf(':')).trim(),
+                    value: line.slice(line.indexOf(':') + 1).trim()
+                })),
+                auth: { scheme: form.authScheme, username: form.username, password: form.password, token: form.token },
+                urlToken: {
+                    template: form.tokenTemplate,
+                    secret: form.tokenSecret,
+                    signWith: form.tokenSignWith,
+                    algorithm: form.tokenAlgorithm,
+                    ttl: Number(form.tokenTtl)
+                }
+            });
+            setMessage({ ok: true, text: 'Saved' });
+        } catch (err) {
+            setMessage({ ok: false, text: err.response?.data?.error || err.message });
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="glass-panel p-6 mb-8">
+            <h3 className="text-sm font-bold text-orange-400 uppercase tracking-wider flex items-center gap-2 mb-4">
+                <KeyRound size={14} /> Request Profile
+            </h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-xs">
+                <label className="space-y-1">
+                    <span className="text-white/50">User-Agent</span>
+                    <input value={form.userAgent} onChange={update('userAgent')} className={inputClass} />
+                </label>
+                <label className="space-y-1">
+                    <span className="text-white/50">Referer</span>
+                    <input value={form.referer} onChange={update('referer')} placeholder="https://" className={inputClass} />
+                </label>
+                <label className="space-y-1">
+                    <span className="text-white/50">Headers (one "Name: value" per line)</span>
+                    <textarea rows={3} value={form.headers} onChange={update('headers')} className={inputClass} />
+                </label>
+                <label className="space-y-1">
+                    <span className="text-white/50">Cookies</span>
+                    <textarea rows={3} value={form.cookies} onChange={update('cookies')} placeholder="name=value; other=value" className={inputClass} />
+                </label>
+                <div className="space-y-1">
+                    <span className="text-white/50">Auth</span>
+                    <div className="flex gap-2">
+                        <select value={form.authScheme} onChange={update('authScheme')} className={`${inputClass} w-28`}>
+                            <option value="none">None</option>
+                            <option value="basic">Basic</option>
+                            <option value="bearer">Bearer</option>
+                        </select>
+                        {form.authScheme === 'basic' && (
+                            <>
+                                <input value={form.username} onChange={update('username')} placeholder="username" className={inputClass} />
+                                <input type="password" value={form.password} onChange={update('password')} placeholder="password" className={inputClass} />
+                            </>
+                        )}
+                        {form.authScheme === 'bearer' && (
+                            <input type="password" value={form.token} onChange={update('token')} placeholder="token" className={inputClass} />
+                        )}
+                    </div>
+                </div>
+                <div className="space-y-1">
+                    <span className="text-white/50">URL token ({'{hmac}'}, {'{expires}'}, {'{now}'}, {'{path}'})</span>
+                    <input value={form.tokenTemplate} onChange={update('tokenTemplate')} placeholder="token={hmac}&expires={expires}" className={inputClass} />
+                    <div className="flex gap-2">
+                        <input type="password" value={form.tokenSecret} onChange={update('tokenSecret')} placeholder="secret" className={inputClass} />
+                        <input value={form.tokenSignWith} onChange={update('tokenSignWith')} placeholder="{path}{expires}" className={inputClass} />
+                        <select value={form.tokenAlgorithm} onChange={update('tokenAlgorithm')} className={`${inputClass} w-24`}>
+                            <option value="sha256">SHA-256</option>
+                            <option value="sha1">SHA-1</option>
+                            <option value="md5">MD5</option>
+                        </select>
+                        <input type="number" min="1" max="86400" value={form.tokenTtl} onChange={update('tokenTtl')} title="TTL (s)" className={`${inputClass} w-20`} />
+                    </div>
+                </div>
+            </div>
+            <div className="flex justify-end items-center gap-3 mt-4">
+                {message && <span className={`text-xs ${message.ok ? 'text-emerald-400' : 'text-rose-400'}`}>{message.text}</span>}
+                <button onClick={save} disabled={saving} className="text-xs px-3 py-1.5 rounded bg-white/10 hover:bg-white/20 text-white disabled:opacity-50">
+                    {saving ? 'Saving...' : 'Save'}
+                </button>
+            </div>
         </div>
     );
 };
@@ -333,6 +1330,11 @@ const StreamDetail = () => {
     const healthColor = getHealthColor(healthScore);
     const health = stream.health || {};
     const stats = stream.stats || {};
+    const validationColor = {
+        passed: { bg: 'bg-emerald-500', text: 'text-emerald-400', label: 'PASSED' },
+        failed: { bg: 'bg-rose-500', text: 'text-rose-400', label: 'FAILED' },
+        running: { bg: 'bg-sky-500', text: 'text-sky-300', label: 'VALIDATING' }
+    }[health.validation?.status] || { bg: 'bg-white/20', text: 'text-white/50', label: 'NOT VALIDATED' };
 
     return (
         <div className="min-h-screen bg-surface text-white p-6">
@@ -349,17 +1351,36 @@ const StreamDetail = () => {
                         </div>
                     </div>
                     <div className="lg:w-2/3 flex flex-col justify-center">
-                        <h1 className="text-3xl font-bold mb-2">{stream.name}</h1>
+                        <h1 className="text-3xl font-bold mb-2 flex items-center gap-3">
+                            {stream.name}
+                            <span className="px-2 py-0.5 rounded-md text-xs font-mono bg-white/10 text-white/60">{health.format || 'HLS'}</span>
+                            {health.frozen?.frozen && (
+                                <span className="px-2 py-0.5 rounded-md text-xs font-bold bg-cyan-500/20 text-cyan-300 flex items-center gap-1"><Snowflake size={12} /> FROZEN</span>
+                            )}
+                        </h1>
                         <p className="text-white/40 font-mono text-sm mb-4 break-all">{stream.url}</p>
-                        <div className="flex items-center gap-4">
-                            <div className={`w-24 h-24 rounded-full ${healthColor.bg} flex items-center justify-center`}>
-                                <span className="text-3xl font-bold text-white">{healthScore}</span>
+                        {health.ended ? (
+                            // Finished assets are judged by their validation report, not a live score
+                            <div className="flex items-center gap-4">
+                                <div className={`w-24 h-24 rounded-full ${validationColor.bg} flex items-center justify-center`}>
+                                    <span className="text-2xl font-bold text-white">{health.playlistType}</span>
+                                </div>
+                                <div>
+                                    <div className={`text-xl font-bold ${validationColor.text}`}>{validationColor.label}</div>
+                                    <div className="text-white/50 text-sm">Asset Validation</div>
+                                </div>
                             </div>
-                            <div>
-                                <div className={`text-xl font-bold ${healthColor.text}`}>{healthColor.label}</div>
-                                <div className="text-white/50 text-sm">Overall Health Score</div>
+                        ) : (
+                            <div className="flex items-center gap-4">
+                                <div className={`w-24 h-24 rounded-full ${healthColor.bg} flex items-center justify-center`}>
+                                    <span className="text-3xl font-bold text-white">{healthScore}</span>
+                                </div>
+                                <div>
+                                    <div className={`text-xl font-bold ${healthColor.text}`}>{healthColor.label}</div>
+                                    <div className="text-white/50 text-sm">Overall Health Score</div>
+                                </div>
                             </div>
-                        </div>
+                        )}
                     </div>
                 </div>
 
@@ -479,6 +1500,7 @@ const StreamDetail = () => {
                             <div className={`text-2xl font-mono font-bold ${healthColor.text}`}>{healthScore}<span className="text-sm">/100</span></div>
                         </div>
                     </div>
+                    <ChannelMeters audio={stats.audio} issues={health.audioChannels} />
                     <div className="flex justify-center gap-6 text-xs">
                         <div className="flex items-center gap-2"><span className="w-3 h-3 rounded bg-emerald-500"></span> Strong (70%+)</div>
                         <div className="flex items-center gap-2"><span className="w-3 h-3 rounded bg-amber-500"></span> Medium (40-70%)</div>
@@ -576,12 +1598,15 @@ const StreamDetail = () => {
                     )}
                 </div>
 
+                {/* Loudness (EBU R128 / ATSC A/85) */}
+                <LoudnessPanel streamId={id} loudness={stats.audio?.loudness} compliance={health.loudness} />
+
                 {/* Stats Grid */}
                 <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-8">
                     <div className="glass-panel p-4">
                         <h3 className="text-xs font-bold text-amber-400 uppercase tracking-wider mb-3 flex items-center gap-1"><Activity size={12} /> Health</h3>
                         <div className="space-y-2 text-sm font-mono">
-                            <div className="flex justify-between"><span className="text-white/50">Status</span><span className={stream.status === 'online' ? 'text-emerald-400' : 'text-rose-400'}>{stream.status?.toUpperCase()}</span></div>
+                            <div className="flex justify-between"><span className="text-white/50">Status</span><span className={STATUS_COLORS[stream.status] || 'text-rose-400'} title={stream.statusReason}>{stream.status?.toUpperCase()}</span></div>
                             <div className="flex justify-between"><span className="text-white/50">Stale</span><span className={health.isStale ? 'text-amber-400' : 'text-emerald-400'}>{health.isStale ? 'YES' : 'NO'}</span></div>
                             <div className="flex justify-between"><span className="text-white/50">Media Seq</span><span className="text-white">{health.mediaSequence ?? '-'}</span></div>
                             <div className="flex justify-between"><span className="text-white/50">Errors</span><span className={health.totalErrors > 0 ? 'text-rose-400' : 'text-emerald-400'}>{health.totalErrors ?? 0}</span></div>
@@ -593,6 +1618,21 @@ const StreamDetail = () => {
                             <div className="flex justify-between"><span className="text-white/50">Codec</span><span className="text-white">{stats.video?.codec || '-'}</span></div>
                             <div className="flex justify-between"><span className="text-white/50">Resolution</span><span className="text-white">{stats.resolution || '-'}</span></div>
                             <div className="flex justify-between"><span className="text-white/50">FPS</span><span className="text-white">{stats.fps?.toFixed(2) || '-'}</span></div>
+                            <div className="flex justify-between"><span className="text-white/50">Black / Frozen</span>
+                                <span className={health.videoContent?.black || health.videoContent?.frozen ? 'text-rose-400' : 'text-white'}>
+                                    {stats.video?.analyzedAt ? `${Math.round((stats.video.blackRatio || 0) * 100)}% / ${Math.round((stats.video.frozenRatio || 0) * 100)}%` : '-'}
+                                </span>
+                            </div>
+                            <div className="flex justify-between"><span className="text-white/50">GOP</span>
+                                <span className={stats.video?.gop?.changed || stats.video?.gop?.irregular ? 'text-amber-400' : 'text-white'} title={stats.video?.gop?.pattern}>
+                                    {stats.video?.gop?.gopLength ? `${stats.video.gop.gopLength}f${stats.video.gop.keyframeInterval ? ` / ${stats.video.gop.keyframeInterval}s` : ''}` : '-'}
+                                </span>
+                            </div>
+                            <div className="flex justify-between"><span className="text-white/50">Keyframe Start</span>
+                                <span className={stats.video?.gop && !stats.video.gop.startsWithKeyframe ? 'text-rose-400' : 'text-white'}>
+                                    {stats.video?.gop ? (stats.video.gop.startsWithKeyframe ? 'YES' : `NO (${stats.video.gop.firstFrameType || '?'})`) : '-'}
+                                </span>
+                            </div>
                         </div>
                     </div>
                     <div className="glass-panel p-4">
@@ -601,8 +1641,8 @@ const StreamDetail = () => {
                             <div className="flex justify-between"><span className="text-white/50">Codec</span><span className="text-white">{stats.audio?.codec || '-'}</span></div>
                             <div className="flex justify-between"><span className="text-white/50">Channels</span><span className="text-white">{stats.audio?.channelLayout || stats.audio?.channels || '-'}</span></div>
                             <div className="flex justify-between"><span className="text-white/50">Sample Rate</span><span className="text-white">{stats.audio?.sampleRate ? `${stats.audio.sampleRate}Hz` : '-'}</span></div>
-                            <div className="flex justify-between"><span className="text-white/50">Peak Level</span><span className={stats.audio?.isSilent ? 'text-amber-400' : 'text-white'}>{formatDbLevel(stats.audio?.peakDb)}</span></div>
-                            <div className="flex justify-between"><span className="text-white/50">Avg Level</span><span className="text-white">{formatDbLevel(stats.audio?.avgDb)}</span></div>
+                            <div className="flex justify-between"><span className="text-white/50">Loudness</span><span className={health.loudness?.loudnessCompliant === false ? 'text-rose-400' : stats.audio?.isSilent ? 'text-amber-400' : 'text-white'}>{formatLoudness(stats.audio?.loudness?.programIntegrated ?? stats.audio?.avgDb, 'LUFS')}</span></div>
+                            <div className="flex justify-between"><span className="text-white/50">True Peak</span><span className={health.loudness?.truePeakCompliant === false ? 'text-rose-400' : 'text-white'}>{formatLoudness(stats.audio?.peakDb, 'dBTP')}</span></div>
                             {stats.audio?.isSilent && (
                                 <div className="mt-2 px-2 py-1 bg-amber-500/20 border border-amber-500/30 rounded text-amber-400 text-xs flex items-center gap-1">
                                     <AlertTriangle size={12} /> Possible silence detected
@@ -619,6 +1659,166 @@ const StreamDetail = () => {
                     </div>
                 </div>
 
+                {/* Rendition Ladder */}
+                {health.renditions?.length > 0 && (
+                    <div className="glass-panel p-6 mb-8">
+                        <div className="flex justify-between items-center mb-4">
+                            <h3 className="text-sm font-bold text-primary uppercase tracking-wider flex items-center gap-2">
+                                <Layers size={14} /> Renditions ({health.renditions.length})
+                            </h3>
+                            {health.alignment?.aligned != null && (
+                                <span className={`text-xs font-mono ${health.alignment.aligned ? 'text-emerald-400' : 'text-rose-400'}`}>
+                                    {health.alignment.aligned ? 'LADDER ALIGNED' : 'LADDER MISALIGNED'}
+                                    <span className="text-white/40 ml-2">
+                                        drift {health.alignment.maxSequenceDrift ?? 0} seg · PDT Δ {health.alignment.maxPdtDriftMs ?? 0}ms
+                                    </span>
+                                </span>
+                            )}
+                        </div>
+                        <div className="overflow-x-auto">
+                            <table className="w-full text-xs font-mono">
+                                <thead>
+                                    <tr className="text-white/40 text-left border-b border-white/10">
+                                        <th className="py-2 pr-4">Rendition</th>
+                                        <th className="py-2 pr-4">Type</th>
+                                        <th className="py-2 pr-4">Status</th>
+                                        <th className="py-2 pr-4">Media Seq</th>
+                                        <th className="py-2 pr-4">Segments</th>
+                                        <th className="py-2 pr-4">Codec</th>
+                                        <th className="py-2 pr-4">Probed</th>
+                                        <th className="py-2 pr-4">TTFB</th>
+                                        <th className="py-2 pr-4">Download</th>
+                                        <th className="py-2 pr-4">Throughput</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {health.renditions.map(r => (
+                                        <tr key={r.key || r.name} className="border-b border-white/5">
+                                            <td className="py-2 pr-4 text-white">{r.name}</td>
+                                            <td className="py-2 pr-4 text-white/50">{r.mediaType || '-'}</td>
+                                            <td className={`py-2 pr-4 ${r.status === 'online' ? 'text-emerald-400' : r.status === 'stale' ? 'text-amber-400' : r.status === 'in-band' ? 'text-white/40' : 'text-rose-400'}`} title={r.lastError || ''}>
+                                                {r.status?.toUpperCase() || '-'}
+                                            </td>
+                                            <td className="py-2 pr-4 text-white/80">{r.mediaSequence ?? '-'}</td>
+                                            <td className="py-2 pr-4 text-white/80">{r.segmentCount ?? '-'}</td>
+                                            <td className="py-2 pr-4 text-white/80">{r.probe?.codec || r.codecs || '-'}</td>
+                                            <td className="py-2 pr-4 text-white/50">
+                                                {r.probe?.width
+                                                    ? `${r.probe.width}x${r.probe.height} · ${r.probe.fps?.toFixed(2)}fps`
+                                                    : r.probe?.channels ? `${r.probe.channels}ch · ${r.probe.sampleRate}Hz` : '-'}
+                                            </td>
+                                            <td className="py-2 pr-4 text-white/80">{r.delivery?.ttfb != null ? `${r.delivery.ttfb}ms` : '-'}</td>
+                                            <td className={`py-2 pr-4 ${r.delivery?.realTimeFactor > 1 ? 'text-rose-400' : 'text-white/80'}`} title={r.delivery?.realTimeFactor != null ? `${r.delivery.realTimeFactor}x real time` : ''}>
+                                                {r.delivery?.downloadTime != null ? `${r.delivery.downloadTime}ms` : '-'}
+                                            </td>
+                                            <td className={`py-2 pr-4 ${r.delivery?.bandwidthRatio != null && r.delivery.bandwidthRatio < 1 ? 'text-amber-400' : 'text-white/80'}`} title={r.delivery?.bandwidthRatio != null ? `${r.delivery.bandwidthRatio}x declared BANDWIDTH` : ''}>
+                                                {r.delivery?.throughput ? `${(r.delivery.throughput / 1000000).toFixed(1)}Mbps` : '-'}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                )}
+
+                {/* LL-HLS */}
+                {health.lowLatency?.partTarget && (
+                    <div className="glass-panel p-6 mb-8">
+                        <h3 className="text-sm font-bold text-fuchsia-400 uppercase tracking-wider flex items-center gap-2 mb-4">
+                            <Zap size={14} /> Low-Latency HLS
+                        </h3>
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-x-8 gap-y-2 text-sm font-mono">
+                            <div className="flex justify-between"><span className="text-white/50">Part Target</span><span className="text-white">{health.lowLatency.partTarget}s</span></div>
+                            <div className="flex justify-between"><span className="text-white/50">Part Hold Back</span><span className="text-white">{health.lowLatency.partHoldBack ?? '-'}s</span></div>
+                            <div className="flex justify-between"><span className="text-white/50">Last Part</span><span className="text-white">{health.lowLatency.lastMsn}.{health.lowLatency.lastPart}</span></div>
+                            <div className="flex justify-between"><span className="text-white/50">Max Part</span><span className={health.lowLatency.partsOverTarget > 0 ? 'text-rose-400' : 'text-white'}>{health.lowLatency.maxPartDuration ?? '-'}s</span></div>
+                            <div className="flex justify-between"><span className="text-white/50">Blocking Reload</span>
+                                <span className={!health.lowLatency.canBlockReload ? 'text-white/40' : health.lowLatency.blockingReloadStatus >= 200 && health.lowLatency.blockingReloadStatus < 400 ? 'text-emerald-400' : 'text-rose-400'}>
+                                    {health.lowLatency.canBlockReload ? `${health.lowLatency.blockingReloadTime ?? '-'}ms` : 'unsupported'}
+                                </span>
+                            </div>
+                            <div className="flex justify-between"><span className="text-white/50">Preload Hint</span>
+                                <span className={health.lowLatency.preloadHintStatus >= 400 || health.lowLatency.preloadHintStatus === 0 ? 'text-rose-400' : 'text-white'}>
+                                    {health.lowLatency.preloadHintStatus != null ? `${health.lowLatency.preloadHintStatus} · ${health.lowLatency.preloadHintTime}ms` : '-'}
+                                </span>
+                            </div>
+                            <div className="flex justify-between"><span className="text-white/50">Parts</span><span className="text-white">{health.lowLatency.partCount}</span></div>
+                        </div>
+                    </div>
+                )}
+
+                {/* MPEG-DASH */}
+                {health.format === 'DASH' && health.dash?.type && (
+                    <div className="glass-panel p-6 mb-8">
+                        <h3 className="text-sm font-bold text-sky-400 uppercase tracking-wider flex items-center gap-2 mb-4">
+                            <Layers size={14} /> MPEG-DASH
+                        </h3>
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-x-8 gap-y-2 text-sm font-mono">
+                            <div className="flex justify-between"><span className="text-white/50">MPD Type</span><span className="text-white">{health.dash.type}</span></div>
+                            <div className="flex justify-between"><span className="text-white/50">Periods</span><span className="text-white">{health.dash.periodCount ?? '-'}</span></div>
+                            <div className="flex justify-between"><span className="text-white/50">Current Period</span><span className="text-white truncate ml-2">{health.dash.currentPeriod ?? '-'}</span></div>
+                            <div className="flex justify-between"><span className="text-white/50">Period Changes</span><span className="text-white">{health.dash.periodChanges ?? 0}</span></div>
+                            <div className="flex justify-between"><span className="text-white/50">Min Update</span><span className="text-white">{health.dash.minimumUpdatePeriod != null ? `${health.dash.minimumUpdatePeriod}s` : '-'}</span></div>
+                            <div className="flex justify-between"><span className="text-white/50">Time Shift</span><span className="text-white">{health.dash.timeShiftBufferDepth != null ? `${health.dash.timeShiftBufferDepth}s` : '-'}</span></div>
+                            <div className="flex justify-between"><span className="text-white/50">Window</span>
+                                <span className={health.dash.timeShiftBufferDepth && health.dash.windowDuration < health.dash.timeShiftBufferDepth - 2 * (health.targetDuration || 0) ? 'text-amber-400' : 'text-white'}>
+                                    {health.dash.windowDuration != null ? `${health.dash.windowDuration.toFixed(1)}s` : '-'}
+                                </span>
+                            </div>
+                            <div className="flex justify-between"><span className="text-white/50">Published</span><span className="text-white">{health.dash.publishTime ? new Date(health.dash.publishTime).toLocaleTimeString() : '-'}</span></div>
+                        </div>
+                    </div>
+                )}
+
+                {/* Asset Validation (VOD / ended EVENT) */}
+                {(health.ended || health.validation?.status) && (
+                    <ValidationPanel streamId={id} validation={health.validation} />
+                )}
+
+                {/* Live Latency */}
+                <LatencyPanel streamId={id} latency={health.latency} />
+
+                {/* Black / Frozen Frames */}
+                <PictureContentPanel streamId={id} video={stats.video} videoContent={health.videoContent} />
+
+                {/* A/V Sync & Timestamps */}
+                <AvSyncPanel streamId={id} avSync={health.avSync} renditions={health.renditions} />
+
+                {/* Status History */}
+                <StatusHistoryPanel streamId={id} status={stream.status} statusSince={stream.statusSince} />
+
+                {/* Frozen Content */}
+                {health.frozen?.checkedAt && (
+                    <div className="glass-panel p-6 mb-8">
+                        <h3 className="text-sm font-bold text-cyan-400 uppercase tracking-wider flex items-center gap-2 mb-4">
+                            <Snowflake size={14} /> Frozen Content
+                        </h3>
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-x-8 gap-y-2 text-sm font-mono">
+                            <div className="flex justify-between"><span className="text-white/50">State</span>
+                                <span className={health.frozen.frozen ? 'text-rose-400' : 'text-emerald-400'}>{health.frozen.frozen ? `Frozen (${health.frozen.source})` : 'Moving'}</span>
+                            </div>
+                            <div className="flex justify-between"><span className="text-white/50">Frozen For</span><span className="text-white">{health.frozen.frozen ? `${health.frozen.duration.toFixed(1)}s` : '-'}</span></div>
+                            <div className="flex justify-between"><span className="text-white/50">Threshold</span><span className="text-white">{health.frozen.threshold}s</span></div>
+                            <div className="flex justify-between"><span className="text-white/50">Repeated Segments</span><span className={health.frozen.repeatedSegments > 0 ? 'text-amber-400' : 'text-white'}>{health.frozen.repeatedSegments ?? 0}</span></div>
+                            <div className="flex justify-between"><span className="text-white/50">Image Unchanged</span><span className="text-white">{health.frozen.unchangedFor ? `${health.frozen.unchangedFor}s` : '-'}</span></div>
+                            <div className="flex justify-between"><span className="text-white/50">Thumbnail dHash</span><span className="text-white/70 truncate ml-2">{health.frozen.thumbnailHash || '-'}</span></div>
+                        </div>
+                    </div>
+                )}
+
+                {/* Ad Breaks */}
+                <AdBreaksPanel streamId={id} adBreak={health.adBreak} />
+
+                {/* Polling */}
+                <MonitoringPanel key={stream._id} stream={stream} />
+
+                {/* Request Profile */}
+                <RequestProfilePanel key={`profile-${stream._id}`} stream={stream} />
+
+                {/* RFC 8216 Findings */}
+                <SpecCompliancePanel findings={stream.lintFindings || []} />
+
                 {/* Errors - Lazy Loading */}
                 <ErrorsPanel streamId={id} />
 